@@ -0,0 +1,31 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const AuditTrail = require('../src/services/auditTrail');
+
+// The server archives old audit log entries once a day. This runs the same
+// retention policy on demand, e.g. after lowering AUDIT_LOG_RETENTION_DAYS.
+async function archiveAuditLog() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/trading-dashboard');
+
+        const retentionDays = AuditTrail.getRetentionDays();
+        if (!(retentionDays > 0)) {
+            console.log('Audit log retention is off (AUDIT_LOG_RETENTION_DAYS is 0)');
+            return;
+        }
+
+        console.log(`Archiving audit log entries older than ${retentionDays} days...`);
+
+        const { archived, throughSequence } = await AuditTrail.archiveExpired();
+        console.log(archived > 0
+            ? `Archived ${archived} entries through sequence ${throughSequence}`
+            : 'No entries to archive');
+
+    } catch (error) {
+        console.error('Archiving failed:', error);
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+archiveAuditLog();
@@ -0,0 +1,28 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+
+// Admins created before staff roles existed have no role and so no
+// permissions. This gives them super_admin, which keeps the access they
+// had; narrow it afterwards with PUT /api/admin/staff/:adminId/role.
+async function assignStaffRoles() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/trading-dashboard');
+
+        console.log('Assigning staff roles...');
+
+        const result = await User.updateMany(
+            { role: 'admin', staffRole: { $exists: false } },
+            { $set: { staffRole: 'super_admin' } }
+        );
+
+        console.log(`Assigned super_admin to ${result.modifiedCount} admins`);
+
+    } catch (error) {
+        console.error('Assignment failed:', error);
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+assignStaffRoles();
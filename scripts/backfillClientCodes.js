@@ -0,0 +1,29 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+
+async function backfillClientCodes() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/trading-dashboard');
+
+        console.log('Starting client code backfill...');
+
+        const clients = await User.find({ role: 'client', clientCode: { $exists: false } });
+        console.log(`Found ${clients.length} clients without a client code`);
+
+        for (const client of clients) {
+            // The pre-save hook assigns a unique code
+            await client.save({ validateBeforeSave: false });
+            console.log(`Assigned ${client.clientCode} to ${client.email}`);
+        }
+
+        console.log('Backfill completed successfully');
+
+    } catch (error) {
+        console.error('Backfill failed:', error);
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+backfillClientCodes();
@@ -0,0 +1,54 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Investment = require('../src/models/Investment');
+const PlatformInvestment = require('../src/models/PlatformInvestment');
+const JournalEntry = require('../src/models/JournalEntry');
+const InvestmentCalculator = require('../src/services/investmentCalculator');
+const Journal = require('../src/services/journal');
+
+async function backfillJournal() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/trading-dashboard');
+
+        console.log('Starting journal backfill...');
+
+        // Postings are derived, so start from an empty journal
+        const cleared = await JournalEntry.deleteMany({});
+        console.log(`Cleared ${cleared.deletedCount} journal entries`);
+
+        const investments = await Investment.find({ status: 'active' }).sort('investmentDate');
+        for (const investment of investments) {
+            await Journal.postInvestment(investment);
+        }
+        console.log(`Posted ${investments.length} client flows`);
+
+        // Platforms are booked at cost, then revalued to their current value
+        const platforms = await PlatformInvestment.find({ status: 'active' });
+        for (const platform of platforms) {
+            await Journal.postPlatformAllocation(platform);
+            await Journal.postValuationChange({
+                platform,
+                previousValue: platform.amount,
+                newValue: platform.currentValue,
+                date: new Date(),
+                source: { type: 'platform_valuation', id: platform._id }
+            });
+        }
+        console.log(`Posted ${platforms.length} platform allocations`);
+
+        // Recalculating every month posts its return allocations
+        if (investments.length > 0) {
+            const result = await InvestmentCalculator.recalculateFromDate(investments[0].investmentDate);
+            console.log(`Posted allocations for ${result.monthsRecalculated} months`);
+        }
+
+        console.log('Backfill completed successfully');
+
+    } catch (error) {
+        console.error('Backfill failed:', error);
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+backfillJournal();
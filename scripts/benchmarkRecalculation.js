@@ -0,0 +1,179 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const Investment = require('../src/models/Investment');
+const PlatformInvestment = require('../src/models/PlatformInvestment');
+const WeeklyPlatformData = require('../src/models/WeeklyPlatformData');
+const InvestmentCalculator = require('../src/services/investmentCalculator');
+const { getWeekNumber } = require('../src/utils/dates');
+
+// Usage: node scripts/benchmarkRecalculation.js [clients] [years]
+// Runs against its own database, which is dropped and rebuilt on every run.
+const BENCHMARK_URI = process.env.BENCHMARK_MONGODB_URI || 'mongodb://localhost:27017/trading-dashboard-benchmark';
+const CLIENTS = parseInt(process.argv[2], 10) || 2000;
+const YEARS = parseInt(process.argv[3], 10) || 10;
+const PLATFORMS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Seeded so every run builds the same dataset
+let seed = 42;
+const random = () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+};
+
+async function buildDataset(startDate) {
+    const clients = [];
+    for (let i = 0; i < CLIENTS; i++) {
+        clients.push({
+            _id: new mongoose.Types.ObjectId(),
+            name: `Client ${i + 1}`,
+            email: `client${i + 1}@benchmark.test`,
+            role: 'client',
+            pin: 'benchmark',
+            encryptedPin: 'benchmark'
+        });
+    }
+    // Straight to the collection: PIN hashing would dominate setup time
+    await User.collection.insertMany(clients);
+
+    // An opening deposit in the first year, then a flow roughly every six months
+    const investments = [];
+    const months = YEARS * 12;
+    clients.forEach(client => {
+        let month = Math.floor(random() * 12);
+        let balance = 0;
+        while (month < months) {
+            const date = new Date(startDate.getFullYear(), startDate.getMonth() + month, 1 + Math.floor(random() * 28));
+            const isWithdrawal = balance > 0 && random() < 0.25;
+            const amount = Math.round(isWithdrawal ? balance * random() * 0.3 : 10000 + random() * 90000);
+            balance += isWithdrawal ? -amount : amount;
+
+            investments.push({
+                clientId: client._id,
+                amount,
+                investmentDate: date,
+                type: isWithdrawal ? 'withdrawal' : 'deposit',
+                status: 'active'
+            });
+            month += 3 + Math.floor(random() * 6);
+        }
+    });
+    await Investment.insertMany(investments, { lean: true });
+
+    // Platforms track the fund's net flows, growing at a random weekly return
+    const netFlowsByWeek = new Map();
+    investments.forEach(inv => {
+        const week = Math.floor((inv.investmentDate - startDate) / (7 * DAY_MS));
+        const amount = inv.type === 'withdrawal' ? -inv.amount : inv.amount;
+        netFlowsByWeek.set(week, (netFlowsByWeek.get(week) || 0) + amount);
+    });
+
+    const weeks = Math.floor((YEARS * 365) / 7);
+    for (let p = 0; p < PLATFORMS; p++) {
+        const platform = await PlatformInvestment.create({
+            platformName: `Platform ${p + 1}`,
+            amount: 1000000,
+            investmentDate: startDate,
+            currentValue: 1000000
+        });
+
+        const weeklyData = [];
+        let value = platform.amount;
+        for (let week = 0; week < weeks; week++) {
+            const weekStartDate = new Date(startDate.getTime() + week * 7 * DAY_MS);
+            const openingValue = value;
+            const weeklyReturn = (random() - 0.45) * 4;
+            value = Math.max(0, value * (1 + weeklyReturn / 100) + (netFlowsByWeek.get(week) || 0) / PLATFORMS);
+
+            weeklyData.push({
+                platformId: platform._id,
+                weekStartDate,
+                weekEndDate: new Date(weekStartDate.getTime() + 6 * DAY_MS),
+                weekNumber: getWeekNumber(weekStartDate),
+                year: weekStartDate.getFullYear(),
+                openingValue,
+                closingValue: value,
+                weeklyReturn,
+                profitAmount: value - openingValue
+            });
+        }
+        await WeeklyPlatformData.insertMany(weeklyData, { lean: true });
+
+        platform.currentValue = value;
+        await platform.save();
+    }
+
+    return investments.length;
+}
+
+// Count queries per collection while a scenario runs
+const queryCounts = {};
+mongoose.set('debug', (collection) => {
+    queryCounts[collection] = (queryCounts[collection] || 0) + 1;
+});
+
+async function runScenario(name, fn) {
+    Object.keys(queryCounts).forEach(key => delete queryCounts[key]);
+    const started = process.hrtime.bigint();
+    const result = await fn();
+    const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+    console.log(`\n${name}`);
+    console.log(`  ${elapsedMs.toFixed(0)} ms, ${result.monthsRecalculated} months recalculated, ${result.monthsChanged} changed`);
+    console.log(`  ${(elapsedMs / Math.max(1, result.monthsRecalculated)).toFixed(1)} ms per month`);
+    console.log(`  queries: ${Object.entries(queryCounts).map(([collection, count]) => `${collection}=${count}`).join(', ')}`);
+}
+
+async function benchmark() {
+    if (BENCHMARK_URI === process.env.MONGODB_URI) {
+        console.error('BENCHMARK_MONGODB_URI must not point at the application database');
+        process.exit(1);
+    }
+
+    try {
+        await mongoose.connect(BENCHMARK_URI);
+        await mongoose.connection.dropDatabase();
+
+        const now = new Date();
+        const startDate = new Date(now.getFullYear() - YEARS, now.getMonth(), 1);
+
+        console.log(`Building ${CLIENTS} clients over ${YEARS} years...`);
+        const flowCount = await buildDataset(startDate);
+        console.log(`Inserted ${flowCount} flows`);
+
+        await runScenario('Full rebuild from the first month', () =>
+            InvestmentCalculator.recalculateFromDate(startDate));
+
+        await runScenario('Full rerun with nothing changed', () =>
+            InvestmentCalculator.recalculateFromDate(startDate));
+
+        // A flow edited and then put back: later months converge immediately
+        const midDate = new Date(now.getFullYear() - Math.ceil(YEARS / 2), now.getMonth(), 15);
+        const flow = await Investment.findOne({ investmentDate: { $gte: midDate } }).sort('investmentDate');
+        await runScenario(`No-op change to a flow on ${flow.investmentDate.toISOString().slice(0, 10)}`, () =>
+            InvestmentCalculator.recalculateFromDate(flow.investmentDate, { changedThrough: flow.investmentDate }));
+
+        flow.amount += 1000;
+        await flow.save();
+        await runScenario(`Edited flow on ${flow.investmentDate.toISOString().slice(0, 10)}`, () =>
+            InvestmentCalculator.recalculateFromDate(flow.investmentDate, { changedThrough: flow.investmentDate }));
+
+        const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 10);
+        await Investment.create({
+            clientId: flow.clientId,
+            amount: 5000,
+            investmentDate: lastMonth,
+            type: 'deposit'
+        });
+        await runScenario('New deposit last month', () =>
+            InvestmentCalculator.recalculateFromDate(lastMonth, { changedThrough: lastMonth }));
+
+    } catch (error) {
+        console.error('Benchmark failed:', error);
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+benchmark();
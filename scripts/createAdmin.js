@@ -23,6 +23,7 @@ async function createAdmin() {
             name: 'Admin User',
             email: adminEmail,
             role: 'admin',
+            staffRole: 'super_admin',
             password: hashedPassword
         });
 
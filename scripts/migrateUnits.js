@@ -0,0 +1,36 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Investment = require('../src/models/Investment');
+const InvestmentCalculator = require('../src/services/investmentCalculator');
+
+async function migrateUnits() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/trading-dashboard');
+
+        console.log('Starting unit migration...');
+
+        // Start from the first flow the fund ever received
+        const firstInvestment = await Investment.findOne({ status: 'active' }).sort('investmentDate');
+        if (!firstInvestment) {
+            console.log('No investments found, nothing to migrate');
+            return;
+        }
+
+        // Clear any partial unit balances so the replay starts clean
+        const reset = await Investment.updateMany({}, { $set: { units: 0 }, $unset: { navPerUnit: '' } });
+        console.log(`Reset units on ${reset.modifiedCount} investments`);
+
+        // Replaying month by month issues units at each month's opening NAV
+        console.log(`Replaying history from ${firstInvestment.investmentDate.toISOString()}`);
+        const result = await InvestmentCalculator.recalculateFromDate(firstInvestment.investmentDate);
+
+        console.log(`Migration completed successfully (${result.monthsRecalculated} months priced)`);
+
+    } catch (error) {
+        console.error('Migration failed:', error);
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+migrateUnits();
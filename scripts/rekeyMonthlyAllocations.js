@@ -0,0 +1,56 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const JournalEntry = require('../src/models/JournalEntry');
+const { formatMonth } = require('../src/utils/dates');
+
+// Monthly allocations were once keyed by the UTC label of local midnight on
+// the 1st, which east of UTC is the month before. Each allocation is dated on
+// its month's last day, so its date gives the right key; reversals take the
+// key of the entry they reverse. Run with the server's TZ.
+async function rekeyMonthlyAllocations() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/trading-dashboard');
+
+        console.log('Starting monthly allocation rekey...');
+
+        const entries = await JournalEntry.find({ 'source.type': 'monthly_allocation' });
+        const originals = new Map(entries.filter(entry => !entry.reversalOf).map(entry => [entry._id.toString(), entry]));
+        console.log(`Found ${entries.length} monthly allocation entries`);
+
+        let rekeyed = 0;
+        for (const entry of entries) {
+            const original = entry.reversalOf ? originals.get(entry.reversalOf.toString()) : entry;
+            if (!original) {
+                continue;
+            }
+
+            const key = formatMonth(original.date);
+            if (entry.source.key === key) {
+                continue;
+            }
+
+            await JournalEntry.updateOne(
+                { _id: entry._id },
+                {
+                    $set: {
+                        'source.key': key,
+                        description: entry.reversalOf
+                            ? `Reversal: Return allocation for ${key}`
+                            : `Return allocation for ${key}`
+                    }
+                }
+            );
+            rekeyed++;
+        }
+
+        console.log(`Rekeyed ${rekeyed} entries`);
+        console.log('Rekey completed successfully');
+
+    } catch (error) {
+        console.error('Rekey failed:', error);
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+rekeyMonthlyAllocations();
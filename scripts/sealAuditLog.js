@@ -0,0 +1,28 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const AuditTrail = require('../src/services/auditTrail');
+
+// Entries written before the audit log was hash-chained have no place in the
+// chain. This appends them, oldest first, so verification covers them too.
+async function sealAuditLog() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/trading-dashboard');
+
+        console.log('Sealing audit log...');
+
+        const sealed = await AuditTrail.sealUnsealed();
+        console.log(`Sealed ${sealed} audit log entries`);
+
+        const result = await AuditTrail.verify();
+        console.log(result.valid
+            ? `Chain verified through entry ${result.head ? result.head.sequence : 0}`
+            : `Chain has ${result.problems.length} problems; check GET /api/admin/audit-logs/verify`);
+
+    } catch (error) {
+        console.error('Sealing failed:', error);
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+sealAuditLog();
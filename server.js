@@ -7,19 +7,30 @@ const authRoutes = require('./src/routes/auth');
 const adminRoutes = require('./src/routes/admin');
 const clientRoutes = require('./src/routes/client');
 const platformRoutes = require('./src/routes/platform');
+const fxRoutes = require('./src/routes/fx');
+const journalRoutes = require('./src/routes/journal');
+const analyticsRoutes = require('./src/routes/analytics');
+const benchmarkRoutes = require('./src/routes/benchmarks');
+const RecalculationQueue = require('./src/services/recalculationQueue');
+const AuditTrail = require('./src/services/auditTrail');
 
 const app = express();
 
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(express.text({ type: 'text/csv', limit: '5mb' }));
 
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/trading-dashboard', {
     useNewUrlParser: true,
     useUnifiedTopology: true,
 })
-    .then(() => console.log('MongoDB connected'))
+    .then(() => {
+        console.log('MongoDB connected');
+        RecalculationQueue.start();
+        AuditTrail.startRetention();
+    })
     .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -27,6 +38,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/client', clientRoutes);
 app.use('/api/platform', platformRoutes);
+app.use('/api/fx', fxRoutes);
+app.use('/api/journal', journalRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/benchmarks', benchmarkRoutes);
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Sessions = require('../services/sessions');
+const TwoFactor = require('../services/twoFactor');
+const { hasPermission } = require('../utils/permissions');
 
 const auth = async (req, res, next) => {
   try {
@@ -10,7 +14,14 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password -pin');
+
+    // Every token belongs to a session, which may since have been revoked
+    const session = decoded.sessionId ? await Session.findById(decoded.sessionId) : null;
+    if (!Sessions.isActive(session) || !session.userId.equals(decoded.userId)) {
+      throw new Error();
+    }
+
+    const user = await User.findById(decoded.userId).select('-password -pin -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes');
     
     if (!user) {
       throw new Error();
@@ -18,6 +29,7 @@ const auth = async (req, res, next) => {
 
     req.user = user;
     req.token = token;
+    req.session = session;
     next();
   } catch (error) {
     console.log(error);
@@ -30,8 +42,43 @@ const adminAuth = async (req, res, next) => {
     if (req.user.role !== 'admin') {
       return res.status(403).json({ error: 'Access denied. Admin only.' });
     }
+    if (TwoFactor.isRequired() && !req.user.twoFactor?.enabled) {
+      return res.status(403).json({
+        error: 'Two-factor authentication must be enabled for admin accounts',
+        twoFactorSetupRequired: true
+      });
+    }
+    next();
+  });
+};
+
+// Admin routes declare the capability they need, which the admin's staff role must grant
+const requirePermission = (permission) => async (req, res, next) => {
+  await adminAuth(req, res, () => {
+    if (!hasPermission(req.user.staffRole, permission)) {
+      return res.status(403).json({ error: 'Access denied. Missing permission.', permission });
+    }
+    next();
+  });
+};
+
+// Admin routes that must stay reachable before 2FA is set up
+const adminSetupAuth = async (req, res, next) => {
+  await auth(req, res, () => {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied. Admin only.' });
+    }
+    next();
+  });
+};
+
+const clientAuth = async (req, res, next) => {
+  await auth(req, res, () => {
+    if (req.user.role !== 'client') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
     next();
   });
 };
 
-module.exports = { auth, adminAuth };
\ No newline at end of file
+module.exports = { auth, adminAuth, adminSetupAuth, requirePermission, clientAuth };
\ No newline at end of file
@@ -1,20 +1,112 @@
 const mongoose = require('mongoose');
 
+// Actions a client can trigger themselves, with no admin involved
+const CLIENT_ACTIONS = ['withdrawal_requested', 'withdrawal_cancelled'];
+
+// Actions the server takes on its own schedule
+const SYSTEM_ACTIONS = ['audit_log_archived', 'change_expired'];
+
+// Actions on client accounts and their money
+const ACCOUNT_ACTIONS = [
+    'view_pin',
+    'reset_pin',
+    'create_client',
+    'client_unlocked',
+    'sessions_revoked',
+    'withdrawal_approved',
+    'withdrawal_partially_approved',
+    'withdrawal_rejected',
+    'investment_adjusted',
+    'investments_imported',
+    'change_requested',
+    'change_approved',
+    'change_rejected',
+    'statement_generated',
+    'statements_generated'
+];
+
+// Actions on the fund as a whole rather than one client
+const FUND_ACTIONS = [
+    'period_closed',
+    'period_reopened',
+    'fee_schedule_created',
+    'fee_schedule_deactivated',
+    'platform_created',
+    'platform_returns_updated',
+    'currency_data_entered',
+    'weekly_data_entered',
+    'weekly_data_imported',
+    'monthly_returns_calculated',
+    'manual_recalculation',
+    'recalculation_retried',
+    'fx_rate_saved',
+    'fx_rates_imported',
+    'benchmark_created',
+    'benchmark_updated',
+    'benchmark_linked',
+    'benchmark_value_saved',
+    'benchmark_values_imported',
+    'benchmark_value_deleted'
+];
+
+// Actions on admin accounts rather than clients
+const STAFF_ACTIONS = [
+    'staff_role_changed',
+    '2fa_setup_started',
+    '2fa_enabled',
+    '2fa_disabled',
+    '2fa_challenge_passed',
+    '2fa_challenge_failed',
+    '2fa_recovery_code_used',
+    '2fa_recovery_codes_regenerated',
+    '2fa_reset',
+    'audit_log_exported'
+];
+
 const auditLogSchema = new mongoose.Schema({
+    // Position in the hash chain; entries written before chaining have none
+    // until scripts/sealAuditLog.js appends them
+    sequence: Number,
+    previousHash: String,
+    hash: String,
     adminId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true
+        required: function () {
+            return !CLIENT_ACTIONS.includes(this.action) && !SYSTEM_ACTIONS.includes(this.action);
+        }
     },
     action: {
         type: String,
         required: true,
-        enum: ['view_pin', 'reset_pin', 'create_client']
+        enum: [...CLIENT_ACTIONS, ...SYSTEM_ACTIONS, ...ACCOUNT_ACTIONS, ...FUND_ACTIONS, ...STAFF_ACTIONS]
+    },
+    // Who took the action: an admin, a client, or the server itself.
+    // Entries written before this was recorded have none.
+    actor: {
+        type: String,
+        enum: ['admin', 'client', 'system']
     },
+    // The client affected, when there is one
     clientId: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-        required: true
+        ref: 'User'
+    },
+    // The record acted on, named by its model
+    subjectType: String,
+    subjectId: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'subjectType'
+    },
+    // The subject's relevant fields before and after the change
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    details: mongoose.Schema.Types.Mixed,
+    // Lower-cased text of details, before and after for free-text search.
+    // Derived from hashed fields, so not hashed itself.
+    searchText: {
+        type: String,
+        select: false
     },
     ipAddress: String,
     userAgent: String,
@@ -24,4 +116,10 @@ const auditLogSchema = new mongoose.Schema({
     }
 });
 
-module.exports = mongoose.model('AuditLog', auditLogSchema);
\ No newline at end of file
+auditLogSchema.index({ sequence: 1 }, { unique: true, sparse: true });
+auditLogSchema.index({ subjectType: 1, subjectId: 1, timestamp: -1 });
+auditLogSchema.index({ timestamp: -1, _id: -1 });
+auditLogSchema.index({ adminId: 1, timestamp: -1 });
+auditLogSchema.index({ action: 1, timestamp: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+const AuditLog = require('./AuditLog');
+
+// Entries the retention policy has moved out of the live audit log. They keep
+// their place in the hash chain, so verification walks the archive first.
+const auditLogArchiveSchema = AuditLog.schema.clone();
+
+auditLogArchiveSchema.add({
+    archivedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('AuditLogArchive', auditLogArchiveSchema);
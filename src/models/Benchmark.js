@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const benchmarkSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        unique: true
+    },
+    description: String,
+    // Currency the index is quoted in, for reference only; returns are compared as percentages
+    currency: {
+        type: String,
+        uppercase: true,
+        trim: true
+    },
+    // The benchmark the fund as a whole is measured against; at most one is set
+    isFundBenchmark: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Benchmark', benchmarkSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const benchmarkValueSchema = new mongoose.Schema({
+    benchmarkId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Benchmark',
+        required: true
+    },
+    date: {
+        type: Date,
+        required: true
+    },
+    // Index level or total return value at the close of the day
+    value: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    source: {
+        type: String,
+        enum: ['manual', 'csv'],
+        default: 'manual'
+    },
+    enteredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// One value per benchmark per day
+benchmarkValueSchema.index({ benchmarkId: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('BenchmarkValue', benchmarkValueSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const changeRequestSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['investment_create', 'investment_update', 'investment_cancel', 'investment_import', 'investment_adjustment'],
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected', 'expired', 'failed'],
+        default: 'pending'
+    },
+    // Imports can span several clients, so have none
+    clientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: function () {
+            return this.type !== 'investment_import';
+        }
+    },
+    // The investment being edited, cancelled or adjusted, or the one created on approval
+    investmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Investment'
+    },
+    // Every investment written on approval
+    investmentIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Investment'
+    }],
+    // What the maker asked for, applied as-is on approval
+    payload: mongoose.Schema.Types.Mixed,
+    // Investment fields before and after the change, for the checker to compare
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    reason: String,
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    requestedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewNote: String,
+    error: String // Why applying an approved change failed
+}, {
+    timestamps: true
+});
+
+changeRequestSchema.index({ status: 1, expiresAt: 1 });
+changeRequestSchema.index({ investmentId: 1, status: 1 });
+
+module.exports = mongoose.model('ChangeRequest', changeRequestSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const feeScheduleSchema = new mongoose.Schema({
+    scope: {
+        type: String,
+        enum: ['fund', 'client'],
+        default: 'fund'
+    },
+    clientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: function () {
+            return this.scope === 'client';
+        }
+    },
+    // Share of new profits above the high-water mark paid to the trader
+    performanceFeePercentage: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    },
+    // Annual fee on invested capital, charged monthly
+    managementFeePercentage: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100
+    },
+    effectiveFrom: {
+        type: Date,
+        required: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+feeScheduleSchema.index({ scope: 1, clientId: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('FeeSchedule', feeScheduleSchema);
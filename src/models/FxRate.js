@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const fxRateSchema = new mongoose.Schema({
+    currency: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true
+    },
+    baseCurrency: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true
+    },
+    date: {
+        type: Date,
+        required: true
+    },
+    // Units of base currency per one unit of currency
+    rate: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    source: {
+        type: String,
+        enum: ['manual', 'csv'],
+        default: 'manual'
+    },
+    enteredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// One rate per currency pair per day
+fxRateSchema.index({ currency: 1, baseCurrency: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('FxRate', fxRateSchema);
@@ -1,5 +1,6 @@
 // src/models/Investment.js
 const mongoose = require('mongoose');
+const { BASE_CURRENCY } = require('../utils/currency');
 
 const investmentSchema = new mongoose.Schema({
     clientId: {
@@ -11,6 +12,15 @@ const investmentSchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    currency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        default: BASE_CURRENCY
+    },
+    // Rate to the base currency on the flow date, and the amount converted at it
+    fxRate: Number,
+    baseAmount: Number,
     investmentDate: {
         type: Date,
         required: true
@@ -20,6 +30,13 @@ const investmentSchema = new mongoose.Schema({
         enum: ['deposit', 'withdrawal'],
         default: 'deposit'
     },
+    // Fund units bought (positive) or redeemed (negative) by this flow
+    units: {
+        type: Number,
+        default: 0
+    },
+    // NAV per unit the flow was dealt at
+    navPerUnit: Number,
     isEdited: {
         type: Boolean,
         default: false
@@ -41,6 +58,20 @@ const investmentSchema = new mongoose.Schema({
         type: String,
         enum: ['active', 'cancelled'],
         default: 'active'
+    },
+    // Set on flows that correct an investment dated in a closed period
+    adjustment: {
+        adjustsInvestmentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Investment'
+        },
+        previousAmount: Number,
+        correctedAmount: Number,
+        reason: String,
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
     }
 }, {
     timestamps: true
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Largest debit/credit mismatch tolerated from floating point rounding
+const BALANCE_TOLERANCE = 0.01;
+
+const journalLineSchema = new mongoose.Schema({
+    account: {
+        type: String,
+        required: true
+    },
+    // Client or platform the line belongs to, for sub-ledger accounts
+    subjectId: mongoose.Schema.Types.ObjectId,
+    debit: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    credit: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    memo: String
+}, { _id: false });
+
+const journalEntrySchema = new mongoose.Schema({
+    date: {
+        type: Date,
+        required: true
+    },
+    description: {
+        type: String,
+        required: true
+    },
+    // What the entry was posted for, e.g. an Investment or a month's allocation
+    source: {
+        type: {
+            type: String,
+            required: true
+        },
+        id: mongoose.Schema.Types.ObjectId,
+        key: String
+    },
+    lines: [journalLineSchema],
+    reversalOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'JournalEntry'
+    },
+    reversedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'JournalEntry'
+    },
+    postedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Every entry must balance
+journalEntrySchema.pre('validate', function (next) {
+    if (this.lines.length < 2) {
+        return next(new Error('Journal entry needs at least two lines'));
+    }
+
+    let debits = 0;
+    let credits = 0;
+    for (const line of this.lines) {
+        if (line.debit > 0 && line.credit > 0) {
+            return next(new Error('Journal line cannot be both debit and credit'));
+        }
+        debits += line.debit;
+        credits += line.credit;
+    }
+
+    if (Math.abs(debits - credits) > BALANCE_TOLERANCE) {
+        return next(new Error(`Journal entry does not balance (debits ${debits}, credits ${credits})`));
+    }
+    next();
+});
+
+journalEntrySchema.index({ date: 1 });
+journalEntrySchema.index({ 'source.type': 1, 'source.id': 1 });
+journalEntrySchema.index({ 'source.type': 1, 'source.key': 1 });
+journalEntrySchema.index({ 'lines.account': 1, 'lines.subjectId': 1, date: 1 });
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+    // What was typed as the login name, kept even when it matched no one
+    identifier: {
+        type: String,
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    role: {
+        type: String,
+        enum: ['admin', 'client'],
+        required: true
+    },
+    success: {
+        type: Boolean,
+        required: true
+    },
+    failureReason: {
+        type: String,
+        enum: ['unknown_identifier', 'invalid_credentials', 'invalid_2fa_code', 'locked']
+    },
+    ipAddress: String,
+    userAgent: String,
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+loginAttemptSchema.index({ userId: 1, timestamp: -1 });
+loginAttemptSchema.index({ timestamp: -1 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
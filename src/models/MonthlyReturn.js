@@ -9,36 +9,81 @@ const monthlyReturnSchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    baseCurrency: String, // Currency every amount below is expressed in
     totalPlatformValue: {
         type: Number,
         required: true
     },
+    tradingGain: Number, // Platform gains in their own currency, at closing rates
+    fxGain: Number, // Gains from exchange rate moves on opening platform values
     monthlyReturnPercentage: {
         type: Number,
         required: true
     },
+    navPerUnit: {
+        type: Number,
+        required: true
+    },
+    totalUnits: {
+        type: Number,
+        default: 0
+    },
+    managerUnits: {
+        type: Number,
+        default: 0
+    }, // Units transferred to the trader as fees
+    totalFees: {
+        type: Number,
+        default: 0
+    },
     clientReturns: [{
         clientId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User'
         },
         investmentShare: Number, // Client's share of corpus
-        sharePercentage: Number, // Percentage of total corpus
-        returnAmount: Number,
-        closingBalance: Number
+        sharePercentage: Number, // Percentage of total units
+        units: Number, // Units held at month end
+        openingBalance: Number, // Previous month's closing balance
+        netFlows: Number, // Deposits less withdrawals this month
+        weightedCapital: Number, // Opening balance plus flows weighted by days invested
+        grossReturn: Number, // Return before fees
+        managementFee: Number,
+        performanceFee: Number,
+        feeAmount: Number, // Total fees crystallised this month
+        feeUnits: Number, // Units transferred to the trader for this month's fees
+        cumulativeFeeUnits: Number,
+        highWaterMark: Number,
+        returnAmount: Number, // Net return after fees
+        closingBalance: Number,
+        restatedAt: Date // Last time a recalculation changed this client's figures
     }],
     platformReturns: [{
         platformId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'PlatformInvestment'
         },
+        platformName: String,
+        currency: String,
+        localValue: Number, // Closing value in the platform's currency
+        fxRate: Number, // Closing rate to the base currency
+        currentValue: Number, // Closing value in the base currency
         returnPercentage: Number,
-        returnAmount: Number
+        returnAmount: Number,
+        tradingGain: Number,
+        fxGain: Number
     }],
     calculatedAt: {
         type: Date,
         default: Date.now
-    }
+    },
+    version: Number, // Latest MonthlyReturnVersion; none while the month is open
+    restatedAt: Date, // Set once the month has been recalculated with different figures
+    isClosed: {
+        type: Boolean,
+        default: false
+    }, // Closed months are never recalculated
+    closedAt: Date
 }, {
     timestamps: true
 });
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const monthlyReturnVersionSchema = new mongoose.Schema({
+    month: {
+        type: Date,
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // The month's figures as calculated, in the same shape as MonthlyReturn
+    figures: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    // Changes that caused this recalculation; several when requests were coalesced
+    triggers: [{
+        _id: false,
+        reason: String,
+        requestedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        requestedAt: Date
+    }],
+    recalculationJobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RecalculationJob'
+    },
+    // Clients whose figures differ from the previous version
+    restatedClientIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }]
+}, {
+    timestamps: true
+});
+
+monthlyReturnVersionSchema.index({ month: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('MonthlyReturnVersion', monthlyReturnVersionSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const periodCloseSchema = new mongoose.Schema({
+    // First day of the month this record covers
+    month: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['closed', 'reopened'],
+        default: 'closed'
+    },
+    closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    closedAt: Date,
+    reopenedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reopenedAt: Date,
+    reopenReason: String,
+    // Every close and reopen, oldest first
+    history: [{
+        _id: false,
+        action: {
+            type: String,
+            enum: ['closed', 'reopened']
+        },
+        by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        },
+        reason: String
+    }]
+}, {
+    timestamps: true
+});
+
+periodCloseSchema.index({ month: 1 }, { unique: true });
+periodCloseSchema.index({ status: 1, month: -1 });
+
+module.exports = mongoose.model('PeriodClose', periodCloseSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { BASE_CURRENCY } = require('../utils/currency');
 
 const platformSchema = new mongoose.Schema({
   name: {
@@ -11,6 +12,13 @@ const platformSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Currency its CurrencyData values are recorded in
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: BASE_CURRENCY
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { BASE_CURRENCY } = require('../utils/currency');
 
 const platformInvestmentSchema = new mongoose.Schema({
     platformName: {
@@ -9,6 +10,12 @@ const platformInvestmentSchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    currency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        default: BASE_CURRENCY
+    },
     investmentDate: {
         type: Date,
         required: true
@@ -25,6 +32,11 @@ const platformInvestmentSchema = new mongoose.Schema({
         type: String,
         enum: ['active', 'closed'],
         default: 'active'
+    },
+    // Index this platform's performance is measured against
+    benchmarkId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Benchmark'
     }
 }, {
     timestamps: true
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const triggerSchema = new mongoose.Schema({
+    reason: {
+        type: String,
+        required: true
+    },
+    fromDate: Date,
+    // Last date whose inputs changed; unset when the change runs on to today
+    changedThrough: Date,
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    requestedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const recalculationJobSchema = new mongoose.Schema({
+    // First month to recalculate; every later month follows
+    fromDate: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed'],
+        default: 'queued'
+    },
+    // Set to 'queued' or 'running' while the job holds that slot. The unique
+    // index allows one queued and one running job at any time.
+    slot: {
+        type: String,
+        enum: ['queued', 'running']
+    },
+    // Every request folded into this job
+    triggers: [triggerSchema],
+    progress: {
+        monthsTotal: { type: Number, default: 0 },
+        monthsCompleted: { type: Number, default: 0 },
+        currentMonth: Date
+    },
+    result: mongoose.Schema.Types.Mixed,
+    error: String,
+    workerId: String,
+    startedAt: Date,
+    heartbeatAt: Date,
+    finishedAt: Date
+}, {
+    timestamps: true
+});
+
+recalculationJobSchema.index({ slot: 1 }, { unique: true, sparse: true });
+recalculationJobSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RecalculationJob', recalculationJobSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        enum: ['admin', 'client'],
+        required: true
+    },
+    // SHA-256 of the current refresh token; the token itself is never stored
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    // The token it replaced, kept to spot a rotated-out token being replayed
+    previousRefreshTokenHash: String,
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    lastUsedAt: Date,
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout_everywhere', 'pin_reset', 'admin_revoked', 'refresh_token_reused']
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    ipAddress: String,
+    userAgent: String
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const statementSchema = new mongoose.Schema({
+    clientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    periodStart: {
+        type: Date,
+        required: true
+    },
+    periodEnd: {
+        type: Date,
+        required: true
+    },
+    summary: {
+        openingBalance: Number,
+        deposits: Number,
+        withdrawals: Number,
+        grossReturn: Number,
+        fees: Number,
+        netReturn: Number,
+        closingBalance: Number
+    },
+    pdf: {
+        type: Buffer,
+        select: false
+    },
+    csv: {
+        type: String,
+        select: false
+    },
+    generatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    generatedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// One statement per client per period; regenerating replaces it
+statementSchema.index({ clientId: 1, periodStart: 1, periodEnd: 1 }, { unique: true });
+
+module.exports = mongoose.model('Statement', statementSchema);
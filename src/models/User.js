@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const { encrypt, decrypt } = require('../utils/encryption');
+const { STAFF_ROLES } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -37,6 +38,41 @@ const userSchema = new mongoose.Schema({
             return this.role === 'admin';
         }
     },
+    // What an admin is allowed to do; see utils/permissions
+    staffRole: {
+        type: String,
+        enum: STAFF_ROLES
+    },
+    // Short code clients can log in with instead of their email
+    clientCode: {
+        type: String,
+        unique: true,
+        sparse: true,
+        uppercase: true,
+        trim: true
+    },
+    // Consecutive failed logins, and the lockout they have earned
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lockedUntil: Date,
+    lastLoginAt: Date,
+    // Admin TOTP two-factor authentication; secrets are stored encrypted
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: String,
+        pendingSecret: String, // Set during enrolment until the first code is confirmed
+        enabledAt: Date,
+        lastUsedStep: Number, // Time step of the last accepted code, so a code can't be replayed
+        recoveryCodes: [{
+            codeHash: String,
+            usedAt: Date
+        }]
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -48,6 +84,16 @@ userSchema.methods.generatePin = function () {
     return Math.floor(100000 + Math.random() * 900000).toString();
 };
 
+// Generate a client code that no other client has
+const generateClientCode = async function () {
+    for (;;) {
+        const code = `C${Math.floor(100000 + Math.random() * 900000)}`;
+        if (!(await User.exists({ clientCode: code }))) {
+            return code;
+        }
+    }
+};
+
 // Hash password and encrypt PIN before saving
 userSchema.pre('save', async function (next) {
     /**
@@ -69,6 +115,10 @@ userSchema.pre('save', async function (next) {
             this.password = await bcrypt.hash(this.password, 10);
         }
 
+        if (this.role === 'client' && !this.clientCode) {
+            this.clientCode = await generateClientCode();
+        }
+
         // Handle client PIN encryption and hashing
         if (this.role === 'client' && this.isModified('pin') && this.pin) {
 
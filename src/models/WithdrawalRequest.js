@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const withdrawalRequestSchema = new mongoose.Schema({
+    clientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    requestedAmount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    approvedAmount: {
+        type: Number,
+        min: 0
+    },
+    status: {
+        type: String,
+        // Awaiting approval: reviewed, with the payout waiting on a second admin
+        enum: ['pending', 'awaiting_approval', 'approved', 'partially_approved', 'rejected', 'cancelled'],
+        default: 'pending'
+    },
+    clientNote: String,
+    reviewNote: String,
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: Date,
+    // Change request that pays the withdrawal out
+    changeRequestId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ChangeRequest'
+    },
+    // Withdrawal record created on approval
+    investmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Investment'
+    }
+}, {
+    timestamps: true
+});
+
+withdrawalRequestSchema.index({ status: 1, createdAt: -1 });
+withdrawalRequestSchema.index({ clientId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WithdrawalRequest', withdrawalRequestSchema);
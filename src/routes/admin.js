@@ -3,16 +3,43 @@ const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Investment = require('../models/Investment');
 const CurrencyData = require('../models/CurrencyData');
-const AuditLog = require('../models/AuditLog');
-const { adminAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 const InvestmentCalculator = require('../services/investmentCalculator');
+const ClientPortfolio = require('../services/clientPortfolio');
+const FeeEngine = require('../services/feeEngine');
+const FxService = require('../services/fxService');
+const { CURRENCY_CODE_PATTERN } = require('../utils/currency');
+const { getWeekNumber } = require('../utils/dates');
+const { TRANSACTIONS_UNSUPPORTED, requireTransactions } = require('../utils/transactions');
+const { ROLE_PERMISSIONS, PERMISSIONS, STAFF_ROLES, getPermissions, hasPermission } = require('../utils/permissions');
+const StatementGenerator = require('../services/statementGenerator');
+const WeeklyDataImporter = require('../services/weeklyDataImporter');
+const InvestmentImporter = require('../services/investmentImporter');
+const LedgerExporter = require('../services/ledgerExporter');
+const Journal = require('../services/journal');
+const RecalculationQueue = require('../services/recalculationQueue');
+const Restatements = require('../services/restatements');
+const PeriodLock = require('../services/periodLock');
+const LoginAttempts = require('../services/loginAttempts');
+const Sessions = require('../services/sessions');
+const TwoFactor = require('../services/twoFactor');
+const AuditTrail = require('../services/auditTrail');
+const ChangeRequests = require('../services/changeRequests');
 const MonthlyReturn = require('../models/MonthlyReturn');
 const PlatformInvestment = require('../models/PlatformInvestment');
+const WeeklyPlatformData = require('../models/WeeklyPlatformData');
+const FeeSchedule = require('../models/FeeSchedule');
+const Statement = require('../models/Statement');
+const WithdrawalRequest = require('../models/WithdrawalRequest');
+const RecalculationJob = require('../models/RecalculationJob');
+const ChangeRequest = require('../models/ChangeRequest');
+const LoginAttempt = require('../models/LoginAttempt');
+const Session = require('../models/Session');
 
 const router = express.Router();
 
 // Get all clients with search
-router.get('/clients', adminAuth, async (req, res) => {
+router.get('/clients', requirePermission('clients:view'), async (req, res) => {
     try {
         const { search } = req.query;
         let query = { role: 'client' };
@@ -20,11 +47,15 @@ router.get('/clients', adminAuth, async (req, res) => {
         if (search) {
             query.$or = [
                 { name: { $regex: search, $options: 'i' } },
-                { email: { $regex: search, $options: 'i' } }
+                { email: { $regex: search, $options: 'i' } },
+                { clientCode: { $regex: search, $options: 'i' } }
             ];
         }
 
-        const clients = await User.find(query).select('-password -pin');
+        const clients = await User.find(query).select('-password -pin -encryptedPin');
+
+        // Compounded balances from the latest calculated month
+        const currentBalances = await ClientPortfolio.getCurrentBalances();
 
         // Get investment data for each client
         const clientsWithInvestments = await Promise.all(
@@ -34,27 +65,15 @@ router.get('/clients', adminAuth, async (req, res) => {
                     status: 'active'
                 });
 
-                // Calculate total investment (deposits - withdrawals)
+                // Calculate total investment (deposits - withdrawals) in the base currency
                 const totalInvestment = investments.reduce((sum, inv) => {
-                    return sum + (inv.type === 'withdrawal' ? -inv.amount : inv.amount);
+                    return sum + InvestmentCalculator.getSignedAmount(inv);
                 }, 0);
 
-                // Get the latest monthly return for current value
-                const latestReturn = await MonthlyReturn.findOne({
-                    'clientReturns.clientId': client._id
-                })
-                    .sort('-month')
-                    .lean();
-
-                let currentValue = totalInvestment;
-                if (latestReturn) {
-                    const clientReturn = latestReturn.clientReturns.find(
-                        cr => cr.clientId.toString() === client._id.toString()
-                    );
-                    if (clientReturn && clientReturn.closingBalance) {
-                        currentValue = clientReturn.closingBalance;
-                    }
-                }
+                const clientKey = client._id.toString();
+                const currentValue = currentBalances.has(clientKey)
+                    ? currentBalances.get(clientKey)
+                    : totalInvestment;
 
                 const totalReturn = totalInvestment > 0
                     ? ((currentValue - totalInvestment) / totalInvestment * 100).toFixed(2)
@@ -77,7 +96,7 @@ router.get('/clients', adminAuth, async (req, res) => {
 
 // Get specific client details
 // Update the get specific client details endpoint
-router.get('/clients/:clientId', adminAuth, async (req, res) => {
+router.get('/clients/:clientId', requirePermission('clients:view'), async (req, res) => {
     try {
         const client = await User.findOne({
             _id: req.params.clientId,
@@ -88,20 +107,23 @@ router.get('/clients/:clientId', adminAuth, async (req, res) => {
             return res.status(404).json({ error: 'Client not found' });
         }
 
-        // Log PIN view action
-        await AuditLog.create({
-            adminId: req.user._id,
-            action: 'view_pin',
-            clientId: client._id,
-            ipAddress: req.ip,
-            userAgent: req.get('user-agent')
-        });
+        // Only staff allowed to see PINs get one, and every view is logged
+        const canViewPin = hasPermission(req.user.staffRole, 'pins:view');
+        if (canViewPin) {
+            await AuditTrail.record(req, {
+                action: 'view_pin',
+                clientId: client._id,
+                subject: { type: 'User', id: client._id }
+            });
+        }
 
         const investments = await Investment.find({ clientId: client._id });
 
         // Decrypt PIN for admin
         const clientData = client.toObject();
-        clientData.displayPin = client.getDecryptedPin();
+        if (canViewPin) {
+            clientData.displayPin = client.getDecryptedPin();
+        }
         delete clientData.pin; // Remove hashed PIN
         delete clientData.encryptedPin; // Remove encrypted PIN from response
 
@@ -116,7 +138,7 @@ router.get('/clients/:clientId', adminAuth, async (req, res) => {
 
 // Create new client
 // Update create new client endpoint to return the plain PIN
-router.post('/clients', adminAuth, [
+router.post('/clients', requirePermission('clients:manage'), [
     body('name').notEmpty().withMessage('Name is required'),
     body('email').isEmail().withMessage('Valid email is required')
 ], async (req, res) => {
@@ -148,12 +170,11 @@ router.post('/clients', adminAuth, [
         await user.save({ validateBeforeSave: false });
 
         // Log client creation
-        await AuditLog.create({
-            adminId: req.user.id,
+        await AuditTrail.record(req, {
             action: 'create_client',
             clientId: user._id,
-            ipAddress: req.ip,
-            userAgent: req.get('user-agent')
+            subject: { type: 'User', id: user._id },
+            after: { name: user.name, email: user.email, clientCode: user.clientCode }
         });
 
         res.status(201).json({
@@ -162,6 +183,7 @@ router.post('/clients', adminAuth, [
                 id: user._id,
                 name: user.name,
                 email: user.email,
+                clientCode: user.clientCode,
                 pin: plainPin // Return the plain PIN
             }
         });
@@ -172,7 +194,7 @@ router.post('/clients', adminAuth, [
 
 
 // Update reset PIN endpoint
-router.post('/clients/:clientId/reset-pin', adminAuth, async (req, res) => {
+router.post('/clients/:clientId/reset-pin', requirePermission('clients:manage'), async (req, res) => {
     try {
         const client = await User.findOne({
             _id: req.params.clientId,
@@ -183,60 +205,380 @@ router.post('/clients/:clientId/reset-pin', adminAuth, async (req, res) => {
             return res.status(404).json({ error: 'Client not found' });
         }
 
-        // Generate new PIN
+        // Generate new PIN; a fresh PIN also lifts any lockout
         const newPin = client.generatePin();
         client.pin = newPin;
+        client.failedLoginAttempts = 0;
+        client.lockedUntil = undefined;
         await client.save();
 
+        // Anyone still logged in with the old PIN is signed out
+        const sessionsRevoked = await Sessions.revokeAllForUser(client._id, 'pin_reset', req.user._id);
+
         // Log PIN reset action
-        await AuditLog.create({
-            adminId: req.user._id,
+        await AuditTrail.record(req, {
             action: 'reset_pin',
             clientId: client._id,
-            ipAddress: req.ip,
-            userAgent: req.get('user-agent')
+            subject: { type: 'User', id: client._id },
+            details: { sessionsRevoked }
         });
 
         res.json({
             message: 'PIN reset successfully',
-            pin: newPin
+            pin: newPin,
+            sessionsRevoked
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
-// Add endpoint to view audit logs
-router.get('/audit-logs', adminAuth, async (req, res) => {
+
+// Lift a client's login lockout
+router.post('/clients/:clientId/unlock', requirePermission('clients:manage'), async (req, res) => {
     try {
-        const { clientId, action, startDate, endDate } = req.query;
-        let query = {};
+        const client = await User.findOne({ _id: req.params.clientId, role: 'client' }).select('_id');
+        if (!client) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
 
-        if (clientId) query.clientId = clientId;
-        if (action) query.action = action;
+        const unlocked = await LoginAttempts.unlock(client._id);
+
+        await AuditTrail.record(req, {
+            action: 'client_unlocked',
+            clientId: client._id,
+            subject: { type: 'User', id: client._id }
+        });
+
+        res.json({ message: 'Client unlocked', client: unlocked });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// View login attempts
+router.get('/login-attempts', requirePermission('audit:view'), async (req, res) => {
+    try {
+        const { userId, identifier, success, startDate, endDate } = req.query;
+        const query = {};
+
+        if (userId) query.userId = userId;
+        if (identifier) query.identifier = identifier;
+        if (success !== undefined) query.success = success === 'true';
         if (startDate || endDate) {
             query.timestamp = {};
             if (startDate) query.timestamp.$gte = new Date(startDate);
             if (endDate) query.timestamp.$lte = new Date(endDate);
         }
 
-        const logs = await AuditLog.find(query)
-            .populate('adminId', 'name email')
-            .populate('clientId', 'name email')
+        const attempts = await LoginAttempt.find(query)
+            .populate('userId', 'name email clientCode')
             .sort('-timestamp')
             .limit(100);
 
-        res.json(logs);
+        res.json(attempts);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List a user's active sessions
+router.get('/users/:userId/sessions', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.userId).select('name email role');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const sessions = await Sessions.listActive(user._id);
+        res.json({ user, sessions });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Revoke every active session a user has
+router.post('/users/:userId/sessions/revoke', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.userId).select('role');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const revoked = await Sessions.revokeAllForUser(user._id, 'admin_revoked', req.user._id);
+
+        await AuditTrail.record(req, {
+            action: 'sessions_revoked',
+            clientId: user.role === 'client' ? user._id : undefined,
+            subject: { type: 'User', id: user._id },
+            details: { revoked }
+        });
+
+        res.json({ message: 'Sessions revoked', revoked });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List staff roles and the permissions each grants
+router.get('/roles', requirePermission('users:manage'), async (req, res) => {
+    try {
+        res.json({
+            roles: STAFF_ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] })),
+            permissions: PERMISSIONS
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List admins with their staff roles
+router.get('/staff', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const staff = await User.find({ role: 'admin' })
+            .select('name email staffRole twoFactor.enabled lastLoginAt createdAt')
+            .sort('name')
+            .lean();
+
+        res.json(staff.map(admin => ({
+            ...admin,
+            permissions: getPermissions(admin.staffRole)
+        })));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Assign an admin's staff role
+router.put('/staff/:adminId/role', requirePermission('users:manage'), [
+    body('staffRole').isIn(STAFF_ROLES).withMessage(`Role must be one of: ${STAFF_ROLES.join(', ')}`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const admin = await User.findOne({ _id: req.params.adminId, role: 'admin' });
+        if (!admin) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+
+        const { staffRole } = req.body;
+        const previousRole = admin.staffRole;
+        if (previousRole === staffRole) {
+            return res.status(400).json({ error: `Admin is already ${staffRole}` });
+        }
+
+        // Someone must always be able to assign roles
+        if (previousRole === 'super_admin') {
+            const otherSuperAdmins = await User.countDocuments({
+                role: 'admin',
+                staffRole: 'super_admin',
+                _id: { $ne: admin._id }
+            });
+            if (otherSuperAdmins === 0) {
+                return res.status(400).json({ error: 'Cannot change the role of the last super admin' });
+            }
+        }
+
+        admin.staffRole = staffRole;
+        await admin.save();
+
+        await AuditTrail.record(req, {
+            action: 'staff_role_changed',
+            subject: { type: 'User', id: admin._id },
+            before: { staffRole: previousRole },
+            after: { staffRole }
+        });
+
+        res.json({
+            message: 'Staff role updated',
+            admin: {
+                id: admin._id,
+                name: admin.name,
+                email: admin.email,
+                staffRole: admin.staffRole,
+                permissions: getPermissions(admin.staffRole)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Reset another admin's 2FA after they lose their device; they must enrol again
+router.post('/admins/:adminId/2fa/reset', requirePermission('users:manage'), [
+    body('reason').trim().notEmpty().withMessage('Reason for reset is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (req.user._id.equals(req.params.adminId)) {
+            return res.status(400).json({ error: 'Another admin must reset your two-factor authentication' });
+        }
+
+        const admin = await User.findOne({ _id: req.params.adminId, role: 'admin' }).select('twoFactor.enabled');
+        if (!admin) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+        if (!admin.twoFactor || !admin.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled for this admin' });
+        }
+
+        await TwoFactor.disable(admin._id);
+        const sessionsRevoked = await Sessions.revokeAllForUser(admin._id, 'admin_revoked', req.user._id);
+
+        await AuditTrail.record(req, {
+            action: '2fa_reset',
+            subject: { type: 'User', id: admin._id },
+            before: { enabled: true },
+            after: { enabled: false },
+            details: { reason: req.body.reason, sessionsRevoked }
+        });
+
+        res.json({ message: 'Two-factor authentication reset', sessionsRevoked });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Revoke one session
+router.delete('/sessions/:sessionId', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const session = await Session.findById(req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (!Sessions.isActive(session)) {
+            return res.status(400).json({ error: 'Session is no longer active' });
+        }
+
+        await Sessions.revoke(session, 'admin_revoked', req.user._id);
+
+        await AuditTrail.record(req, {
+            action: 'sessions_revoked',
+            clientId: session.role === 'client' ? session.userId : undefined,
+            subject: { type: 'Session', id: session._id },
+            details: { userId: session.userId, revoked: 1 }
+        });
+
+        res.json({ message: 'Session revoked' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Check the audit log's hash chain; pass a head from an earlier check as
+// anchorSequence and anchorHash to also catch entries removed from the end
+router.get('/audit-logs/verify', requirePermission('audit:view'), async (req, res) => {
+    try {
+        const { anchorSequence, anchorHash } = req.query;
+        const anchor = {};
+        if (anchorSequence !== undefined) {
+            anchor.anchorSequence = parseInt(anchorSequence, 10);
+            if (!(anchor.anchorSequence >= 1)) {
+                return res.status(400).json({ error: 'Anchor sequence must be a positive integer' });
+            }
+            anchor.anchorHash = anchorHash;
+        }
+
+        res.json(await AuditTrail.verify(anchor));
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Add investment for client
-router.post('/investments', adminAuth, [
+// List audit log entries a page at a time, newest first. Filters: adminId,
+// action (comma-separated), clientId, subjectType, subjectId, startDate,
+// endDate and q for free text; archived=true lists the archive instead.
+router.get('/audit-logs', requirePermission('audit:view'), async (req, res) => {
+    try {
+        const { filter, error } = AuditTrail.buildFilter(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        let page;
+        try {
+            page = await AuditTrail.list(filter, {
+                cursor: req.query.cursor,
+                limit: req.query.limit,
+                archived: req.query.archived === 'true'
+            });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        res.json(page);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Export every audit log entry matching the listing filters as CSV or JSON
+router.get('/audit-logs/export', requirePermission('audit:view'), async (req, res) => {
+    try {
+        const { format = 'csv' } = req.query;
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({ error: 'Format must be csv or json' });
+        }
+
+        const { filter, error } = AuditTrail.buildFilter(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const archived = req.query.archived === 'true';
+        const { adminId, action, clientId, subjectType, subjectId, startDate, endDate, q } = req.query;
+        await AuditTrail.record(req, {
+            action: 'audit_log_exported',
+            details: {
+                format,
+                archived,
+                filters: { adminId, action, clientId, subjectType, subjectId, startDate, endDate, q }
+            }
+        });
+
+        const filename = `audit-log-${new Date().toISOString().slice(0, 10)}${archived ? '-archive' : ''}`;
+        res.set('Content-Type', format === 'csv' ? 'text/csv' : 'application/json');
+        res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+        // Streamed so a large export never sits in memory
+        const cursor = AuditTrail.exportCursor(filter, { archived });
+        if (format === 'csv') {
+            res.write(`${AuditTrail.getCsvHeader()}\n`);
+            for await (const entry of cursor) {
+                res.write(`${AuditTrail.toCsvLine(entry)}\n`);
+            }
+        } else {
+            let first = true;
+            res.write('[');
+            for await (const entry of cursor) {
+                res.write(`${first ? '' : ','}\n${JSON.stringify(entry)}`);
+                first = false;
+            }
+            res.write('\n]');
+        }
+        res.end();
+    } catch (error) {
+        if (res.headersSent) {
+            console.error('Audit log export error:', error);
+            return res.end();
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Submit a new client investment for approval
+router.post('/investments', requirePermission('investments:write'), [
     body('clientId').notEmpty(),
     body('amount').isFloat({ min: 0 }),
     body('investmentDate').isISO8601(),
-    body('type').isIn(['deposit', 'withdrawal'])
+    body('type').isIn(['deposit', 'withdrawal']),
+    body('currency').optional().trim().toUpperCase().matches(CURRENCY_CODE_PATTERN).withMessage('Invalid currency code')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -244,34 +586,99 @@ router.post('/investments', adminAuth, [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { clientId, amount, investmentDate, type } = req.body;
+        const { clientId, amount, investmentDate, type, currency } = req.body;
+        const client = await User.findOne({ _id: clientId, role: 'client' }).select('_id');
+        if (!client) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
 
-        const investment = new Investment({
-            clientId,
+        const payload = {
+            clientId: client._id,
+            amount: parseFloat(amount),
             investmentDate: new Date(investmentDate),
-            amount: amount,
-            type: type
+            type,
+            currency: FxService.normaliseCurrency(currency)
+        };
+
+        const problem = await ChangeRequests.check('investment_create', { payload });
+        if (problem) {
+            return res.status(problem.status).json(problem.body);
+        }
+
+        const changeRequest = await ChangeRequests.submit('investment_create', { payload }, req);
+
+        res.status(202).json({
+            message: 'Investment submitted for approval',
+            changeRequest
         });
+    } catch (error) {
+        console.error('Investment creation error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Validate historical client deposits and withdrawals from CSV or JSON and
+// submit them for approval
+router.post('/investments/import', requirePermission('investments:write'), async (req, res) => {
+    try {
+        let input = req.body;
+        if (typeof input !== 'string') {
+            input = req.body.csv || req.body.rows;
+        }
+        if (!input || (Array.isArray(input) && input.length === 0)) {
+            return res.status(400).json({ error: 'CSV content or rows are required' });
+        }
 
-        await investment.save();
+        const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true;
+        const result = await InvestmentImporter.import(input, { dryRun: true });
 
-        // Trigger recalculation
-        try {
-            await InvestmentCalculator.recalculateFromDate(new Date(investmentDate));
-        } catch (calcError) {
-            console.error('Recalculation error:', calcError);
-            // Don't fail the investment creation if recalculation fails
+        if (result.results.length === 0) {
+            return res.status(400).json({ error: 'No data rows to import' });
+        }
+        if (result.errorCount > 0) {
+            return res.status(400).json({
+                message: 'Import rejected, no rows were saved',
+                ...result
+            });
+        }
+
+        if (dryRun) {
+            return res.json({ message: 'Dry run passed, no rows were saved', ...result });
         }
 
-        res.status(201).json(investment);
+        // Don't queue an import that could never be applied
+        await requireTransactions();
+
+        // Keep the validated rows, so the approver applies exactly what was checked
+        const payload = {
+            rows: result.results.map(row => ({
+                email: row.email,
+                amount: row.amount,
+                currency: row.currency,
+                investmentDate: row.investmentDate.toISOString(),
+                type: row.type
+            }))
+        };
+        const changeRequest = await ChangeRequests.submit('investment_import', {
+            payload,
+            reason: req.body.reason
+        }, req);
+
+        res.status(202).json({
+            message: 'Import submitted for approval, no rows were saved yet',
+            ...result,
+            changeRequest
+        });
     } catch (error) {
-        console.error('Investment creation error:', error);
+        if (error.code === TRANSACTIONS_UNSUPPORTED) {
+            return res.status(503).json({ error: error.message });
+        }
         res.status(500).json({ error: error.message });
     }
 });
 
-// Update monthly returns
-router.post('/investments/:investmentId/returns', adminAuth, [
+// Preview a client's net return on an investment for a gross return percentage
+router.post('/investments/:investmentId/returns', requirePermission('reports:view'), [
     body('returnPercentage').isFloat(),
     body('month').isISO8601()
 ], async (req, res) => {
@@ -288,32 +695,63 @@ router.post('/investments/:investmentId/returns', adminAuth, [
             return res.status(404).json({ error: 'Investment not found' });
         }
 
-        // Calculate trader's share (if profit is 2x%, client gets x%)
-        const clientReturnPercentage = returnPercentage / 2;
-        const profitAmount = investment.currentAmount * (clientReturnPercentage / 100);
-        const closingAmount = investment.currentAmount + profitAmount;
+        // Fees come from the client's schedule; actual crystallisation happens
+        // in the monthly calculation against the client's high-water mark
+        const schedule = await FeeEngine.getScheduleForClient(investment.clientId, new Date(month));
+        const grossReturn = investment.amount * (returnPercentage / 100);
+        const fees = FeeEngine.calculateFees({
+            openingBalance: investment.amount,
+            netFlows: 0,
+            grossClosingBalance: investment.amount + grossReturn,
+            highWaterMark: investment.amount,
+            schedule
+        });
 
-        investment.monthlyReturns.push({
+        res.json({
+            investmentId: investment._id,
             month: new Date(month),
-            returnPercentage: clientReturnPercentage,
-            profitAmount,
-            closingAmount
+            grossReturnPercentage: returnPercentage,
+            grossReturn,
+            managementFee: fees.managementFee,
+            performanceFee: fees.performanceFee,
+            netReturn: grossReturn - fees.feeAmount,
+            netReturnPercentage: investment.amount > 0
+                ? (grossReturn - fees.feeAmount) / investment.amount * 100
+                : 0,
+            schedule: {
+                performanceFeePercentage: schedule.performanceFeePercentage,
+                managementFeePercentage: schedule.managementFeePercentage
+            }
         });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get fee schedules
+router.get('/fee-schedules', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const { clientId } = req.query;
+        const query = clientId ? { clientId } : {};
 
-        investment.currentAmount = closingAmount;
-        await investment.save();
+        const schedules = await FeeSchedule.find(query)
+            .populate('clientId', 'name email')
+            .populate('createdBy', 'name')
+            .sort('-effectiveFrom');
 
-        res.json(investment);
+        res.json(schedules);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Enter currency data
-router.post('/currency-data', adminAuth, [
-    body('platformId').notEmpty(),
-    body('value').isFloat({ min: 0 }),
-    body('date').isISO8601()
+// Create a fund-wide or per-client fee schedule
+router.post('/fee-schedules', requirePermission('fees:manage'), [
+    body('scope').isIn(['fund', 'client']),
+    body('clientId').if(body('scope').equals('client')).notEmpty().withMessage('Client is required for a client schedule'),
+    body('performanceFeePercentage').isFloat({ min: 0, max: 100 }),
+    body('managementFeePercentage').optional().isFloat({ min: 0, max: 100 }),
+    body('effectiveFrom').isISO8601()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -321,137 +759,911 @@ router.post('/currency-data', adminAuth, [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { platformId, value, date } = req.body;
-        const dataDate = new Date(date);
+        const { scope, clientId, performanceFeePercentage, managementFeePercentage, effectiveFrom } = req.body;
 
-        // Calculate week and year
-        const week = getWeekNumber(dataDate);
-        const year = dataDate.getFullYear();
+        const closed = await PeriodLock.check(new Date(effectiveFrom));
+        if (closed) {
+            return res.status(409).json(closed);
+        }
 
-        const currencyData = new CurrencyData({
-            platformId,
-            value,
-            date: dataDate,
-            week,
-            year,
-            enteredBy: req.user._id
+        const schedule = new FeeSchedule({
+            scope,
+            clientId: scope === 'client' ? clientId : undefined,
+            performanceFeePercentage,
+            managementFeePercentage,
+            effectiveFrom: new Date(effectiveFrom),
+            createdBy: req.user._id
         });
 
-        await currencyData.save();
-        res.status(201).json(currencyData);
+        await schedule.save();
+
+        // Fees from this date onwards change every later balance
+        const job = await RecalculationQueue.enqueue(schedule.effectiveFrom, {
+            reason: 'fee_schedule_created',
+            requestedBy: req.user._id
+        });
+
+        await AuditTrail.record(req, {
+            action: 'fee_schedule_created',
+            clientId: schedule.clientId,
+            subject: { type: 'FeeSchedule', id: schedule._id },
+            after: {
+                scope: schedule.scope,
+                performanceFeePercentage: schedule.performanceFeePercentage,
+                managementFeePercentage: schedule.managementFeePercentage,
+                effectiveFrom: schedule.effectiveFrom
+            }
+        });
+
+        res.status(201).json({
+            schedule,
+            recalculation: RecalculationQueue.describe(job)
+        });
     } catch (error) {
-        if (error.code === 11000) {
-            res.status(400).json({ error: 'Data for this platform and week already exists' });
-        } else {
-            res.status(500).json({ error: error.message });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Deactivate a fee schedule
+router.delete('/fee-schedules/:scheduleId', requirePermission('fees:manage'), async (req, res) => {
+    try {
+        const schedule = await FeeSchedule.findById(req.params.scheduleId);
+
+        if (!schedule) {
+            return res.status(404).json({ error: 'Fee schedule not found' });
         }
+
+        const wasActive = schedule.isActive;
+        schedule.isActive = false;
+        await schedule.save();
+
+        const job = await RecalculationQueue.enqueue(schedule.effectiveFrom, {
+            reason: 'fee_schedule_deactivated',
+            requestedBy: req.user._id
+        });
+
+        await AuditTrail.record(req, {
+            action: 'fee_schedule_deactivated',
+            clientId: schedule.clientId,
+            subject: { type: 'FeeSchedule', id: schedule._id },
+            before: { isActive: wasActive },
+            after: { isActive: false }
+        });
+
+        res.json({
+            message: 'Fee schedule deactivated, recalculation queued',
+            recalculation: RecalculationQueue.describe(job)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
     }
 });
 
-// Add endpoint to view audit logs
-router.get('/audit-logs', adminAuth, async (req, res) => {
+// Get crystallised fees by month
+router.get('/fees', requirePermission('reports:view'), async (req, res) => {
     try {
-        const { clientId, action, startDate, endDate } = req.query;
-        let query = {};
+        const { startDate, endDate, clientId } = req.query;
+        const query = {};
 
-        if (clientId) query.clientId = clientId;
-        if (action) query.action = action;
         if (startDate || endDate) {
-            query.timestamp = {};
-            if (startDate) query.timestamp.$gte = new Date(startDate);
-            if (endDate) query.timestamp.$lte = new Date(endDate);
+            query.month = {};
+            if (startDate) query.month.$gte = new Date(startDate);
+            if (endDate) query.month.$lte = new Date(endDate);
         }
 
-        const logs = await AuditLog.find(query)
-            .populate('adminId', 'name email')
-            .populate('clientId', 'name email')
-            .sort('-timestamp')
-            .limit(100);
+        const monthlyReturns = await MonthlyReturn.find(query)
+            .sort('month')
+            .lean();
+
+        const fees = monthlyReturns.map(mr => {
+            const clientReturns = clientId
+                ? mr.clientReturns.filter(cr => cr.clientId.toString() === clientId)
+                : mr.clientReturns;
+
+            const sum = field => clientReturns.reduce((total, cr) => total + (cr[field] || 0), 0);
+
+            return {
+                month: mr.month,
+                navPerUnit: mr.navPerUnit,
+                grossReturn: sum('grossReturn'),
+                managementFee: sum('managementFee'),
+                performanceFee: sum('performanceFee'),
+                feeAmount: sum('feeAmount'),
+                netReturn: sum('returnAmount')
+            };
+        });
+
+        res.json(fees);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Enter currency data
+router.post('/currency-data', requirePermission('platform_data:write'), [
+    body('platformId').notEmpty(),
+    body('value').isFloat({ min: 0 }),
+    body('date').isISO8601()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { platformId, value, date } = req.body;
+        const dataDate = new Date(date);
+
+        // Calculate week and year
+        const week = getWeekNumber(dataDate);
+        const year = dataDate.getFullYear();
+
+        const currencyData = new CurrencyData({
+            platformId,
+            value,
+            date: dataDate,
+            week,
+            year,
+            enteredBy: req.user._id
+        });
+
+        await currencyData.save();
+
+        await AuditTrail.record(req, {
+            action: 'currency_data_entered',
+            subject: { type: 'CurrencyData', id: currencyData._id },
+            after: { platformId, value: currencyData.value, date: dataDate }
+        });
+
+        res.status(201).json(currencyData);
+    } catch (error) {
+        if (error.code === 11000) {
+            res.status(400).json({ error: 'Data for this platform and week already exists' });
+        } else {
+            res.status(500).json({ error: error.message });
+        }
+    }
+});
+
+// Add to src/routes/admin.js
+
+// Submit an edit to an investment's amount for approval
+router.put('/investments/:investmentId', requirePermission('investments:write'), [
+    body('amount').isFloat({ min: 0 }).withMessage('Amount must be positive'),
+    body('reason').notEmpty().withMessage('Reason for edit is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { amount, reason } = req.body;
+        const investment = await Investment.findById(req.params.investmentId);
+        const payload = { amount: parseFloat(amount) };
+
+        const problem = await ChangeRequests.check('investment_update', { investment, payload });
+        if (problem) {
+            return res.status(problem.status).json(problem.body);
+        }
+
+        const changeRequest = await ChangeRequests.submit('investment_update', {
+            investment,
+            payload,
+            reason
+        }, req);
+
+        res.status(202).json({
+            message: 'Investment edit submitted for approval',
+            changeRequest
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Submit an adjusting flow in the open period for approval, to correct an
+// investment dated in a closed period
+router.post('/investments/:investmentId/adjustments', requirePermission('investments:write'), [
+    body('correctedAmount').isFloat({ min: 0 }).withMessage('Corrected amount must be positive'),
+    body('reason').notEmpty().withMessage('Reason for adjustment is required'),
+    body('adjustmentDate').optional().isISO8601()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const investment = await Investment.findById(req.params.investmentId);
+        const payload = {
+            correctedAmount: parseFloat(req.body.correctedAmount),
+            adjustmentDate: req.body.adjustmentDate ? new Date(req.body.adjustmentDate) : new Date()
+        };
+
+        const problem = await ChangeRequests.check('investment_adjustment', { investment, payload });
+        if (problem) {
+            return res.status(problem.status).json(problem.body);
+        }
+
+        const changeRequest = await ChangeRequests.submit('investment_adjustment', {
+            investment,
+            payload,
+            reason: req.body.reason
+        }, req);
+
+        res.status(202).json({
+            message: 'Adjustment submitted for approval',
+            changeRequest
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Add platform investment
+router.post('/platform-investments', requirePermission('platforms:manage'), [
+    body('platformName').notEmpty().withMessage('Platform name is required'),
+    body('amount').isFloat({ min: 0 }).withMessage('Amount must be positive'),
+    body('investmentDate').isISO8601().withMessage('Valid date required'),
+    body('currency').optional().trim().toUpperCase().matches(CURRENCY_CODE_PATTERN).withMessage('Invalid currency code')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { platformName, amount, investmentDate, currency } = req.body;
+
+        const closed = await PeriodLock.check(new Date(investmentDate));
+        if (closed) {
+            return res.status(409).json(closed);
+        }
+
+        const platformInvestment = new PlatformInvestment({
+            platformName,
+            amount,
+            currency: FxService.normaliseCurrency(currency),
+            investmentDate: new Date(investmentDate),
+            currentValue: amount
+        });
+
+        await platformInvestment.save();
+        await Journal.postPlatformAllocation(platformInvestment, req.user._id);
+
+        // Recalculate from this date
+        const job = await RecalculationQueue.enqueue(platformInvestment.investmentDate, {
+            reason: 'platform_investment_created',
+            requestedBy: req.user._id
+        });
+
+        await AuditTrail.record(req, {
+            action: 'platform_created',
+            subject: { type: 'PlatformInvestment', id: platformInvestment._id },
+            after: {
+                platformName: platformInvestment.platformName,
+                amount: platformInvestment.amount,
+                currency: platformInvestment.currency,
+                investmentDate: platformInvestment.investmentDate
+            }
+        });
+
+        res.status(201).json({
+            message: 'Platform investment added',
+            platformInvestment,
+            recalculation: RecalculationQueue.describe(job)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Update platform returns
+router.put('/platform-investments/:platformId/returns', requirePermission('platform_data:write'), [
+    body('returnPercentage').isFloat().withMessage('Return percentage required'),
+    body('currentValue').isFloat({ min: 0 }).withMessage('Current value required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { returnPercentage, currentValue } = req.body;
+
+        const platform = await PlatformInvestment.findById(req.params.platformId);
+        if (!platform) {
+            return res.status(404).json({ error: 'Platform investment not found' });
+        }
+
+        const previousValue = platform.currentValue;
+        const previousReturn = platform.returnPercentage;
+        platform.returnPercentage = returnPercentage;
+        platform.currentValue = currentValue;
+        await platform.save();
+
+        await Journal.postValuationChange({
+            platform,
+            previousValue,
+            newValue: currentValue,
+            date: new Date(),
+            source: { type: 'platform_valuation', id: platform._id },
+            postedBy: req.user._id
+        });
+
+        // Recalculate current month
+        const job = await RecalculationQueue.enqueue(new Date(), {
+            reason: 'platform_returns_updated',
+            requestedBy: req.user._id
+        });
+
+        await AuditTrail.record(req, {
+            action: 'platform_returns_updated',
+            subject: { type: 'PlatformInvestment', id: platform._id },
+            before: { returnPercentage: previousReturn, currentValue: previousValue },
+            after: { returnPercentage: platform.returnPercentage, currentValue: platform.currentValue }
+        });
+
+        res.json({
+            message: 'Platform returns updated',
+            platform,
+            recalculation: RecalculationQueue.describe(job)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get corpus overview
+router.get('/corpus/overview', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const { date = new Date() } = req.query;
+
+        // Get corpus data
+        const corpusData = await InvestmentCalculator.getCorpusAtDate(new Date(date));
+
+        // Get platform investments, valued in the base currency at today's rates
+        const platforms = await PlatformInvestment.find({ status: 'active' });
+        const rates = await FxService.getRates(platforms.map(p => p.currency), new Date());
+
+        // Get latest monthly return
+        const latestReturn = await MonthlyReturn.findOne()
+            .sort('-month')
+            .populate('clientReturns.clientId', 'name email');
+
+        res.json({
+            corpus: corpusData,
+            platforms,
+            latestMonthlyReturn: latestReturn,
+            summary: {
+                totalCorpus: corpusData.totalCorpus,
+                baseCurrency: FxService.getBaseCurrency(),
+                totalPlatformValue: platforms.reduce(
+                    (sum, p) => sum + p.currentValue * rates[FxService.normaliseCurrency(p.currency)],
+                    0
+                ),
+                navPerUnit: latestReturn ? latestReturn.navPerUnit : InvestmentCalculator.INITIAL_NAV_PER_UNIT,
+                totalUnits: corpusData.totalUnits,
+                numberOfClients: corpusData.clientShares.length,
+                numberOfPlatforms: platforms.length
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get client portfolio with proportional returns
+router.get('/clients/:clientId/portfolio', requirePermission('clients:view'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+
+        const portfolio = await ClientPortfolio.getPortfolio(clientId);
+
+        res.json(portfolio);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get a client's generated statements
+router.get('/clients/:clientId/statements', requirePermission('clients:view'), async (req, res) => {
+    try {
+        const statements = await Statement.find({ clientId: req.params.clientId })
+            .sort('-periodStart');
+
+        res.json(statements);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Generate a client's statement for a month or date range
+router.post('/clients/:clientId/statements', requirePermission('statements:generate'), [
+    body('month').optional().isISO8601(),
+    body('startDate').optional().isISO8601(),
+    body('endDate').optional().isISO8601()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (!req.body.month && !req.body.startDate) {
+            return res.status(400).json({ error: 'Month or start date is required' });
+        }
+
+        const { periodStart, periodEnd } = StatementGenerator.resolvePeriod(req.body);
+        const statement = await StatementGenerator.generate(
+            req.params.clientId,
+            periodStart,
+            periodEnd,
+            req.user._id
+        );
+
+        await AuditTrail.record(req, {
+            action: 'statement_generated',
+            clientId: statement.clientId,
+            subject: { type: 'Statement', id: statement._id },
+            details: { periodStart, periodEnd }
+        });
+
+        res.status(201).json(statement);
+    } catch (error) {
+        if (error.message === 'Client not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Generate month-end statements for every client
+router.post('/statements/bulk', requirePermission('statements:generate'), [
+    body('month').isISO8601().withMessage('Valid month required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { periodStart, periodEnd } = StatementGenerator.resolvePeriod({ month: req.body.month });
+        const results = await StatementGenerator.generateForAllClients(periodStart, periodEnd, req.user._id);
+
+        await AuditTrail.record(req, {
+            action: 'statements_generated',
+            details: {
+                periodStart,
+                periodEnd,
+                generated: results.filter(result => result.success).length,
+                failed: results.filter(result => !result.success).length
+            }
+        });
+
+        res.json({
+            message: 'Statements generated',
+            periodStart,
+            periodEnd,
+            generated: results.filter(result => result.success).length,
+            failed: results.filter(result => !result.success).length,
+            results
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Download a generated statement
+router.get('/statements/:statementId/download', requirePermission('clients:view'), async (req, res) => {
+    try {
+        const statement = await Statement.findById(req.params.statementId).select('+pdf +csv');
+
+        if (!statement) {
+            return res.status(404).json({ error: 'Statement not found' });
+        }
+
+        StatementGenerator.send(res, statement, req.query.format);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Export the fund ledger for a date range: CSV (one sheet per request) or XLSX (all sheets)
+router.get('/exports/ledger', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const { startDate, endDate, format = 'xlsx', sheet } = req.query;
+
+        if (!startDate || !endDate) {
+            return res.status(400).json({ error: 'Start date and end date are required' });
+        }
+
+        const start = new Date(startDate);
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        if (isNaN(start) || isNaN(end) || start > end) {
+            return res.status(400).json({ error: 'Invalid date range' });
+        }
+
+        if (!['csv', 'xlsx'].includes(format)) {
+            return res.status(400).json({ error: 'Format must be csv or xlsx' });
+        }
+        if (format === 'csv' && !LedgerExporter.getSheetNames().includes(sheet)) {
+            return res.status(400).json({
+                error: 'CSV export needs a sheet',
+                sheets: LedgerExporter.getSheetNames()
+            });
+        }
+
+        const ledger = await LedgerExporter.buildLedger(start, end);
+        const filename = `ledger-${startDate}-${endDate}`;
+
+        if (format === 'csv') {
+            res.set('Content-Type', 'text/csv');
+            res.set('Content-Disposition', `attachment; filename="${filename}-${sheet}.csv"`);
+            return res.send(LedgerExporter.renderCsv(ledger, sheet));
+        }
+
+        const workbook = await LedgerExporter.renderXlsx(ledger);
+        res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.set('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+        res.send(Buffer.from(workbook));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get withdrawal requests
+router.get('/withdrawal-requests', requirePermission('clients:view'), async (req, res) => {
+    try {
+        const { status, clientId } = req.query;
+        const query = {};
+
+        if (status) query.status = status;
+        if (clientId) query.clientId = clientId;
+
+        const requests = await WithdrawalRequest.find(query)
+            .populate('clientId', 'name email')
+            .populate('reviewedBy', 'name')
+            .sort('-createdAt');
+
+        res.json(requests);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Approve a withdrawal request in full or in part; a second admin approves the payout
+router.post('/withdrawal-requests/:requestId/approve', requirePermission('withdrawals:approve'), [
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be positive'),
+    body('withdrawalDate').optional().isISO8601(),
+    body('note').optional().isString().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const request = await WithdrawalRequest.findById(req.params.requestId);
+        if (!request) {
+            return res.status(404).json({ error: 'Withdrawal request not found' });
+        }
+        if (request.status !== 'pending') {
+            return res.status(400).json({ error: `Withdrawal request is already ${request.status}` });
+        }
+
+        const amount = req.body.amount !== undefined
+            ? parseFloat(req.body.amount)
+            : request.requestedAmount;
+
+        if (amount > request.requestedAmount) {
+            return res.status(400).json({ error: 'Approved amount exceeds requested amount' });
+        }
+
+        const withdrawalDate = req.body.withdrawalDate ? new Date(req.body.withdrawalDate) : new Date();
+        const payload = {
+            clientId: request.clientId,
+            amount,
+            investmentDate: withdrawalDate,
+            type: 'withdrawal',
+            currency: FxService.normaliseCurrency(),
+            withdrawalRequestId: request._id
+        };
+
+        // The payout is made like any other withdrawal, once a second admin
+        // approves it
+        const problem = await ChangeRequests.check('investment_create', { payload });
+        if (problem) {
+            return res.status(problem.status).json(problem.body);
+        }
+
+        // Claim the request before submitting the payout, so two reviewers
+        // can't both approve it
+        const isPartial = amount < request.requestedAmount;
+        const claimed = await WithdrawalRequest.findOneAndUpdate(
+            { _id: request._id, status: 'pending' },
+            {
+                $set: {
+                    status: 'awaiting_approval',
+                    approvedAmount: amount,
+                    reviewNote: req.body.note,
+                    reviewedBy: req.user._id,
+                    reviewedAt: new Date()
+                }
+            },
+            { new: true }
+        );
+        if (!claimed) {
+            return res.status(400).json({ error: 'Withdrawal request is no longer pending' });
+        }
+
+        let changeRequest;
+        try {
+            changeRequest = await ChangeRequests.submit('investment_create', {
+                payload,
+                reason: req.body.note || 'Client withdrawal request'
+            }, req);
+        } catch (error) {
+            // Release the claim so the request can be reviewed again
+            await WithdrawalRequest.updateOne(
+                { _id: claimed._id },
+                {
+                    $set: { status: 'pending' },
+                    $unset: { approvedAmount: 1, reviewNote: 1, reviewedBy: 1, reviewedAt: 1 }
+                }
+            );
+            throw error;
+        }
+
+        claimed.changeRequestId = changeRequest._id;
+        await claimed.save();
+
+        await AuditTrail.record(req, {
+            action: isPartial ? 'withdrawal_partially_approved' : 'withdrawal_approved',
+            clientId: claimed.clientId,
+            subject: { type: 'WithdrawalRequest', id: claimed._id },
+            before: { status: 'pending', requestedAmount: claimed.requestedAmount },
+            after: { status: claimed.status, approvedAmount: amount },
+            details: {
+                changeRequestId: changeRequest._id,
+                note: claimed.reviewNote
+            }
+        });
+
+        res.status(202).json({
+            message: 'Withdrawal submitted for approval',
+            request: claimed,
+            changeRequest
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Reject a withdrawal request
+router.post('/withdrawal-requests/:requestId/reject', requirePermission('withdrawals:approve'), [
+    body('reason').notEmpty().withMessage('Reason for rejection is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const request = await WithdrawalRequest.findById(req.params.requestId);
+        if (!request) {
+            return res.status(404).json({ error: 'Withdrawal request not found' });
+        }
+        if (request.status !== 'pending') {
+            return res.status(400).json({ error: `Withdrawal request is already ${request.status}` });
+        }
+
+        // Only reject it if no one has reviewed it in the meantime
+        const rejected = await WithdrawalRequest.findOneAndUpdate(
+            { _id: request._id, status: 'pending' },
+            {
+                $set: {
+                    status: 'rejected',
+                    reviewNote: req.body.reason,
+                    reviewedBy: req.user._id,
+                    reviewedAt: new Date()
+                }
+            },
+            { new: true }
+        );
+        if (!rejected) {
+            return res.status(400).json({ error: 'Withdrawal request is no longer pending' });
+        }
+
+        await AuditTrail.record(req, {
+            action: 'withdrawal_rejected',
+            clientId: rejected.clientId,
+            subject: { type: 'WithdrawalRequest', id: rejected._id },
+            before: { status: 'pending' },
+            after: { status: rejected.status },
+            details: {
+                requestedAmount: rejected.requestedAmount,
+                reason: req.body.reason
+            }
+        });
+
+        res.json({ message: 'Withdrawal request rejected', request: rejected });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Continuation of admin.js routes...
+
+// Submit an investment's cancellation for approval
+router.delete('/investments/:investmentId', requirePermission('investments:write'), [
+    body('reason').optional().isString().trim()
+], async (req, res) => {
+    try {
+        const investment = await Investment.findById(req.params.investmentId);
+
+        const problem = await ChangeRequests.check('investment_cancel', { investment });
+        if (problem) {
+            return res.status(problem.status).json(problem.body);
+        }
+
+        const changeRequest = await ChangeRequests.submit('investment_cancel', {
+            investment,
+            payload: {},
+            reason: req.body.reason
+        }, req);
+
+        res.status(202).json({
+            message: 'Investment cancellation submitted for approval',
+            changeRequest
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List change requests awaiting approval, or with another status
+router.get('/change-requests', requirePermission('investments:write'), async (req, res) => {
+    try {
+        await ChangeRequests.expireStale();
+
+        const { status = 'pending', clientId } = req.query;
+        const query = { status };
+        if (clientId) query.clientId = clientId;
+
+        const changeRequests = await ChangeRequest.find(query)
+            .populate('clientId', 'name email clientCode')
+            .populate('requestedBy', 'name email')
+            .populate('reviewedBy', 'name email')
+            .sort(status === 'pending' ? 'requestedAt' : '-reviewedAt')
+            .limit(200);
+
+        res.json(changeRequests);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get one change request with its before/after preview
+router.get('/change-requests/:requestId', requirePermission('investments:write'), async (req, res) => {
+    try {
+        await ChangeRequests.expireStale();
+
+        const changeRequest = await ChangeRequest.findById(req.params.requestId)
+            .populate('clientId', 'name email clientCode')
+            .populate('requestedBy', 'name email')
+            .populate('reviewedBy', 'name email');
+
+        if (!changeRequest) {
+            return res.status(404).json({ error: 'Change request not found' });
+        }
 
-        res.json(logs);
+        res.json(changeRequest);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Helper function to get week number
-function getWeekNumber(date) {
-    const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
-    const dayNum = d.getUTCDay() || 7;
-    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-    return Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
-}
-
-// Add to src/routes/admin.js
-
-// Edit investment endpoint
-router.put('/investments/:investmentId', adminAuth, [
-    body('amount').isFloat({ min: 0 }).withMessage('Amount must be positive'),
-    body('reason').notEmpty().withMessage('Reason for edit is required')
+// Approve and apply a change request; the approver must not be the admin who made it
+router.post('/change-requests/:requestId/approve', requirePermission('investments:approve'), [
+    body('note').optional().isString().trim()
 ], async (req, res) => {
     try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
+        await ChangeRequests.expireStale();
+
+        const changeRequest = await ChangeRequest.findById(req.params.requestId);
+        if (!changeRequest) {
+            return res.status(404).json({ error: 'Change request not found' });
+        }
+        if (changeRequest.status !== 'pending') {
+            return res.status(400).json({ error: `Change request is already ${changeRequest.status}` });
+        }
+        if (changeRequest.requestedBy.equals(req.user._id)) {
+            return res.status(403).json({ error: 'A different admin must approve this change' });
         }
 
-        const { amount, reason } = req.body;
-        const investment = await Investment.findById(req.params.investmentId);
+        const investment = changeRequest.investmentId
+            ? await Investment.findById(changeRequest.investmentId)
+            : null;
 
-        if (!investment) {
-            return res.status(404).json({ error: 'Investment not found' });
+        if (ChangeRequests.isStale(changeRequest, investment)) {
+            return res.status(409).json({ error: 'Investment has changed since this request was made; reject it and submit a new one' });
         }
-
-        // Store edit history
-        investment.editHistory.push({
-            previousAmount: investment.amount,
-            newAmount: amount,
-            editedBy: req.user.id,
-            reason: reason
+        const problem = await ChangeRequests.check(changeRequest.type, {
+            investment,
+            payload: changeRequest.payload,
+            changeRequestId: changeRequest._id
         });
+        if (problem) {
+            return res.status(problem.status).json(problem.body);
+        }
 
-        // Update amount
-        investment.amount = amount;
-        investment.isEdited = true;
-        await investment.save();
-
-        // Trigger recalculation from this investment's date
-        const recalcResult = await InvestmentCalculator.recalculateFromDate(
-            investment.investmentDate
+        // Claim the request so two approvals can't both apply it
+        const claimed = await ChangeRequest.findOneAndUpdate(
+            { _id: changeRequest._id, status: 'pending' },
+            { $set: { status: 'approved', reviewedBy: req.user._id, reviewedAt: new Date(), reviewNote: req.body.note } },
+            { new: true }
         );
+        if (!claimed) {
+            return res.status(400).json({ error: 'Change request has already been reviewed' });
+        }
+
+        let applied;
+        try {
+            applied = await ChangeRequests.apply(claimed, investment, req.user._id);
+        } catch (error) {
+            claimed.status = 'failed';
+            claimed.error = error.message;
+            await claimed.save();
+            await ChangeRequests.releaseWithdrawal(claimed);
+            throw error;
+        }
 
-        // Log the edit
-        // Log the edit
-        await AuditLog.create({
-            adminId: req.user.id,
-            action: 'edit_investment',
-            clientId: investment.clientId,
+        // Creates have no investment until now; adjustments keep the one they correct
+        if (!claimed.investmentId && applied.investment) {
+            claimed.investmentId = applied.investment._id;
+        }
+        claimed.investmentIds = applied.investments.map(investment => investment._id);
+        await claimed.save();
+
+        await AuditTrail.record(req, {
+            action: 'change_approved',
+            clientId: claimed.clientId,
+            // Imports write several investments, so log against the request
+            subject: applied.investment
+                ? { type: 'Investment', id: applied.investment._id }
+                : { type: 'ChangeRequest', id: claimed._id },
+            before: claimed.before,
+            after: claimed.after,
             details: {
-                investmentId: investment._id,
-                previousAmount: investment.editHistory[investment.editHistory.length - 1].previousAmount,
-                newAmount: amount,
-                reason: reason
-            },
-            ipAddress: req.ip,
-            userAgent: req.get('user-agent')
+                changeRequestId: claimed._id,
+                type: claimed.type,
+                investmentIds: claimed.investmentIds,
+                requestedBy: claimed.requestedBy,
+                note: claimed.reviewNote
+            }
         });
 
         res.json({
-            message: 'Investment updated and returns recalculated',
-            investment,
-            recalculation: recalcResult
+            message: 'Change approved, recalculation queued',
+            changeRequest: claimed,
+            investment: applied.investment,
+            investments: applied.investments,
+            recalculation: RecalculationQueue.describe(applied.job)
         });
     } catch (error) {
+        if (error.code === TRANSACTIONS_UNSUPPORTED) {
+            return res.status(503).json({ error: error.message });
+        }
         res.status(500).json({ error: error.message });
     }
 });
 
-// Add platform investment
-router.post('/platform-investments', adminAuth, [
-    body('platformName').notEmpty().withMessage('Platform name is required'),
-    body('amount').isFloat({ min: 0 }).withMessage('Amount must be positive'),
-    body('investmentDate').isISO8601().withMessage('Valid date required')
+// Reject a change request
+router.post('/change-requests/:requestId/reject', requirePermission('investments:approve'), [
+    body('reason').notEmpty().withMessage('Reason for rejection is required')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -459,33 +1671,39 @@ router.post('/platform-investments', adminAuth, [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { platformName, amount, investmentDate } = req.body;
+        await ChangeRequests.expireStale();
 
-        const platformInvestment = new PlatformInvestment({
-            platformName,
-            amount,
-            investmentDate: new Date(investmentDate),
-            currentValue: amount
-        });
-
-        await platformInvestment.save();
-
-        // Recalculate from this date
-        await InvestmentCalculator.recalculateFromDate(new Date(investmentDate));
+        const changeRequest = await ChangeRequest.findOneAndUpdate(
+            { _id: req.params.requestId, status: 'pending' },
+            { $set: { status: 'rejected', reviewedBy: req.user._id, reviewedAt: new Date(), reviewNote: req.body.reason } },
+            { new: true }
+        );
+        if (!changeRequest) {
+            return res.status(404).json({ error: 'No pending change request found' });
+        }
+        await ChangeRequests.releaseWithdrawal(changeRequest);
 
-        res.status(201).json({
-            message: 'Platform investment added',
-            platformInvestment
+        await AuditTrail.record(req, {
+            action: 'change_rejected',
+            clientId: changeRequest.clientId,
+            subject: { type: 'ChangeRequest', id: changeRequest._id },
+            details: {
+                type: changeRequest.type,
+                investmentId: changeRequest.investmentId,
+                requestedBy: changeRequest.requestedBy,
+                reason: req.body.reason
+            }
         });
+
+        res.json({ message: 'Change request rejected', changeRequest });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Update platform returns
-router.put('/platform-investments/:platformId/returns', adminAuth, [
-    body('returnPercentage').isFloat().withMessage('Return percentage required'),
-    body('currentValue').isFloat({ min: 0 }).withMessage('Current value required')
+// Manual recalculation trigger
+router.post('/recalculate', requirePermission('recalc:run'), [
+    body('fromDate').isISO8601().withMessage('Valid date required')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -493,199 +1711,91 @@ router.put('/platform-investments/:platformId/returns', adminAuth, [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { returnPercentage, currentValue } = req.body;
-
-        const platform = await PlatformInvestment.findById(req.params.platformId);
-        if (!platform) {
-            return res.status(404).json({ error: 'Platform investment not found' });
-        }
-
-        platform.returnPercentage = returnPercentage;
-        platform.currentValue = currentValue;
-        await platform.save();
-
-        // Recalculate current month
-        const currentMonth = new Date();
-        await InvestmentCalculator.calculateMonthlyReturns(currentMonth);
+        const { fromDate } = req.body;
 
-        res.json({
-            message: 'Platform returns updated',
-            platform
+        const job = await RecalculationQueue.enqueue(new Date(fromDate), {
+            reason: 'manual_recalculation',
+            requestedBy: req.user._id
         });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Get corpus overview
-router.get('/corpus/overview', adminAuth, async (req, res) => {
-    try {
-        const { date = new Date() } = req.query;
-
-        // Get corpus data
-        const corpusData = await InvestmentCalculator.getCorpusAtDate(new Date(date));
 
-        // Get platform investments
-        const platforms = await PlatformInvestment.find({ status: 'active' });
-
-        // Get latest monthly return
-        const latestReturn = await MonthlyReturn.findOne()
-            .sort('-month')
-            .populate('clientReturns.clientId', 'name email');
+        // Log the action
+        await AuditTrail.record(req, {
+            action: 'manual_recalculation',
+            subject: { type: 'RecalculationJob', id: job._id },
+            details: { fromDate }
+        });
 
-        res.json({
-            corpus: corpusData,
-            platforms,
-            latestMonthlyReturn: latestReturn,
-            summary: {
-                totalCorpus: corpusData.totalCorpus,
-                totalPlatformValue: platforms.reduce((sum, p) => sum + p.currentValue, 0),
-                numberOfClients: corpusData.clientShares.length,
-                numberOfPlatforms: platforms.length
-            }
+        res.status(202).json({
+            message: 'Recalculation queued',
+            recalculation: RecalculationQueue.describe(job)
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get client portfolio with proportional returns
-router.get('/clients/:clientId/portfolio', adminAuth, async (req, res) => {
+// Get recalculation jobs, most recent first
+router.get('/recalculation-jobs', requirePermission('reports:view'), async (req, res) => {
     try {
-        const { clientId } = req.params;
-
-        // Get all client investments
-        const investments = await Investment.find({
-            clientId,
-            status: 'active'
-        }).sort('investmentDate');
-
-        // Get monthly returns for this client
-        const monthlyReturns = await MonthlyReturn.find({
-            'clientReturns.clientId': clientId
-        })
-            .sort('month')
-            .lean();
-
-        // Extract client-specific returns
-        const clientReturns = monthlyReturns.map(mr => {
-            const clientReturn = mr.clientReturns.find(
-                cr => cr.clientId.toString() === clientId
-            );
-            return {
-                month: mr.month,
-                totalCorpus: mr.totalCorpus,
-                sharePercentage: clientReturn.sharePercentage,
-                investmentShare: clientReturn.investmentShare,
-                returnAmount: clientReturn.returnAmount,
-                closingBalance: clientReturn.closingBalance,
-                monthlyReturnPercentage: mr.monthlyReturnPercentage
-            };
-        });
-
-        // Calculate summary
-        const totalInvested = investments.reduce((sum, inv) => {
-            return sum + (inv.type === 'withdrawal' ? -inv.amount : inv.amount);
-        }, 0);
+        const { status } = req.query;
+        const query = status ? { status } : {};
 
-        const currentValue = clientReturns.length > 0
-            ? clientReturns[clientReturns.length - 1].closingBalance
-            : totalInvested;
+        const jobs = await RecalculationJob.find(query)
+            .sort('-createdAt')
+            .limit(50);
 
-        const totalReturns = currentValue - totalInvested;
-        const returnPercentage = totalInvested > 0
-            ? ((totalReturns / totalInvested) * 100).toFixed(2)
-            : 0;
-
-        res.json({
-            investments,
-            monthlyReturns: clientReturns,
-            summary: {
-                totalInvested,
-                currentValue,
-                totalReturns,
-                returnPercentage: parseFloat(returnPercentage)
-            }
-        });
+        res.json(jobs.map(job => RecalculationQueue.describe(job)));
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Continuation of admin.js routes...
-
-// Delete investment
-router.delete('/investments/:investmentId', adminAuth, async (req, res) => {
+// Get a recalculation job's status and progress
+router.get('/recalculation-jobs/:jobId', requirePermission('reports:view'), async (req, res) => {
     try {
-        const investment = await Investment.findById(req.params.investmentId);
+        const job = await RecalculationJob.findById(req.params.jobId)
+            .populate('triggers.requestedBy', 'name email');
 
-        if (!investment) {
-            return res.status(404).json({ error: 'Investment not found' });
+        if (!job) {
+            return res.status(404).json({ error: 'Recalculation job not found' });
         }
 
-        // Store for recalculation
-        const investmentDate = investment.investmentDate;
-        const clientId = investment.clientId;
-
-        // Soft delete by changing status
-        investment.status = 'cancelled';
-        await investment.save();
-
-        // Trigger recalculation
-        await InvestmentCalculator.recalculateFromDate(investmentDate);
-
-        // Log the deletion
-        await AuditLog.create({
-            adminId: req.user.id,
-            action: 'delete_investment',
-            clientId: clientId,
-            details: {
-                investmentId: investment._id,
-                amount: investment.amount,
-                date: investmentDate
-            },
-            ipAddress: req.ip,
-            userAgent: req.get('user-agent')
-        });
-
         res.json({
-            message: 'Investment deleted and returns recalculated'
+            ...RecalculationQueue.describe(job),
+            triggers: job.triggers,
+            result: job.result
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Manual recalculation trigger
-router.post('/recalculate', adminAuth, [
-    body('fromDate').isISO8601().withMessage('Valid date required')
-], async (req, res) => {
+// Queue a failed recalculation job again
+router.post('/recalculation-jobs/:jobId/retry', requirePermission('recalc:run'), async (req, res) => {
     try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
-        }
+        const failedJob = await RecalculationJob.findById(req.params.jobId);
 
-        const { fromDate } = req.body;
+        if (!failedJob) {
+            return res.status(404).json({ error: 'Recalculation job not found' });
+        }
+        if (failedJob.status !== 'failed') {
+            return res.status(400).json({ error: `Recalculation job is ${failedJob.status}` });
+        }
 
-        // Trigger recalculation
-        const result = await InvestmentCalculator.recalculateFromDate(new Date(fromDate));
+        const job = await RecalculationQueue.enqueue(failedJob.fromDate, {
+            reason: 'retry',
+            requestedBy: req.user._id
+        });
 
-        // Log the action
-        await AuditLog.create({
-            adminId: req.user.id,
-            action: 'manual_recalculation',
-            details: {
-                fromDate: fromDate,
-                monthsRecalculated: result.monthsRecalculated
-            },
-            ipAddress: req.ip,
-            userAgent: req.get('user-agent')
+        await AuditTrail.record(req, {
+            action: 'recalculation_retried',
+            subject: { type: 'RecalculationJob', id: job._id },
+            details: { failedJobId: failedJob._id, fromDate: failedJob.fromDate }
         });
 
-        res.json({
-            message: 'Recalculation completed',
-            result
+        res.status(202).json({
+            message: 'Recalculation queued',
+            recalculation: RecalculationQueue.describe(job)
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -693,7 +1803,7 @@ router.post('/recalculate', adminAuth, [
 });
 
 // Get investment history with edits
-router.get('/investments/history/:clientId', adminAuth, async (req, res) => {
+router.get('/investments/history/:clientId', requirePermission('clients:view'), async (req, res) => {
     try {
         const { clientId } = req.params;
         const { includeEdits = true } = req.query;
@@ -712,7 +1822,7 @@ router.get('/investments/history/:clientId', adminAuth, async (req, res) => {
 });
 
 // Bulk platform return update
-router.post('/platform-investments/bulk-update', adminAuth, [
+router.post('/platform-investments/bulk-update', requirePermission('platform_data:write'), [
     body('updates').isArray().withMessage('Updates must be an array'),
     body('updates.*.platformId').notEmpty().withMessage('Platform ID required'),
     body('updates.*.returnPercentage').isFloat().withMessage('Return percentage required')
@@ -729,13 +1839,24 @@ router.post('/platform-investments/bulk-update', adminAuth, [
         for (const update of updates) {
             const platform = await PlatformInvestment.findById(update.platformId);
             if (platform) {
+                const previousValue = platform.currentValue;
                 platform.returnPercentage = update.returnPercentage;
                 platform.currentValue = platform.amount * (1 + update.returnPercentage / 100);
                 await platform.save();
+                await Journal.postValuationChange({
+                    platform,
+                    previousValue,
+                    newValue: platform.currentValue,
+                    date: new Date(),
+                    source: { type: 'platform_valuation', id: platform._id },
+                    postedBy: req.user._id
+                });
                 results.push({
                     platformId: platform._id,
                     platformName: platform.platformName,
-                    success: true
+                    success: true,
+                    previousValue,
+                    currentValue: platform.currentValue
                 });
             } else {
                 results.push({
@@ -747,11 +1868,26 @@ router.post('/platform-investments/bulk-update', adminAuth, [
         }
 
         // Recalculate current month
-        await InvestmentCalculator.calculateMonthlyReturns(new Date());
+        const job = await RecalculationQueue.enqueue(new Date(), {
+            reason: 'platform_returns_updated',
+            requestedBy: req.user._id
+        });
+
+        await AuditTrail.record(req, {
+            action: 'platform_returns_updated',
+            details: {
+                updates: results.filter(result => result.success).map(result => ({
+                    platformId: result.platformId,
+                    before: { currentValue: result.previousValue },
+                    after: { currentValue: result.currentValue }
+                }))
+            }
+        });
 
         res.json({
             message: 'Platform returns updated',
-            results
+            results,
+            recalculation: RecalculationQueue.describe(job)
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -759,7 +1895,7 @@ router.post('/platform-investments/bulk-update', adminAuth, [
 });
 
 // Enter weekly platform data
-router.post('/platforms/weekly-data', adminAuth, [
+router.post('/platforms/weekly-data', requirePermission('platform_data:write'), [
     body('platformId').notEmpty(),
     body('weekStartDate').isISO8601(),
     body('closingValue').isFloat({ min: 0 }),
@@ -777,6 +1913,12 @@ router.post('/platforms/weekly-data', adminAuth, [
         const endDate = new Date(startDate);
         endDate.setDate(endDate.getDate() + 6);
 
+        // A week straddling a month end is locked if either side is closed
+        const closed = await PeriodLock.check(startDate, endDate);
+        if (closed) {
+            return res.status(409).json(closed);
+        }
+
         // Get previous week's closing value as opening value
         const previousWeek = await WeeklyPlatformData.findOne({
             platformId,
@@ -804,17 +1946,91 @@ router.post('/platforms/weekly-data', adminAuth, [
         await weeklyData.save();
 
         // Update platform's current value
+        const previousValue = platform.currentValue;
         platform.currentValue = closingValue;
         await platform.save();
 
+        await Journal.postValuationChange({
+            platform,
+            previousValue,
+            newValue: closingValue,
+            date: endDate,
+            source: { type: 'weekly_valuation', id: weeklyData._id },
+            postedBy: req.user._id
+        });
+
+        await AuditTrail.record(req, {
+            action: 'weekly_data_entered',
+            subject: { type: 'WeeklyPlatformData', id: weeklyData._id },
+            before: { currentValue: previousValue },
+            after: { currentValue: closingValue },
+            details: { platformId: platform._id, weekStartDate: startDate, openingValue, notes }
+        });
+
         res.json({ message: 'Weekly data saved successfully', weeklyData });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// Import weekly platform data from CSV with platform, week start and closing value columns
+router.post('/platforms/weekly-data/import', requirePermission('platform_data:write'), async (req, res) => {
+    try {
+        const csv = typeof req.body === 'string' ? req.body : req.body.csv;
+        if (!csv) {
+            return res.status(400).json({ error: 'CSV content is required' });
+        }
+
+        const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true;
+        const result = await WeeklyDataImporter.import(csv, {
+            dryRun,
+            enteredBy: req.user._id
+        });
+
+        if (result.results.length === 0) {
+            return res.status(400).json({ error: 'No data rows to import' });
+        }
+        if (result.errorCount > 0) {
+            return res.status(400).json({
+                message: 'Import rejected, no rows were saved',
+                ...result
+            });
+        }
+
+        if (!result.applied) {
+            return res.json({ message: 'Dry run passed, no rows were saved', ...result });
+        }
+
+        // Imported weeks can change month-end valuations
+        const job = await RecalculationQueue.enqueue(result.earliestWeek, {
+            reason: 'weekly_data_imported',
+            requestedBy: req.user._id
+        });
+
+        await AuditTrail.record(req, {
+            action: 'weekly_data_imported',
+            details: {
+                rows: result.results.length,
+                platformIds: [...new Set(result.results.map(row => row.platformId.toString()))],
+                earliestWeek: result.earliestWeek
+            }
+        });
+
+        res.status(201).json({
+            message: 'Weekly data imported successfully',
+            ...result,
+            recalculation: RecalculationQueue.describe(job)
+        });
+    } catch (error) {
+        if (error.code === TRANSACTIONS_UNSUPPORTED) {
+            return res.status(503).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Get weekly performance overview
-router.get('/platforms/weekly-performance', adminAuth, async (req, res) => {
+router.get('/platforms/weekly-performance', requirePermission('reports:view'), async (req, res) => {
     try {
         const { startDate, endDate } = req.query;
 
@@ -823,13 +2039,15 @@ router.get('/platforms/weekly-performance', adminAuth, async (req, res) => {
         if (endDate) query.weekEndDate = { $lte: new Date(endDate) };
 
         const weeklyData = await WeeklyPlatformData.find(query)
-            .populate('platformId', 'platformName')
+            .populate('platformId', 'platformName currency')
             .sort('weekStartDate');
 
         // Group by week
         const weeklyPerformance = {};
 
-        weeklyData.forEach(data => {
+        for (const data of weeklyData) {
+            // Totals are in the base currency at each week's closing rate
+            const rate = await FxService.getRate(data.platformId.currency, data.weekEndDate);
             const weekKey = data.weekStartDate.toISOString().split('T')[0];
 
             if (!weeklyPerformance[weekKey]) {
@@ -846,6 +2064,8 @@ router.get('/platforms/weekly-performance', adminAuth, async (req, res) => {
 
             weeklyPerformance[weekKey].platforms.push({
                 platformName: data.platformId.platformName,
+                currency: FxService.normaliseCurrency(data.platformId.currency),
+                fxRate: rate,
                 openingValue: data.openingValue,
                 closingValue: data.closingValue,
                 profit: data.profitAmount,
@@ -853,10 +2073,10 @@ router.get('/platforms/weekly-performance', adminAuth, async (req, res) => {
                 isInterpolated: data.isInterpolated
             });
 
-            weeklyPerformance[weekKey].totalOpeningValue += data.openingValue;
-            weeklyPerformance[weekKey].totalClosingValue += data.closingValue;
-            weeklyPerformance[weekKey].totalProfit += data.profitAmount;
-        });
+            weeklyPerformance[weekKey].totalOpeningValue += data.openingValue * rate;
+            weeklyPerformance[weekKey].totalClosingValue += data.closingValue * rate;
+            weeklyPerformance[weekKey].totalProfit += data.profitAmount * rate;
+        }
 
         // Calculate overall return for each week
         Object.values(weeklyPerformance).forEach(week => {
@@ -870,7 +2090,7 @@ router.get('/platforms/weekly-performance', adminAuth, async (req, res) => {
 });
 
 // Calculate monthly returns from weekly data
-router.post('/monthly-returns/calculate-from-weekly', adminAuth, [
+router.post('/monthly-returns/calculate-from-weekly', requirePermission('recalc:run'), [
     body('month').isISO8601()
 ], async (req, res) => {
     try {
@@ -879,6 +2099,11 @@ router.post('/monthly-returns/calculate-from-weekly', adminAuth, [
         const startOfMonth = new Date(monthDate.getFullYear(), monthDate.getMonth(), 1);
         const endOfMonth = new Date(monthDate.getFullYear(), monthDate.getMonth() + 1, 0);
 
+        const closed = await PeriodLock.check(startOfMonth);
+        if (closed) {
+            return res.status(409).json(closed);
+        }
+
         // Get all weekly data for the month
         const weeklyData = await WeeklyPlatformData.find({
             weekStartDate: { $gte: startOfMonth },
@@ -891,20 +2116,29 @@ router.post('/monthly-returns/calculate-from-weekly', adminAuth, [
         // Calculate aggregate monthly return
         const monthlyReturn = await calculateMonthlyReturnFromWeekly(monthDate);
 
-        // Use the existing InvestmentCalculator
-        await InvestmentCalculator.calculateMonthlyReturns(monthDate, monthlyReturn);
+        // The month's new valuation carries into every later month
+        const job = await RecalculationQueue.enqueue(monthDate, {
+            reason: 'monthly_returns_from_weekly',
+            requestedBy: req.user._id
+        });
+
+        await AuditTrail.record(req, {
+            action: 'monthly_returns_calculated',
+            details: { month: startOfMonth, monthlyReturn, weeksUsed: weeklyData.length }
+        });
 
         res.json({
-            message: 'Monthly returns calculated successfully',
+            message: 'Monthly returns calculated, recalculation queued',
             monthlyReturn,
-            weeksUsed: weeklyData.length
+            weeksUsed: weeklyData.length,
+            recalculation: RecalculationQueue.describe(job)
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Helper function to interpolate missing weeks
+// Helper function to interpolate missing weeks, leaving weeks in closed periods alone
 async function interpolateMissingWeeks(startDate, endDate) {
     const platforms = await PlatformInvestment.find({ status: 'active' });
 
@@ -933,7 +2167,10 @@ async function interpolateMissingWeeks(startDate, endDate) {
                     weekStartDate: { $gt: currentWeek }
                 }).sort('weekStartDate');
 
-                if (before && after) {
+                const weekEnd = new Date(currentWeek.getTime() + 6 * 24 * 60 * 60 * 1000);
+                const closed = await PeriodLock.check(currentWeek, weekEnd);
+
+                if (before && after && !closed) {
                     // Linear interpolation
                     const weeksBetween = Math.ceil((after.weekStartDate - before.weekEndDate) / (7 * 24 * 60 * 60 * 1000));
                     const valueChange = after.openingValue - before.closingValue;
@@ -944,7 +2181,7 @@ async function interpolateMissingWeeks(startDate, endDate) {
                     await WeeklyPlatformData.create({
                         platformId: platform._id,
                         weekStartDate: currentWeek,
-                        weekEndDate: new Date(currentWeek.getTime() + 6 * 24 * 60 * 60 * 1000),
+                        weekEndDate: weekEnd,
                         weekNumber: getWeekNumber(currentWeek),
                         year: currentWeek.getFullYear(),
                         openingValue: before.closingValue,
@@ -994,12 +2231,12 @@ async function calculateMonthlyReturnFromWeekly(monthDate) {
 }
 
 // Get recent monthly returns
-router.get('/monthly-returns/recent', adminAuth, async (req, res) => {
+router.get('/monthly-returns/recent', requirePermission('reports:view'), async (req, res) => {
     try {
         const recentReturns = await MonthlyReturn.find()
             .sort('-month')
             .limit(12) // Last 12 months
-            .select('month totalCorpus monthlyReturnPercentage clientReturns calculatedAt');
+            .select('month totalCorpus monthlyReturnPercentage clientReturns calculatedAt version restatedAt');
 
         // Calculate total returns for each month
         const returnsWithTotals = recentReturns.map(monthReturn => {
@@ -1020,4 +2257,126 @@ router.get('/monthly-returns/recent', adminAuth, async (req, res) => {
     }
 });
 
+// List every version of a month's returns (month as YYYY-MM)
+router.get('/monthly-returns/:month/versions', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const month = Restatements.parseMonth(req.params.month);
+        if (!month) {
+            return res.status(400).json({ error: 'Month must be YYYY-MM' });
+        }
+
+        const versions = await Restatements.listVersions(month);
+        if (versions.length === 0) {
+            return res.status(404).json({ error: 'No versions found for this month' });
+        }
+
+        res.json(versions);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Per-client differences between two versions of a month's returns
+router.get('/monthly-returns/:month/versions/diff', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const month = Restatements.parseMonth(req.params.month);
+        const fromVersion = parseInt(req.query.from, 10);
+        const toVersion = parseInt(req.query.to, 10);
+        const { clientId } = req.query;
+
+        if (!month) {
+            return res.status(400).json({ error: 'Month must be YYYY-MM' });
+        }
+        if (!fromVersion || !toVersion) {
+            return res.status(400).json({ error: 'from and to versions are required' });
+        }
+
+        const diff = await Restatements.diffVersions(month, fromVersion, toVersion, clientId);
+        if (!diff) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        res.json(diff);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+
+// List closed and reopened periods
+router.get('/periods', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const periods = await PeriodLock.list();
+        const closedThrough = await PeriodLock.getClosedThrough();
+
+        res.json({ closedThrough, periods });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Close a month (YYYY-MM), freezing its returns
+router.post('/periods/:month/close', requirePermission('periods:close'), async (req, res) => {
+    try {
+        const month = Restatements.parseMonth(req.params.month);
+        if (!month) {
+            return res.status(400).json({ error: 'Month must be YYYY-MM' });
+        }
+
+        let period;
+        try {
+            period = await PeriodLock.close(month, req.user._id);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        await AuditTrail.record(req, {
+            action: 'period_closed',
+            subject: { type: 'PeriodClose', id: period._id },
+            after: { status: 'closed' },
+            details: { month: req.params.month }
+        });
+
+        res.json({ message: `${req.params.month} closed`, period });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Reopen the latest closed month (YYYY-MM)
+router.post('/periods/:month/reopen', requirePermission('periods:close'), [
+    body('reason').trim().notEmpty().withMessage('Reason for reopening is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const month = Restatements.parseMonth(req.params.month);
+        if (!month) {
+            return res.status(400).json({ error: 'Month must be YYYY-MM' });
+        }
+
+        let period;
+        try {
+            period = await PeriodLock.reopen(month, req.user._id, req.body.reason);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        await AuditTrail.record(req, {
+            action: 'period_reopened',
+            subject: { type: 'PeriodClose', id: period._id },
+            before: { status: 'closed' },
+            after: { status: 'reopened' },
+            details: { month: req.params.month, reason: req.body.reason }
+        });
+
+        res.json({ message: `${req.params.month} reopened`, period });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,175 @@
+const express = require('express');
+const { requirePermission } = require('../middleware/auth');
+const PerformanceAnalytics = require('../services/performanceAnalytics');
+
+const router = express.Router();
+
+/**
+ * Read the shared analytics query options: frequency (weekly or monthly),
+ * riskFreeRate (annual percent), startDate, endDate and, for rolling
+ * endpoints, window (number of periods). Returns { error } when invalid.
+ */
+function parseOptions(query, { rolling = false } = {}) {
+    const frequency = query.frequency || 'monthly';
+    if (!PerformanceAnalytics.getFrequencies().includes(frequency)) {
+        return { error: `Frequency must be one of: ${PerformanceAnalytics.getFrequencies().join(', ')}` };
+    }
+
+    const riskFreeRate = query.riskFreeRate !== undefined
+        ? parseFloat(query.riskFreeRate)
+        : PerformanceAnalytics.getDefaultRiskFreeRate();
+    if (isNaN(riskFreeRate)) {
+        return { error: 'Risk-free rate must be a number' };
+    }
+
+    const startDate = query.startDate ? new Date(query.startDate) : undefined;
+    const endDate = query.endDate ? new Date(query.endDate) : undefined;
+    if ((startDate && isNaN(startDate)) || (endDate && isNaN(endDate))) {
+        return { error: 'Invalid date range' };
+    }
+
+    const options = { frequency, riskFreeRate, startDate, endDate };
+    if (rolling) {
+        options.window = query.window !== undefined
+            ? parseInt(query.window, 10)
+            : PerformanceAnalytics.getDefaultWindow(frequency);
+        if (!(options.window >= 2)) {
+            return { error: 'Window must be at least 2 periods' };
+        }
+    }
+
+    return { options };
+}
+
+// Fund metrics with return, cumulative and drawdown series
+router.get('/fund', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const { options, error } = parseOptions(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        res.json(await PerformanceAnalytics.getFundAnalytics(options));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Fund metrics over a trailing window
+router.get('/fund/rolling', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const { options, error } = parseOptions(req.query, { rolling: true });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        res.json(await PerformanceAnalytics.getRollingAnalytics(null, options));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Fund against its linked benchmark, or the one given as benchmarkId
+router.get('/fund/benchmark', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const { options, error } = parseOptions(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        let relative;
+        try {
+            relative = await PerformanceAnalytics.getRelativePerformance(null, {
+                ...options,
+                benchmarkId: req.query.benchmarkId
+            });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        res.json(relative);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Headline metrics for the fund and every platform side by side
+router.get('/platforms', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const { options, error } = parseOptions(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        res.json(await PerformanceAnalytics.compareAll(options));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// One platform's metrics with return, cumulative and drawdown series
+router.get('/platforms/:platformId', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const { options, error } = parseOptions(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const analytics = await PerformanceAnalytics.getPlatformAnalytics(req.params.platformId, options);
+        if (!analytics) {
+            return res.status(404).json({ error: 'Platform investment not found' });
+        }
+
+        res.json(analytics);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// One platform's metrics over a trailing window
+router.get('/platforms/:platformId/rolling', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const { options, error } = parseOptions(req.query, { rolling: true });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const rolling = await PerformanceAnalytics.getRollingAnalytics(req.params.platformId, options);
+        if (!rolling) {
+            return res.status(404).json({ error: 'Platform investment not found' });
+        }
+
+        res.json(rolling);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// One platform against its linked benchmark, or the one given as benchmarkId
+router.get('/platforms/:platformId/benchmark', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const { options, error } = parseOptions(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        let relative;
+        try {
+            relative = await PerformanceAnalytics.getRelativePerformance(req.params.platformId, {
+                ...options,
+                benchmarkId: req.query.benchmarkId
+            });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (!relative) {
+            return res.status(404).json({ error: 'Platform investment not found' });
+        }
+
+        res.json(relative);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,11 +1,49 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const { auth, adminSetupAuth } = require('../middleware/auth');
+const LoginAttempts = require('../services/loginAttempts');
+const AuditTrail = require('../services/auditTrail');
+const Sessions = require('../services/sessions');
+const TwoFactor = require('../services/twoFactor');
+const { getPermissions } = require('../utils/permissions');
 
 const router = express.Router();
 
-// Admin login
+// Start a session for an admin who has passed every login step
+async function sendAdminSession(req, res, user) {
+    await LoginAttempts.recordSuccess(user);
+    await LoginAttempts.log(req, { identifier: user.email, user, role: 'admin', success: true });
+
+    const { token, refreshToken, expiresIn } = await Sessions.create(user, req);
+    const twoFactorEnabled = Boolean(user.twoFactor && user.twoFactor.enabled);
+
+    res.json({
+        token,
+        refreshToken,
+        expiresIn,
+        // Admins without 2FA can only reach the 2FA setup routes while it's enforced
+        twoFactorSetupRequired: TwoFactor.isRequired() && !twoFactorEnabled,
+        user: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            staffRole: user.staffRole,
+            permissions: getPermissions(user.staffRole),
+            twoFactorEnabled
+        }
+    });
+}
+
+// Tell the client how long an account is locked for
+function sendLocked(res, retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'Too many failed attempts. Try again later.', retryAfter });
+}
+
+// Admin login, step one: email and password. Admins with 2FA get a
+// challenge token to complete at /admin/login/2fa instead of a session.
 router.post('/admin/login', [
     body('email').isEmail(),
     body('password').notEmpty()
@@ -17,37 +55,110 @@ router.post('/admin/login', [
         }
 
         const { email, password } = req.body;
-        console.log(req.body);
-        const user = await User.findOne({ email, role: 'admin' });
+        const user = await User.findOne({ email: email.toLowerCase(), role: 'admin' });
+
+        const retryAfter = LoginAttempts.getRetryAfter(user);
+        if (retryAfter > 0) {
+            await LoginAttempts.log(req, { identifier: email, user, role: 'admin', success: false, failureReason: 'locked' });
+            return sendLocked(res, retryAfter);
+        }
+
+        const isValid = user
+            ? await user.comparePassword(password)
+            : await LoginAttempts.compareDummy(password);
+
+        if (!isValid) {
+            await LoginAttempts.log(req, {
+                identifier: email,
+                user,
+                role: 'admin',
+                success: false,
+                failureReason: user ? 'invalid_credentials' : 'unknown_identifier'
+            });
 
-        console.log(user);
-        if (!user || !(await user.comparePassword(password))) {
-            console.log(await user.comparePassword(password));
+            const lockedUntil = user ? await LoginAttempts.recordFailure(user) : null;
+            if (lockedUntil) {
+                return sendLocked(res, LoginAttempts.getRetryAfter({ lockedUntil }));
+            }
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        const token = jwt.sign(
-            { userId: user._id },
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return res.json({
+                twoFactorRequired: true,
+                challengeToken: TwoFactor.createChallenge(user)
+            });
+        }
 
-        res.json({
-            token,
-            user: {
-                id: user._id,
-                name: user.name,
-                email: user.email,
-                role: user.role
+        await sendAdminSession(req, res, user);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Admin login, step two: a code from the authenticator app or a recovery code
+router.post('/admin/login/2fa', [
+    body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+    body('code').if(body('recoveryCode').not().exists()).notEmpty().withMessage('Code or recovery code is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { challengeToken, code, recoveryCode } = req.body;
+        const userId = TwoFactor.readChallenge(challengeToken);
+        const user = userId ? await User.findOne({ _id: userId, role: 'admin' }) : null;
+        if (!user) {
+            return res.status(401).json({ error: 'Login challenge is invalid or has expired' });
+        }
+
+        const retryAfter = LoginAttempts.getRetryAfter(user);
+        if (retryAfter > 0) {
+            await LoginAttempts.log(req, { identifier: user.email, user, role: 'admin', success: false, failureReason: 'locked' });
+            return sendLocked(res, retryAfter);
+        }
+
+        const result = await TwoFactor.verify(user._id, { code, recoveryCode });
+        if (!result) {
+            await LoginAttempts.log(req, {
+                identifier: user.email,
+                user,
+                role: 'admin',
+                success: false,
+                failureReason: 'invalid_2fa_code'
+            });
+            await AuditTrail.record(req, {
+                adminId: user._id,
+                action: '2fa_challenge_failed',
+                subject: { type: 'User', id: user._id },
+                details: { method: recoveryCode ? 'recovery_code' : 'totp' }
+            });
+
+            const lockedUntil = await LoginAttempts.recordFailure(user);
+            if (lockedUntil) {
+                return sendLocked(res, LoginAttempts.getRetryAfter({ lockedUntil }));
             }
+            return res.status(401).json({ error: 'Invalid authentication code' });
+        }
+
+        await AuditTrail.record(req, {
+            adminId: user._id,
+            action: result.method === 'recovery_code' ? '2fa_recovery_code_used' : '2fa_challenge_passed',
+            subject: { type: 'User', id: user._id },
+            details: result
         });
+
+        await sendAdminSession(req, res, user);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Client login
+// Client login with email or client code plus PIN
 router.post('/client/login', [
+    body('identifier').trim().notEmpty().withMessage('Email or client code is required'),
     body('pin').isLength({ min: 6, max: 6 })
 ], async (req, res) => {
     try {
@@ -56,36 +167,57 @@ router.post('/client/login', [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { pin } = req.body;
+        const { identifier, pin } = req.body;
 
-        // Find all clients and check PIN
-        const clients = await User.find({ role: 'client' });
-        let authenticatedUser = null;
+        const client = await User.findOne({
+            role: 'client',
+            $or: [
+                { email: identifier.toLowerCase() },
+                { clientCode: identifier.toUpperCase() }
+            ]
+        });
 
-        for (const client of clients) {
-            if (await client.comparePin(pin)) {
-                authenticatedUser = client;
-                break;
-            }
+        const retryAfter = LoginAttempts.getRetryAfter(client);
+        if (retryAfter > 0) {
+            await LoginAttempts.log(req, { identifier, user: client, role: 'client', success: false, failureReason: 'locked' });
+            return sendLocked(res, retryAfter);
         }
 
-        if (!authenticatedUser) {
-            return res.status(401).json({ error: 'Invalid PIN' });
+        const isValid = client
+            ? await client.comparePin(pin)
+            : await LoginAttempts.compareDummy(pin);
+
+        if (!isValid) {
+            await LoginAttempts.log(req, {
+                identifier,
+                user: client,
+                role: 'client',
+                success: false,
+                failureReason: client ? 'invalid_credentials' : 'unknown_identifier'
+            });
+
+            const lockedUntil = client ? await LoginAttempts.recordFailure(client) : null;
+            if (lockedUntil) {
+                return sendLocked(res, LoginAttempts.getRetryAfter({ lockedUntil }));
+            }
+            return res.status(401).json({ error: 'Invalid email, client code or PIN' });
         }
 
-        const token = jwt.sign(
-            { userId: authenticatedUser._id },
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        await LoginAttempts.recordSuccess(client);
+        await LoginAttempts.log(req, { identifier, user: client, role: 'client', success: true });
+
+        const { token, refreshToken, expiresIn } = await Sessions.create(client, req);
 
         res.json({
             token,
+            refreshToken,
+            expiresIn,
             user: {
-                id: authenticatedUser._id,
-                name: authenticatedUser.name,
-                email: authenticatedUser.email,
-                role: authenticatedUser.role
+                id: client._id,
+                name: client.name,
+                email: client.email,
+                clientCode: client.clientCode,
+                role: client.role
             }
         });
     } catch (error) {
@@ -93,4 +225,180 @@ router.post('/client/login', [
     }
 });
 
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', [
+    body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        let tokens;
+        try {
+            tokens = await Sessions.refresh(req.body.refreshToken, req);
+        } catch (error) {
+            return res.status(401).json({ error: error.message });
+        }
+
+        res.json({
+            token: tokens.token,
+            refreshToken: tokens.refreshToken,
+            expiresIn: tokens.expiresIn
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// End the current session
+router.post('/logout', auth, async (req, res) => {
+    try {
+        await Sessions.revoke(req.session, 'logout', req.user._id);
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// End every session the user has, on every device
+router.post('/logout-all', auth, async (req, res) => {
+    try {
+        const revoked = await Sessions.revokeAllForUser(req.user._id, 'logout_everywhere', req.user._id);
+        res.json({ message: 'Logged out everywhere', revoked });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get the logged-in admin's 2FA status
+router.get('/2fa', adminSetupAuth, async (req, res) => {
+    try {
+        res.json(await TwoFactor.getStatus(req.user._id));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Start 2FA enrolment: returns the secret and an otpauth URI to show as a QR code
+router.post('/2fa/setup', adminSetupAuth, async (req, res) => {
+    try {
+        if (req.user.twoFactor && req.user.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const setup = await TwoFactor.startSetup(req.user);
+
+        await AuditTrail.record(req, {
+            action: '2fa_setup_started',
+            subject: { type: 'User', id: req.user._id }
+        });
+
+        res.json(setup);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Finish enrolment with a code from the authenticator app
+router.post('/2fa/enable', adminSetupAuth, [
+    body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        let recoveryCodes;
+        try {
+            recoveryCodes = await TwoFactor.enable(req.user._id, req.body.code);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        await AuditTrail.record(req, {
+            action: '2fa_enabled',
+            subject: { type: 'User', id: req.user._id },
+            before: { enabled: false },
+            after: { enabled: true }
+        });
+
+        res.json({
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+            recoveryCodes
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Replace the recovery codes, confirming with a current code
+router.post('/2fa/recovery-codes', adminSetupAuth, [
+    body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (!(await TwoFactor.verify(req.user._id, { code: req.body.code }))) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        const recoveryCodes = await TwoFactor.regenerateRecoveryCodes(req.user._id);
+
+        await AuditTrail.record(req, {
+            action: '2fa_recovery_codes_regenerated',
+            subject: { type: 'User', id: req.user._id },
+            details: { count: recoveryCodes.length }
+        });
+
+        res.json({ message: 'Recovery codes replaced', recoveryCodes });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Turn 2FA off, confirming with the password and a current code
+router.post('/2fa/disable', adminSetupAuth, [
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (TwoFactor.isRequired()) {
+            return res.status(400).json({ error: 'Two-factor authentication is required for admin accounts' });
+        }
+
+        const user = await User.findById(req.user._id);
+        if (!(await user.comparePassword(req.body.password))) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+        if (!(await TwoFactor.verify(user._id, { code: req.body.code }))) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        await TwoFactor.disable(user._id);
+
+        await AuditTrail.record(req, {
+            adminId: user._id,
+            action: '2fa_disabled',
+            subject: { type: 'User', id: user._id },
+            before: { enabled: true },
+            after: { enabled: false }
+        });
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
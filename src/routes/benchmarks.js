@@ -0,0 +1,290 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Benchmark = require('../models/Benchmark');
+const BenchmarkValue = require('../models/BenchmarkValue');
+const PlatformInvestment = require('../models/PlatformInvestment');
+const { requirePermission } = require('../middleware/auth');
+const AuditTrail = require('../services/auditTrail');
+const Benchmarks = require('../services/benchmarks');
+const { CURRENCY_CODE_PATTERN } = require('../utils/currency');
+
+const router = express.Router();
+
+// Get all benchmarks
+router.get('/', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const benchmarks = await Benchmark.find().sort('name');
+        res.json(benchmarks);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Create a benchmark
+router.post('/', requirePermission('benchmarks:manage'), [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('description').optional().trim(),
+    body('currency').optional().trim().toUpperCase().matches(CURRENCY_CODE_PATTERN).withMessage('Invalid currency code')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { name, description, currency } = req.body;
+
+        const existing = await Benchmark.findOne({ name });
+        if (existing) {
+            return res.status(400).json({ error: 'A benchmark with this name already exists' });
+        }
+
+        const benchmark = await Benchmark.create({
+            name,
+            description,
+            currency,
+            createdBy: req.user._id
+        });
+
+        await AuditTrail.record(req, {
+            action: 'benchmark_created',
+            subject: { type: 'Benchmark', id: benchmark._id },
+            after: { name: benchmark.name, description: benchmark.description, currency: benchmark.currency }
+        });
+
+        res.status(201).json(benchmark);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get the fund's and each platform's linked benchmark
+router.get('/links', requirePermission('reports:view'), async (req, res) => {
+    try {
+        res.json(await Benchmarks.getLinks());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Link the fund to a benchmark; a null benchmarkId unlinks it
+router.put('/links/fund', requirePermission('benchmarks:manage'), [
+    body('benchmarkId').optional({ values: 'null' }).isMongoId().withMessage('Invalid benchmark')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const previous = await Benchmarks.getFundBenchmark();
+
+        let benchmark;
+        try {
+            benchmark = await Benchmarks.linkFund(req.body.benchmarkId);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        await AuditTrail.record(req, {
+            action: 'benchmark_linked',
+            before: { benchmarkId: previous ? previous._id : null },
+            after: { benchmarkId: benchmark ? benchmark._id : null },
+            details: { scope: 'fund' }
+        });
+
+        res.json({ message: benchmark ? 'Fund benchmark linked' : 'Fund benchmark unlinked', benchmark });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Link a platform investment to a benchmark; a null benchmarkId unlinks it
+router.put('/links/platforms/:platformId', requirePermission('benchmarks:manage'), [
+    body('benchmarkId').optional({ values: 'null' }).isMongoId().withMessage('Invalid benchmark')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const previous = await PlatformInvestment.findById(req.params.platformId).select('benchmarkId');
+
+        let platform;
+        try {
+            platform = await Benchmarks.linkPlatform(req.params.platformId, req.body.benchmarkId);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (!platform) {
+            return res.status(404).json({ error: 'Platform investment not found' });
+        }
+
+        await AuditTrail.record(req, {
+            action: 'benchmark_linked',
+            subject: { type: 'PlatformInvestment', id: platform._id },
+            before: { benchmarkId: previous.benchmarkId || null },
+            after: { benchmarkId: platform.benchmarkId || null }
+        });
+
+        res.json({ message: platform.benchmarkId ? 'Platform benchmark linked' : 'Platform benchmark unlinked', platform });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Update a benchmark's details
+router.put('/:benchmarkId', requirePermission('benchmarks:manage'), [
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+    body('description').optional().trim(),
+    body('currency').optional().trim().toUpperCase().matches(CURRENCY_CODE_PATTERN).withMessage('Invalid currency code'),
+    body('isActive').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const benchmark = await Benchmark.findById(req.params.benchmarkId);
+        if (!benchmark) {
+            return res.status(404).json({ error: 'Benchmark not found' });
+        }
+
+        const before = {};
+        const after = {};
+        ['name', 'description', 'currency', 'isActive'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                before[field] = benchmark[field];
+                benchmark[field] = req.body[field];
+                after[field] = benchmark[field];
+            }
+        });
+        await benchmark.save();
+
+        await AuditTrail.record(req, {
+            action: 'benchmark_updated',
+            subject: { type: 'Benchmark', id: benchmark._id },
+            before,
+            after
+        });
+
+        res.json(benchmark);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get a benchmark's values
+router.get('/:benchmarkId/values', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const { startDate, endDate } = req.query;
+        const query = { benchmarkId: req.params.benchmarkId };
+
+        if (startDate || endDate) {
+            query.date = {};
+            if (startDate) query.date.$gte = new Date(startDate);
+            if (endDate) query.date.$lte = new Date(endDate);
+        }
+
+        const values = await BenchmarkValue.find(query)
+            .populate('enteredBy', 'name')
+            .sort('-date');
+
+        res.json(values);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Enter a benchmark value manually
+router.post('/:benchmarkId/values', requirePermission('benchmarks:manage'), [
+    body('date').isISO8601().withMessage('Valid date required'),
+    body('value').isFloat({ min: 0 }).withMessage('Value must be a non-negative number')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const benchmark = await Benchmark.findById(req.params.benchmarkId);
+        if (!benchmark) {
+            return res.status(404).json({ error: 'Benchmark not found' });
+        }
+
+        const date = new Date(req.body.date);
+        const previous = await BenchmarkValue.findOne({ benchmarkId: benchmark._id, date }).select('value source');
+        const value = await BenchmarkValue.findOneAndUpdate(
+            { benchmarkId: benchmark._id, date },
+            { benchmarkId: benchmark._id, date, value: req.body.value, source: 'manual', enteredBy: req.user._id },
+            { upsert: true, new: true }
+        );
+
+        await AuditTrail.record(req, {
+            action: 'benchmark_value_saved',
+            subject: { type: 'BenchmarkValue', id: value._id },
+            before: previous ? { value: previous.value, source: previous.source } : undefined,
+            after: { value: value.value, source: value.source },
+            details: { benchmarkId: benchmark._id, date }
+        });
+
+        res.status(201).json(value);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Import benchmark values from CSV with date and value columns
+router.post('/:benchmarkId/values/import', requirePermission('benchmarks:manage'), async (req, res) => {
+    try {
+        const csv = typeof req.body === 'string' ? req.body : req.body.csv;
+        if (!csv) {
+            return res.status(400).json({ error: 'CSV content is required' });
+        }
+
+        const benchmark = await Benchmark.findById(req.params.benchmarkId);
+        if (!benchmark) {
+            return res.status(404).json({ error: 'Benchmark not found' });
+        }
+
+        const summary = await Benchmarks.importValues(benchmark._id, csv, req.user._id);
+
+        await AuditTrail.record(req, {
+            action: 'benchmark_values_imported',
+            subject: { type: 'Benchmark', id: benchmark._id },
+            details: { imported: summary.imported, failed: summary.failed }
+        });
+
+        res.json({ message: 'Benchmark values imported', ...summary });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete a benchmark value
+router.delete('/:benchmarkId/values/:valueId', requirePermission('benchmarks:manage'), async (req, res) => {
+    try {
+        const value = await BenchmarkValue.findOneAndDelete({
+            _id: req.params.valueId,
+            benchmarkId: req.params.benchmarkId
+        });
+        if (!value) {
+            return res.status(404).json({ error: 'Benchmark value not found' });
+        }
+
+        await AuditTrail.record(req, {
+            action: 'benchmark_value_deleted',
+            subject: { type: 'BenchmarkValue', id: value._id },
+            before: { date: value.date, value: value.value, source: value.source },
+            details: { benchmarkId: value.benchmarkId }
+        });
+
+        res.json({ message: 'Benchmark value deleted' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
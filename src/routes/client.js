@@ -1,84 +1,203 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const Investment = require('../models/Investment');
-const { auth } = require('../middleware/auth');
+const Statement = require('../models/Statement');
+const WithdrawalRequest = require('../models/WithdrawalRequest');
+const ClientPortfolio = require('../services/clientPortfolio');
+const StatementGenerator = require('../services/statementGenerator');
+const AuditTrail = require('../services/auditTrail');
+const { clientAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Get client dashboard data
-router.get('/dashboard', auth, async (req, res) => {
+// Get client dashboard data (same shape as the admin portfolio view)
+router.get('/dashboard', clientAuth, async (req, res) => {
   try {
-    if (req.user.role !== 'client') {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const portfolio = await ClientPortfolio.getPortfolio(req.user._id);
+    res.json(portfolio);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const investments = await Investment.find({ 
+// Get investment summary
+router.get('/summary', clientAuth, async (req, res) => {
+  try {
+    const { summary } = await ClientPortfolio.getPortfolio(req.user._id);
+    res.json(summary);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get deposit and withdrawal history
+router.get('/transactions', clientAuth, async (req, res) => {
+  try {
+    const { type, startDate, endDate } = req.query;
+    const query = {
       clientId: req.user._id,
       status: 'active'
-    });
+    };
+
+    if (type) query.type = type;
+    if (startDate || endDate) {
+      query.investmentDate = {};
+      if (startDate) query.investmentDate.$gte = new Date(startDate);
+      if (endDate) query.investmentDate.$lte = new Date(endDate);
+    }
 
-    const totalInvestment = investments.reduce((sum, inv) => sum + inv.initialAmount, 0);
-    const currentValue = investments.reduce((sum, inv) => sum + inv.currentAmount, 0);
-    const totalReturn = totalInvestment > 0 ? ((currentValue - totalInvestment) / totalInvestment * 100) : 0;
-
-    // Prepare monthly returns data for charts
-    const monthlyData = [];
-    investments.forEach(inv => {
-      inv.monthlyReturns.forEach(ret => {
-        const monthKey = ret.month.toISOString().slice(0, 7);
-        const existing = monthlyData.find(m => m.month === monthKey);
-        if (existing) {
-          existing.profit += ret.profitAmount;
-        } else {
-          monthlyData.push({
-            month: monthKey,
-            profit: ret.profitAmount,
-            returnPercentage: ret.returnPercentage
-          });
-        }
+    const investments = await Investment.find(query)
+      .select('-editHistory')
+      .sort('-investmentDate');
+
+    res.json(investments);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get month-by-month returns
+router.get('/returns', clientAuth, async (req, res) => {
+  try {
+    const monthlyReturns = await ClientPortfolio.getMonthlyLedger(req.user._id);
+    res.json(monthlyReturns);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get current value
+router.get('/value', clientAuth, async (req, res) => {
+  try {
+    const value = await ClientPortfolio.getCurrentValue(req.user._id);
+    res.json(value);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get my statements
+router.get('/statements', clientAuth, async (req, res) => {
+  try {
+    const statements = await Statement.find({ clientId: req.user._id })
+      .select('periodStart periodEnd summary generatedAt')
+      .sort('-periodStart');
+
+    res.json(statements);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download one of my statements as PDF or CSV
+router.get('/statements/:statementId/download', clientAuth, async (req, res) => {
+  try {
+    const statement = await Statement.findOne({
+      _id: req.params.statementId,
+      clientId: req.user._id
+    }).select('+pdf +csv');
+
+    if (!statement) {
+      return res.status(404).json({ error: 'Statement not found' });
+    }
+
+    StatementGenerator.send(res, statement, req.query.format);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get my withdrawal requests
+router.get('/withdrawal-requests', clientAuth, async (req, res) => {
+  try {
+    const requests = await WithdrawalRequest.find({ clientId: req.user._id })
+      .select('-reviewedBy')
+      .sort('-createdAt');
+
+    res.json(requests);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Request a withdrawal
+router.post('/withdrawal-requests', clientAuth, [
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be positive'),
+  body('note').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const amount = parseFloat(req.body.amount);
+    const { availableBalance } = await ClientPortfolio.getAvailableBalance(req.user._id);
+
+    if (amount > availableBalance) {
+      return res.status(400).json({
+        error: 'Requested amount exceeds available balance',
+        availableBalance
       });
+    }
+
+    const request = await WithdrawalRequest.create({
+      clientId: req.user._id,
+      requestedAmount: amount,
+      clientNote: req.body.note
     });
 
-    res.json({
-      summary: {
-        totalInvestment,
-        currentValue,
-        totalReturn: totalReturn.toFixed(2),
-        totalProfit: currentValue - totalInvestment
-      },
-      investments,
-      monthlyData: monthlyData.sort((a, b) => a.month.localeCompare(b.month))
+    await AuditTrail.record(req, {
+      action: 'withdrawal_requested',
+      clientId: req.user._id,
+      subject: { type: 'WithdrawalRequest', id: request._id },
+      after: { status: request.status, requestedAmount: amount }
     });
+
+    res.status(201).json(request);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get investment details
-router.get('/investments', auth, async (req, res) => {
+// Cancel one of my pending withdrawal requests
+router.post('/withdrawal-requests/:requestId/cancel', clientAuth, async (req, res) => {
   try {
-    if (req.user.role !== 'client') {
-      return res.status(403).json({ error: 'Access denied' });
+    const request = await WithdrawalRequest.findOne({
+      _id: req.params.requestId,
+      clientId: req.user._id
+    });
+
+    if (!request) {
+      return res.status(404).json({ error: 'Withdrawal request not found' });
     }
+    if (request.status !== 'pending') {
+      return res.status(400).json({ error: `Withdrawal request is already ${request.status}` });
+    }
+
+    // Only cancel it if an admin hasn't reviewed it in the meantime
+    const cancelled = await WithdrawalRequest.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+    if (!cancelled) {
+      return res.status(400).json({ error: 'Withdrawal request is no longer pending' });
+    }
+
+    await AuditTrail.record(req, {
+      action: 'withdrawal_cancelled',
+      clientId: req.user._id,
+      subject: { type: 'WithdrawalRequest', id: cancelled._id },
+      before: { status: 'pending' },
+      after: { status: cancelled.status },
+      details: { requestedAmount: cancelled.requestedAmount }
+    });
 
-    const investments = await Investment.find({ 
-      clientId: req.user._id 
-    }).sort('-investmentDate');
-
-    const investmentDetails = investments.map(inv => ({
-      id: inv._id,
-      investmentDate: inv.investmentDate,
-      initialAmount: inv.initialAmount,
-      currentAmount: inv.currentAmount,
-      status: inv.status,
-      percentageChange: ((inv.currentAmount - inv.initialAmount) / inv.initialAmount * 100).toFixed(2),
-      totalChange: inv.currentAmount - inv.initialAmount,
-      monthlyReturns: inv.monthlyReturns
-    }));
-
-    res.json(investmentDetails);
+    res.json(cancelled);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,210 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const FxRate = require('../models/FxRate');
+const MonthlyReturn = require('../models/MonthlyReturn');
+const { requirePermission } = require('../middleware/auth');
+const AuditTrail = require('../services/auditTrail');
+const RecalculationQueue = require('../services/recalculationQueue');
+const FxService = require('../services/fxService');
+const PeriodLock = require('../services/periodLock');
+const { CURRENCY_CODE_PATTERN } = require('../utils/currency');
+const { parseCsv } = require('../utils/csv');
+
+const router = express.Router();
+
+// Get FX rates
+router.get('/rates', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const { currency, startDate, endDate } = req.query;
+        const query = { baseCurrency: FxService.getBaseCurrency() };
+
+        if (currency) query.currency = currency.toUpperCase();
+        if (startDate || endDate) {
+            query.date = {};
+            if (startDate) query.date.$gte = new Date(startDate);
+            if (endDate) query.date.$lte = new Date(endDate);
+        }
+
+        const rates = await FxRate.find(query)
+            .populate('enteredBy', 'name')
+            .sort('-date');
+
+        res.json(rates);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Enter an FX rate manually
+router.post('/rates', requirePermission('fx:manage'), [
+    body('currency').trim().toUpperCase().matches(CURRENCY_CODE_PATTERN).withMessage('Invalid currency code'),
+    body('date').isISO8601().withMessage('Valid date required'),
+    body('rate').isFloat({ gt: 0 }).withMessage('Rate must be positive')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { currency, date, rate } = req.body;
+        const baseCurrency = FxService.getBaseCurrency();
+
+        if (currency === baseCurrency) {
+            return res.status(400).json({ error: 'Cannot set a rate for the base currency' });
+        }
+
+        const rateDate = new Date(date);
+        const closed = await PeriodLock.check(rateDate);
+        if (closed) {
+            return res.status(409).json(closed);
+        }
+
+        const previous = await FxRate.findOne({ currency, baseCurrency, date: rateDate }).select('rate source');
+        const fxRate = await FxRate.findOneAndUpdate(
+            { currency, baseCurrency, date: rateDate },
+            { currency, baseCurrency, date: rateDate, rate, source: 'manual', enteredBy: req.user._id },
+            { upsert: true, new: true }
+        );
+
+        // Conversions on and after this date change
+        const job = await RecalculationQueue.enqueue(rateDate, {
+            reason: 'fx_rate_entered',
+            requestedBy: req.user._id
+        });
+
+        await AuditTrail.record(req, {
+            action: 'fx_rate_saved',
+            subject: { type: 'FxRate', id: fxRate._id },
+            before: previous ? { rate: previous.rate, source: previous.source } : undefined,
+            after: { rate: fxRate.rate, source: fxRate.source },
+            details: { currency, baseCurrency, date: rateDate }
+        });
+
+        res.status(201).json({
+            fxRate,
+            recalculation: RecalculationQueue.describe(job)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Import FX rates from CSV with currency, date and rate columns
+router.post('/rates/import', requirePermission('fx:manage'), async (req, res) => {
+    try {
+        const csv = typeof req.body === 'string' ? req.body : req.body.csv;
+        if (!csv) {
+            return res.status(400).json({ error: 'CSV content is required' });
+        }
+
+        const baseCurrency = FxService.getBaseCurrency();
+        const closedThrough = await PeriodLock.getClosedThrough();
+        const rows = parseCsv(csv);
+        const results = [];
+        const operations = [];
+
+        rows.forEach((row, index) => {
+            const currency = (row.currency || '').toUpperCase();
+            const date = new Date(row.date);
+            const rate = parseFloat(row.rate);
+            const rowNumber = index + 2; // Header is row 1
+
+            let error = null;
+            if (!CURRENCY_CODE_PATTERN.test(currency)) {
+                error = 'Invalid currency code';
+            } else if (currency === baseCurrency) {
+                error = 'Cannot set a rate for the base currency';
+            } else if (!row.date || isNaN(date)) {
+                error = 'Invalid date';
+            } else if (closedThrough && date <= closedThrough) {
+                error = 'Date falls in a closed period';
+            } else if (!(rate > 0)) {
+                error = 'Rate must be positive';
+            }
+
+            if (error) {
+                results.push({ row: rowNumber, success: false, error });
+                return;
+            }
+
+            results.push({ row: rowNumber, success: true, currency, date, rate });
+            operations.push({
+                updateOne: {
+                    filter: { currency, baseCurrency, date },
+                    update: { $set: { rate, source: 'csv', enteredBy: req.user._id } },
+                    upsert: true
+                }
+            });
+        });
+
+        let recalculation = null;
+        if (operations.length > 0) {
+            await FxRate.bulkWrite(operations);
+
+            const earliestDate = new Date(Math.min(
+                ...operations.map(op => op.updateOne.filter.date.getTime())
+            ));
+            const job = await RecalculationQueue.enqueue(earliestDate, {
+                reason: 'fx_rates_imported',
+                requestedBy: req.user._id
+            });
+            recalculation = RecalculationQueue.describe(job);
+
+            await AuditTrail.record(req, {
+                action: 'fx_rates_imported',
+                details: {
+                    baseCurrency,
+                    rates: results.filter(result => result.success).map(({ currency, date, rate }) => ({ currency, date, rate }))
+                }
+            });
+        }
+
+        res.json({
+            message: 'FX rates imported',
+            imported: operations.length,
+            failed: results.length - operations.length,
+            results,
+            recalculation
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get trading gains and FX gains by month
+router.get('/gains', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const { startDate, endDate } = req.query;
+        const query = {};
+
+        if (startDate || endDate) {
+            query.month = {};
+            if (startDate) query.month.$gte = new Date(startDate);
+            if (endDate) query.month.$lte = new Date(endDate);
+        }
+
+        const monthlyReturns = await MonthlyReturn.find(query)
+            .select('month baseCurrency tradingGain fxGain platformReturns')
+            .sort('month')
+            .lean();
+
+        res.json(monthlyReturns.map(mr => ({
+            month: mr.month,
+            baseCurrency: mr.baseCurrency || FxService.getBaseCurrency(),
+            tradingGain: mr.tradingGain || 0,
+            fxGain: mr.fxGain || 0,
+            platforms: mr.platformReturns.map(pr => ({
+                platformId: pr.platformId,
+                currency: pr.currency,
+                fxRate: pr.fxRate,
+                tradingGain: pr.tradingGain || 0,
+                fxGain: pr.fxGain || 0
+            }))
+        })));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const { requirePermission } = require('../middleware/auth');
+const Journal = require('../services/journal');
+
+const router = express.Router();
+
+// Get the chart of accounts
+router.get('/accounts', requirePermission('reports:view'), async (req, res) => {
+    try {
+        res.json(Journal.getAccounts());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get journal entries
+router.get('/entries', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const { account, sourceType, startDate, endDate } = req.query;
+        const query = {};
+
+        if (account) query['lines.account'] = account;
+        if (sourceType) query['source.type'] = sourceType;
+        if (startDate || endDate) {
+            query.date = {};
+            if (startDate) query.date.$gte = new Date(startDate);
+            if (endDate) query.date.$lte = new Date(endDate);
+        }
+
+        const entries = await JournalEntry.find(query)
+            .populate('postedBy', 'name')
+            .sort('-date -createdAt')
+            .limit(500);
+
+        res.json(entries);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get the trial balance as of a date
+router.get('/trial-balance', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+        if (isNaN(asOf)) {
+            return res.status(400).json({ error: 'Invalid asOf date' });
+        }
+
+        const trialBalance = await Journal.getTrialBalance(asOf);
+        res.json(trialBalance);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get one account's statement, optionally for a single client or platform
+router.get('/accounts/:account/statement', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const { account } = req.params;
+        const { subjectId } = req.query;
+
+        if (!Journal.ACCOUNTS[account]) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+        if (subjectId && !mongoose.Types.ObjectId.isValid(subjectId)) {
+            return res.status(400).json({ error: 'Invalid subjectId' });
+        }
+
+        const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+        const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date(0);
+        if (isNaN(startDate) || isNaN(endDate) || startDate > endDate) {
+            return res.status(400).json({ error: 'Invalid date range' });
+        }
+
+        const statement = await Journal.getAccountStatement(account, { subjectId, startDate, endDate });
+        res.json(statement);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
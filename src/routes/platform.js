@@ -2,12 +2,15 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Platform = require('../models/Platform');
 const CurrencyData = require('../models/CurrencyData');
-const { adminAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const AuditTrail = require('../services/auditTrail');
+const FxService = require('../services/fxService');
+const { CURRENCY_CODE_PATTERN } = require('../utils/currency');
 
 const router = express.Router();
 
 // Get all platforms
-router.get('/', adminAuth, async (req, res) => {
+router.get('/', requirePermission('reports:view'), async (req, res) => {
   try {
     const platforms = await Platform.find({ isActive: true });
     res.json(platforms);
@@ -17,9 +20,10 @@ router.get('/', adminAuth, async (req, res) => {
 });
 
 // Create new platform
-router.post('/', adminAuth, [
+router.post('/', requirePermission('platforms:manage'), [
   body('name').notEmpty().trim(),
-  body('description').optional().trim()
+  body('description').optional().trim(),
+  body('currency').optional().trim().toUpperCase().matches(CURRENCY_CODE_PATTERN).withMessage('Invalid currency code')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -27,14 +31,22 @@ router.post('/', adminAuth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, description } = req.body;
+    const { name, description, currency } = req.body;
     
     const platform = new Platform({
       name,
-      description
+      description,
+      currency: FxService.normaliseCurrency(currency)
     });
 
     await platform.save();
+
+    await AuditTrail.record(req, {
+      action: 'platform_created',
+      subject: { type: 'Platform', id: platform._id },
+      after: { name: platform.name, description: platform.description, currency: platform.currency }
+    });
+
     res.status(201).json(platform);
   } catch (error) {
     if (error.code === 11000) {
@@ -46,7 +58,7 @@ router.post('/', adminAuth, [
 });
 
 // Get platform currency data
-router.get('/:platformId/data', adminAuth, async (req, res) => {
+router.get('/:platformId/data', requirePermission('reports:view'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     let query = { platformId: req.params.platformId };
@@ -59,10 +71,22 @@ router.get('/:platformId/data', adminAuth, async (req, res) => {
 
     const data = await CurrencyData.find(query)
       .sort('-date')
-      .populate('platformId', 'name')
+      .populate('platformId', 'name currency')
       .populate('enteredBy', 'name');
 
-    res.json(data);
+    // Values are recorded in the platform's currency; add the base-currency equivalent
+    const converted = [];
+    for (const entry of data) {
+      const fxRate = await FxService.getRate(entry.platformId.currency, entry.date);
+      converted.push({
+        ...entry.toObject(),
+        currency: FxService.normaliseCurrency(entry.platformId.currency),
+        fxRate,
+        baseValue: entry.value * fxRate
+      });
+    }
+
+    res.json(converted);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -0,0 +1,471 @@
+// src/services/auditTrail.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const AuditLogArchive = require('../models/AuditLogArchive');
+const { escapeCsvValue } = require('../utils/csv');
+
+// previousHash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Concurrent writers race for the next sequence; the unique index picks one
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Verification stops listing problems after this many
+const MAX_REPORTED_PROBLEMS = 100;
+
+// Entries older than this move to the archive; 0 keeps everything live
+const RETENTION_DAYS = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS || '365', 10);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ARCHIVE_INTERVAL_MS = DAY_MS;
+const ARCHIVE_BATCH_SIZE = 500;
+
+// Page sizes for listing entries
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+let archiveTimer = null;
+
+const json = (value) => (value === undefined || value === null ? '' : JSON.stringify(value));
+
+// CSV export columns; populated admins and clients are named alongside their ids
+const EXPORT_COLUMNS = [
+    ['sequence', entry => entry.sequence],
+    ['timestamp', entry => entry.timestamp],
+    ['action', entry => entry.action],
+    ['actor', entry => entry.actor],
+    ['admin_id', entry => entry.adminId && entry.adminId._id],
+    ['admin_email', entry => entry.adminId && entry.adminId.email],
+    ['client_id', entry => entry.clientId && entry.clientId._id],
+    ['client_name', entry => entry.clientId && entry.clientId.name],
+    ['subject_type', entry => entry.subjectType],
+    ['subject_id', entry => entry.subjectId],
+    ['before', entry => json(entry.before)],
+    ['after', entry => json(entry.after)],
+    ['details', entry => json(entry.details)],
+    ['ip_address', entry => entry.ipAddress],
+    ['user_agent', entry => entry.userAgent],
+    ['previous_hash', entry => entry.previousHash],
+    ['hash', entry => entry.hash]
+];
+
+// Every field that goes into an entry's hash
+const HASHED_FIELDS = [
+    'sequence',
+    'previousHash',
+    'timestamp',
+    'action',
+    'actor',
+    'adminId',
+    'clientId',
+    'subjectType',
+    'subjectId',
+    'before',
+    'after',
+    'details',
+    'ipAddress',
+    'userAgent'
+];
+
+/**
+ * Reduce a value to plain JSON with sorted keys, so an entry hashes the same
+ * before it is saved and after it is read back: ObjectIds become hex strings,
+ * dates ISO strings, and empty or missing values are dropped.
+ */
+const canonical = (value) => {
+    if (value === null || value === undefined) {
+        return undefined;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (typeof value.toHexString === 'function') {
+        return value.toHexString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => {
+            const result = canonical(item);
+            return result === undefined ? null : result;
+        });
+    }
+    if (typeof value === 'object') {
+        const result = {};
+        Object.keys(value).sort().forEach(key => {
+            const field = canonical(value[key]);
+            if (field !== undefined) {
+                result[key] = field;
+            }
+        });
+        return Object.keys(result).length > 0 ? result : undefined;
+    }
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+        return undefined;
+    }
+    return value;
+};
+
+const hashEntry = (entry) => {
+    const fields = {};
+    HASHED_FIELDS.forEach(field => {
+        fields[field] = entry[field];
+    });
+    return crypto.createHash('sha256').update(JSON.stringify(canonical(fields))).digest('hex');
+};
+
+const buildSearchText = (entry) => {
+    const text = JSON.stringify(canonical({ details: entry.details, before: entry.before, after: entry.after }));
+    return text ? text.toLowerCase() : '';
+};
+
+// The newest entry in the chain, which is archived if nothing newer is live
+const getHead = async () => {
+    const findHead = Model => Model.findOne({ sequence: { $exists: true } })
+        .sort('-sequence')
+        .select('sequence hash')
+        .lean();
+
+    return (await findHead(AuditLog)) || findHead(AuditLogArchive);
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Cursors point at the last entry of a page as its timestamp and id
+const encodeCursor = (entry) => Buffer.from(`${entry.timestamp.toISOString()}|${entry._id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    const [timestamp, id] = Buffer.from(cursor, 'base64url').toString().split('|');
+    const date = new Date(timestamp);
+    return isNaN(date) || !mongoose.isValidObjectId(id) ? null : { timestamp: date, id };
+};
+
+/**
+ * Append-only audit log. Each entry carries the hash of the one before it,
+ * so editing or deleting an entry breaks the chain from that point on.
+ */
+class AuditTrail {
+    /**
+     * Record an action. The acting admin defaults to the logged-in admin and
+     * the IP and user agent come from the request, which may be null for
+     * actions nobody made directly. subject is { type, id }, type being the
+     * model name; before and after hold the subject's changed fields.
+     */
+    static async record(req, { action, adminId, clientId, subject, before, after, details }) {
+        const entry = {
+            action,
+            adminId: adminId || (req && req.user && req.user.role === 'admin' ? req.user._id : undefined),
+            clientId,
+            subjectType: subject ? subject.type : undefined,
+            subjectId: subject ? subject.id : undefined,
+            before,
+            after,
+            details,
+            ipAddress: req ? req.ip : undefined,
+            userAgent: req ? req.get('user-agent') : undefined,
+            timestamp: new Date()
+        };
+        // With no admin and no signed-in user, the server acted on its own
+        entry.actor = entry.adminId ? 'admin' : (req && req.user ? 'client' : 'system');
+        entry.searchText = buildSearchText(entry);
+
+        for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+            const head = await getHead();
+            entry.sequence = head ? head.sequence + 1 : 1;
+            entry.previousHash = head ? head.hash : GENESIS_HASH;
+            entry.hash = hashEntry(entry);
+
+            try {
+                return await AuditLog.create(entry);
+            } catch (error) {
+                if (error.code !== 11000) {
+                    throw error;
+                }
+            }
+        }
+
+        throw new Error('Could not append to the audit log');
+    }
+
+    /**
+     * Append entries written before the log was chained, oldest first, and
+     * fill in search text for any entry without it. Returns how many were sealed.
+     */
+    static async sealUnsealed() {
+        const unindexed = await AuditLog.find({ searchText: { $exists: false } })
+            .select('details before after')
+            .lean();
+        for (const entry of unindexed) {
+            await AuditLog.updateOne({ _id: entry._id }, { $set: { searchText: buildSearchText(entry) } });
+        }
+
+        const unsealed = await AuditLog.find({ sequence: { $exists: false } })
+            .sort('timestamp')
+            .lean();
+
+        for (const entry of unsealed) {
+            let sealed = false;
+            for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS && !sealed; attempt++) {
+                const head = await getHead();
+                entry.sequence = head ? head.sequence + 1 : 1;
+                entry.previousHash = head ? head.hash : GENESIS_HASH;
+                entry.hash = hashEntry(entry);
+
+                try {
+                    await AuditLog.updateOne(
+                        { _id: entry._id, sequence: { $exists: false } },
+                        { $set: { sequence: entry.sequence, previousHash: entry.previousHash, hash: entry.hash } }
+                    );
+                    sealed = true;
+                } catch (error) {
+                    if (error.code !== 11000) {
+                        throw error;
+                    }
+                }
+            }
+            if (!sealed) {
+                throw new Error(`Could not seal audit log entry ${entry._id}`);
+            }
+        }
+
+        return unsealed.length;
+    }
+
+    /**
+     * Walk the chain checking every entry's hash, its link to the entry
+     * before it and that no sequence number is missing. Removing entries from
+     * the end leaves a valid shorter chain, so pass a head noted from an
+     * earlier run as the anchor to check it is still there. Archived entries
+     * come first in the chain, so they are checked before the live ones.
+     */
+    static async verify({ anchorSequence, anchorHash } = {}) {
+        const problems = [];
+        const report = (problem) => {
+            if (problems.length < MAX_REPORTED_PROBLEMS) {
+                problems.push(problem);
+            }
+        };
+
+        let expectedSequence = 1;
+        let previousHash = GENESIS_HASH;
+        let checked = 0;
+        let anchorFound = false;
+
+        async function* chain() {
+            for (const Model of [AuditLogArchive, AuditLog]) {
+                yield* Model.find({ sequence: { $exists: true } }).sort('sequence').lean().cursor();
+            }
+        }
+
+        for await (const entry of chain()) {
+            if (entry.sequence !== expectedSequence) {
+                report({
+                    sequence: expectedSequence,
+                    problem: `Entries ${expectedSequence} to ${entry.sequence - 1} are missing`
+                });
+            } else if (entry.previousHash !== previousHash) {
+                report({ sequence: entry.sequence, entryId: entry._id, problem: 'Does not link to the entry before it' });
+            }
+            if (hashEntry(entry) !== entry.hash) {
+                report({ sequence: entry.sequence, entryId: entry._id, problem: 'Contents do not match the stored hash' });
+            }
+            if (anchorSequence !== undefined && entry.sequence === anchorSequence) {
+                anchorFound = true;
+                if (anchorHash && entry.hash !== anchorHash) {
+                    report({ sequence: entry.sequence, entryId: entry._id, problem: 'Hash differs from the anchor' });
+                }
+            }
+
+            previousHash = entry.hash;
+            expectedSequence = entry.sequence + 1;
+            checked++;
+        }
+
+        if (anchorSequence !== undefined && !anchorFound) {
+            report({ sequence: anchorSequence, problem: 'Anchor entry is missing' });
+        }
+
+        return {
+            valid: problems.length === 0,
+            checked,
+            head: checked > 0 ? { sequence: expectedSequence - 1, hash: previousHash } : null,
+            unsealed: await AuditLog.countDocuments({ sequence: { $exists: false } }),
+            problems
+        };
+    }
+
+    /**
+     * Build a query from listing filters: adminId, action (comma-separated),
+     * clientId, subjectType, subjectId, startDate, endDate and q, free text
+     * matched against details, before and after. Returns { error } when invalid.
+     */
+    static buildFilter({ adminId, action, clientId, subjectType, subjectId, startDate, endDate, q }) {
+        const filter = {};
+
+        for (const [field, value] of Object.entries({ adminId, clientId, subjectId })) {
+            if (value === undefined) {
+                continue;
+            }
+            if (!mongoose.isValidObjectId(value)) {
+                return { error: `Invalid ${field}` };
+            }
+            filter[field] = value;
+        }
+
+        if (action) {
+            filter.action = { $in: action.split(',').map(a => a.trim()).filter(Boolean) };
+        }
+        if (subjectType) {
+            filter.subjectType = subjectType;
+        }
+
+        if (startDate || endDate) {
+            filter.timestamp = {};
+            if (startDate) filter.timestamp.$gte = new Date(startDate);
+            if (endDate) filter.timestamp.$lte = new Date(endDate);
+            if (Object.values(filter.timestamp).some(date => isNaN(date))) {
+                return { error: 'Invalid date range' };
+            }
+        }
+
+        if (q && q.trim()) {
+            filter.searchText = { $regex: escapeRegex(q.trim().toLowerCase()) };
+        }
+
+        return { filter };
+    }
+
+    /**
+     * One page of entries, newest first. Pass the previous page's nextCursor
+     * to continue; nextCursor is null on the last page.
+     */
+    static async list(filter, { cursor, limit, archived = false } = {}) {
+        const Model = archived ? AuditLogArchive : AuditLog;
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        const query = { ...filter };
+        if (cursor) {
+            const position = decodeCursor(cursor);
+            if (!position) {
+                throw new Error('Invalid cursor');
+            }
+            query.$and = [{
+                $or: [
+                    { timestamp: { $lt: position.timestamp } },
+                    { timestamp: position.timestamp, _id: { $lt: position.id } }
+                ]
+            }];
+        }
+
+        // One extra entry tells us whether there is another page
+        const logs = await Model.find(query)
+            .populate('adminId', 'name email')
+            .populate('clientId', 'name email clientCode')
+            .sort({ timestamp: -1, _id: -1 })
+            .limit(pageSize + 1);
+
+        const hasMore = logs.length > pageSize;
+        const page = hasMore ? logs.slice(0, pageSize) : logs;
+
+        return {
+            logs: page,
+            nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+        };
+    }
+
+    /**
+     * Cursor over every matching entry in chain order, for export
+     */
+    static exportCursor(filter, { archived = false } = {}) {
+        const Model = archived ? AuditLogArchive : AuditLog;
+        return Model.find(filter)
+            .populate('adminId', 'name email')
+            .populate('clientId', 'name email clientCode')
+            .sort({ timestamp: 1, _id: 1 })
+            .lean()
+            .cursor();
+    }
+
+    static getCsvHeader() {
+        return EXPORT_COLUMNS.map(([header]) => header).join(',');
+    }
+
+    static toCsvLine(entry) {
+        return EXPORT_COLUMNS.map(([, read]) => escapeCsvValue(read(entry))).join(',');
+    }
+
+    static getRetentionDays() {
+        return RETENTION_DAYS;
+    }
+
+    /**
+     * Move entries older than the retention period into the archive. Only a
+     * leading run of the chain moves, stopping at the first entry still
+     * inside the period, so the archive and the live log stay one unbroken
+     * chain. Entries are copied before they are removed, so an interrupted
+     * run loses nothing and the next run finishes it.
+     */
+    static async archiveExpired(now = new Date()) {
+        if (!(RETENTION_DAYS > 0)) {
+            return { archived: 0, cutoff: null };
+        }
+
+        const cutoff = new Date(now.getTime() - RETENTION_DAYS * DAY_MS);
+        const firstKept = await AuditLog.findOne({ sequence: { $exists: true }, timestamp: { $gte: cutoff } })
+            .sort('sequence')
+            .select('sequence')
+            .lean();
+
+        const filter = { sequence: firstKept ? { $lt: firstKept.sequence } : { $exists: true } };
+        let archived = 0;
+        let throughSequence = null;
+
+        for (;;) {
+            const batch = await AuditLog.find(filter)
+                .select('+searchText')
+                .sort('sequence')
+                .limit(ARCHIVE_BATCH_SIZE)
+                .lean();
+            if (batch.length === 0) {
+                break;
+            }
+
+            await AuditLogArchive.bulkWrite(batch.map(entry => ({
+                replaceOne: {
+                    filter: { _id: entry._id },
+                    replacement: { ...entry, archivedAt: now },
+                    upsert: true
+                }
+            })));
+            await AuditLog.deleteMany({ _id: { $in: batch.map(entry => entry._id) } });
+
+            archived += batch.length;
+            throughSequence = batch[batch.length - 1].sequence;
+        }
+
+        if (archived > 0) {
+            await this.record(null, {
+                action: 'audit_log_archived',
+                details: { archived, throughSequence, cutoff, retentionDays: RETENTION_DAYS }
+            });
+        }
+
+        return { archived, cutoff, throughSequence };
+    }
+
+    /**
+     * Run the retention policy now and then once a day
+     */
+    static startRetention() {
+        if (archiveTimer || !(RETENTION_DAYS > 0)) {
+            return;
+        }
+
+        const run = () => this.archiveExpired().catch(error => {
+            console.error('Audit log archiving failed:', error);
+        });
+        archiveTimer = setInterval(run, ARCHIVE_INTERVAL_MS);
+        run();
+    }
+}
+
+module.exports = AuditTrail;
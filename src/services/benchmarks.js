@@ -0,0 +1,164 @@
+// src/services/benchmarks.js
+const Benchmark = require('../models/Benchmark');
+const BenchmarkValue = require('../models/BenchmarkValue');
+const PlatformInvestment = require('../models/PlatformInvestment');
+const { parseCsv } = require('../utils/csv');
+
+/**
+ * Index of the last value dated before a time (or on it, when inclusive),
+ * or -1. Values must be sorted by date.
+ */
+function findLastIndex(values, time, inclusive) {
+    let low = 0;
+    let high = values.length - 1;
+    let found = -1;
+
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        const valueTime = values[mid].date.getTime();
+        if (valueTime < time || (inclusive && valueTime === time)) {
+            found = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+
+    return found;
+}
+
+class Benchmarks {
+    /**
+     * The benchmark the fund is linked to, or null
+     */
+    static async getFundBenchmark() {
+        return Benchmark.findOne({ isFundBenchmark: true });
+    }
+
+    /**
+     * Link the fund to a benchmark, or unlink it with a null id
+     */
+    static async linkFund(benchmarkId) {
+        if (benchmarkId) {
+            const benchmark = await Benchmark.findById(benchmarkId);
+            if (!benchmark) {
+                throw new Error('Benchmark not found');
+            }
+        }
+
+        await Benchmark.updateMany(
+            { isFundBenchmark: true, _id: { $ne: benchmarkId || null } },
+            { $set: { isFundBenchmark: false } }
+        );
+        if (benchmarkId) {
+            await Benchmark.updateOne({ _id: benchmarkId }, { $set: { isFundBenchmark: true } });
+        }
+
+        return this.getFundBenchmark();
+    }
+
+    /**
+     * Link a platform to a benchmark, or unlink it with a null id.
+     * Returns null if the platform doesn't exist.
+     */
+    static async linkPlatform(platformId, benchmarkId) {
+        if (benchmarkId) {
+            const benchmark = await Benchmark.findById(benchmarkId);
+            if (!benchmark) {
+                throw new Error('Benchmark not found');
+            }
+        }
+
+        const update = benchmarkId ? { $set: { benchmarkId } } : { $unset: { benchmarkId: '' } };
+        return PlatformInvestment.findByIdAndUpdate(platformId, update, { new: true })
+            .populate('benchmarkId', 'name');
+    }
+
+    /**
+     * The fund's and every platform's benchmark
+     */
+    static async getLinks() {
+        const [fund, platforms] = await Promise.all([
+            Benchmark.findOne({ isFundBenchmark: true }).select('name'),
+            PlatformInvestment.find().select('platformName status benchmarkId').populate('benchmarkId', 'name')
+        ]);
+
+        return { fund, platforms };
+    }
+
+    /**
+     * Import values from CSV with date and value columns. Rows that fail
+     * validation are reported and skipped; the rest are upserted by date.
+     */
+    static async importValues(benchmarkId, csv, enteredBy) {
+        const rows = parseCsv(csv);
+        const results = [];
+        const operations = [];
+
+        rows.forEach((row, index) => {
+            const date = new Date(row.date);
+            const value = parseFloat(row.value);
+            const rowNumber = index + 2; // Header is row 1
+
+            let error = null;
+            if (!row.date || isNaN(date)) {
+                error = 'Invalid date';
+            } else if (!(value >= 0)) {
+                error = 'Value must be a non-negative number';
+            }
+
+            if (error) {
+                results.push({ row: rowNumber, success: false, error });
+                return;
+            }
+
+            results.push({ row: rowNumber, success: true, date, value });
+            operations.push({
+                updateOne: {
+                    filter: { benchmarkId, date },
+                    update: { $set: { value, source: 'csv', enteredBy } },
+                    upsert: true
+                }
+            });
+        });
+
+        if (operations.length > 0) {
+            await BenchmarkValue.bulkWrite(operations);
+        }
+
+        return {
+            imported: operations.length,
+            failed: results.length - operations.length,
+            results
+        };
+    }
+
+    /**
+     * The benchmark's return over each period, in percent: from its last
+     * value before the period starts to its last value by the period's end.
+     * A period with no value on either side, or none inside it, gets null.
+     */
+    static async getPeriodReturns(benchmarkId, periods) {
+        if (periods.length === 0) {
+            return [];
+        }
+
+        const lastDate = periods.reduce((latest, p) => (p.date > latest ? p.date : latest), periods[0].date);
+        const values = await BenchmarkValue.find({ benchmarkId, date: { $lte: lastDate } })
+            .select('date value')
+            .sort('date')
+            .lean();
+
+        return periods.map(period => {
+            const openIndex = findLastIndex(values, period.startDate.getTime(), false);
+            const closeIndex = findLastIndex(values, period.date.getTime(), true);
+            if (openIndex < 0 || closeIndex <= openIndex || values[openIndex].value <= 0) {
+                return null;
+            }
+
+            return (values[closeIndex].value / values[openIndex].value - 1) * 100;
+        });
+    }
+}
+
+module.exports = Benchmarks;
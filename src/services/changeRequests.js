@@ -0,0 +1,358 @@
+// src/services/changeRequests.js
+const ChangeRequest = require('../models/ChangeRequest');
+const Investment = require('../models/Investment');
+const WithdrawalRequest = require('../models/WithdrawalRequest');
+const AuditTrail = require('./auditTrail');
+const ClientPortfolio = require('./clientPortfolio');
+const FxService = require('./fxService');
+const InvestmentImporter = require('./investmentImporter');
+const Journal = require('./journal');
+const PeriodLock = require('./periodLock');
+const RecalculationQueue = require('./recalculationQueue');
+const { requireTransactions } = require('../utils/transactions');
+
+// Pending requests nobody reviews in time lapse rather than wait forever
+const EXPIRY_HOURS = parseInt(process.env.CHANGE_REQUEST_EXPIRY_HOURS, 10) || 72;
+
+// Investment fields shown side by side in the review queue
+const PREVIEW_FIELDS = ['clientId', 'amount', 'currency', 'investmentDate', 'type', 'status', 'isEdited'];
+
+const preview = (investment) => PREVIEW_FIELDS.reduce((fields, field) => {
+    fields[field] = investment[field];
+    return fields;
+}, {});
+
+// The adjusting flow that brings an investment in a closed period to its
+// corrected amount, worked in signed terms so withdrawals correct the same
+// way as deposits
+const getAdjustment = async (investment, correctedAmount) => {
+    const sign = investment.type === 'withdrawal' ? -1 : 1;
+    const currentAmount = await PeriodLock.getAdjustedAmount(investment);
+    const delta = sign * correctedAmount - currentAmount;
+    return { currentAmount, delta, type: delta > 0 ? 'deposit' : 'withdrawal' };
+};
+
+/**
+ * Four-eyes control over client investments: one admin asks for a change,
+ * a different admin approves it, and only then is it applied.
+ */
+class ChangeRequests {
+    /**
+     * Check a change can be made now. Run on submission and again on
+     * approval, since the period may have closed or the investment changed
+     * in between. Returns null, or { status, body } for the response.
+     */
+    static async check(type, { investment, payload, changeRequestId }) {
+        if (type === 'investment_create') {
+            const investmentDate = new Date(payload.investmentDate);
+            const closed = await PeriodLock.check(investmentDate);
+            if (closed) {
+                return { status: 409, body: closed };
+            }
+
+            if (payload.type === 'withdrawal') {
+                // Balances are held in the base currency. A withdrawal paying
+                // out a client's request is already held back by that request.
+                const baseAmount = await FxService.toBase(payload.amount, payload.currency, investmentDate);
+                const { availableBalance } = await ClientPortfolio.getAvailableBalance(payload.clientId, payload.withdrawalRequestId);
+                if (baseAmount > availableBalance) {
+                    return { status: 400, body: { error: 'Withdrawal exceeds client balance', availableBalance } };
+                }
+            }
+            return null;
+        }
+
+        if (type === 'investment_import') {
+            // Catch a standalone server before the request is claimed
+            await requireTransactions();
+            const result = await InvestmentImporter.import(payload.rows, { dryRun: true });
+            if (result.errorCount > 0) {
+                return { status: 400, body: { message: 'Import rejected, no rows were saved', ...result } };
+            }
+            return null;
+        }
+
+        if (!investment) {
+            return { status: 404, body: { error: 'Investment not found' } };
+        }
+        if (investment.status !== 'active') {
+            return { status: 400, body: { error: 'Investment is already cancelled' } };
+        }
+
+        if (type === 'investment_adjustment') {
+            if (!(await PeriodLock.check(investment.investmentDate))) {
+                return { status: 400, body: { error: 'Investment is in an open period; edit it instead' } };
+            }
+
+            const adjustmentDate = new Date(payload.adjustmentDate);
+            const closed = await PeriodLock.check(adjustmentDate);
+            if (closed) {
+                return { status: 409, body: closed };
+            }
+
+            const { delta, type: flowType } = await getAdjustment(investment, payload.correctedAmount);
+            if (Math.abs(delta) < 0.01) {
+                return { status: 400, body: { error: 'Corrected amount matches the current amount' } };
+            }
+            if (flowType === 'withdrawal') {
+                const baseAmount = await FxService.toBase(-delta, investment.currency, adjustmentDate);
+                const { availableBalance } = await ClientPortfolio.getAvailableBalance(investment.clientId);
+                if (baseAmount > availableBalance) {
+                    return { status: 400, body: { error: 'Adjustment exceeds client balance', availableBalance } };
+                }
+            }
+        } else {
+            const closed = await PeriodLock.check(investment.investmentDate);
+            if (closed) {
+                return { status: 409, body: closed };
+            }
+
+            // The balance already allows for the withdrawal as it stands, so
+            // only a raise needs to fit in it
+            if (type === 'investment_update' && investment.type === 'withdrawal' && payload.amount > investment.amount) {
+                const increase = await FxService.toBase(payload.amount - investment.amount, investment.currency, investment.investmentDate);
+                const { availableBalance } = await ClientPortfolio.getAvailableBalance(investment.clientId);
+                if (increase > availableBalance) {
+                    return { status: 400, body: { error: 'Withdrawal exceeds client balance', availableBalance } };
+                }
+            }
+        }
+
+        const otherPending = await ChangeRequest.findOne({
+            investmentId: investment._id,
+            status: 'pending',
+            ...(changeRequestId ? { _id: { $ne: changeRequestId } } : {})
+        }).select('_id');
+        if (otherPending) {
+            return {
+                status: 409,
+                body: { error: 'Another change to this investment is awaiting approval', changeRequestId: otherPending._id }
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Record a change for approval. The before/after preview is taken now,
+     * so an investment that moves on before approval can be spotted.
+     */
+    static async submit(type, { investment, payload, reason }, req) {
+        let before = null;
+        let after;
+        if (type === 'investment_create') {
+            after = preview({ ...payload, status: 'active', isEdited: false });
+        } else if (type === 'investment_import') {
+            const dates = payload.rows.map(row => new Date(row.investmentDate).getTime());
+            after = {
+                rowCount: payload.rows.length,
+                earliestDate: new Date(Math.min(...dates)),
+                latestDate: new Date(Math.max(...dates))
+            };
+        } else if (type === 'investment_update') {
+            before = preview(investment);
+            after = { ...before, amount: payload.amount, isEdited: true };
+        } else if (type === 'investment_adjustment') {
+            const { currentAmount } = await getAdjustment(investment, payload.correctedAmount);
+            before = { ...preview(investment), amount: Math.abs(currentAmount) };
+            after = { ...before, amount: payload.correctedAmount };
+        } else {
+            before = preview(investment);
+            after = { ...before, status: 'cancelled' };
+        }
+
+        const changeRequest = await ChangeRequest.create({
+            type,
+            clientId: investment ? investment.clientId : payload.clientId,
+            investmentId: investment ? investment._id : undefined,
+            payload,
+            before: before && { ...before, updatedAt: investment.updatedAt },
+            after,
+            reason,
+            requestedBy: req.user._id,
+            expiresAt: new Date(Date.now() + EXPIRY_HOURS * 60 * 60 * 1000)
+        });
+
+        await AuditTrail.record(req, {
+            action: 'change_requested',
+            clientId: changeRequest.clientId,
+            subject: { type: 'ChangeRequest', id: changeRequest._id },
+            before,
+            after,
+            details: {
+                type,
+                investmentId: changeRequest.investmentId,
+                reason
+            }
+        });
+
+        return changeRequest;
+    }
+
+    /**
+     * Whether the investment has been changed since the request was made
+     */
+    static isStale(changeRequest, investment) {
+        return Boolean(changeRequest.before && investment
+            && investment.updatedAt.getTime() !== new Date(changeRequest.before.updatedAt).getTime());
+    }
+
+    /**
+     * Make an approved change: write the investment, post it to the journal
+     * and queue the recalculation. Returns the investment, every investment
+     * written (several for an import) and the job.
+     */
+    static async apply(changeRequest, investment, approvedBy) {
+        const { type, payload } = changeRequest;
+        let reason;
+        let withdrawalRequest;
+
+        if (type === 'investment_import') {
+            // Imports insert and journal their rows together
+            const result = await InvestmentImporter.import(payload.rows, { postedBy: approvedBy });
+            if (!result.applied) {
+                throw new Error('Import no longer validates; reject it and submit a new one');
+            }
+
+            const job = await RecalculationQueue.enqueue(result.earliestDate, {
+                reason: 'investments_imported',
+                requestedBy: approvedBy,
+                changedThrough: result.latestDate
+            });
+            const investments = await Investment.find({ _id: { $in: result.results.map(row => row.investmentId) } });
+            return { investment: null, investments, job };
+        }
+
+        if (type === 'investment_create') {
+            investment = new Investment({
+                clientId: payload.clientId,
+                investmentDate: new Date(payload.investmentDate),
+                amount: payload.amount,
+                currency: FxService.normaliseCurrency(payload.currency),
+                type: payload.type
+            });
+            reason = 'investment_created';
+
+            // Paying out a client's withdrawal request settles it
+            if (payload.withdrawalRequestId) {
+                withdrawalRequest = await WithdrawalRequest.findOne({
+                    _id: payload.withdrawalRequestId,
+                    status: 'awaiting_approval'
+                });
+                if (!withdrawalRequest) {
+                    throw new Error('Withdrawal request is no longer awaiting approval');
+                }
+                reason = 'withdrawal_approved';
+            }
+        } else if (type === 'investment_update') {
+            investment.editHistory.push({
+                previousAmount: investment.amount,
+                newAmount: payload.amount,
+                editedBy: changeRequest.requestedBy,
+                reason: changeRequest.reason
+            });
+            investment.amount = payload.amount;
+            investment.isEdited = true;
+            investment.baseAmount = undefined;
+            reason = 'investment_edited';
+        } else if (type === 'investment_adjustment') {
+            // Work the delta out again, in case another adjustment landed first
+            const { currentAmount, delta, type: flowType } = await getAdjustment(investment, payload.correctedAmount);
+            if (Math.abs(delta) < 0.01) {
+                throw new Error('Corrected amount matches the current amount');
+            }
+            investment = new Investment({
+                clientId: investment.clientId,
+                amount: Math.abs(delta),
+                currency: investment.currency,
+                investmentDate: new Date(payload.adjustmentDate),
+                type: flowType,
+                adjustment: {
+                    adjustsInvestmentId: investment._id,
+                    previousAmount: Math.abs(currentAmount),
+                    correctedAmount: payload.correctedAmount,
+                    reason: changeRequest.reason,
+                    createdBy: changeRequest.requestedBy
+                }
+            });
+            reason = 'investment_adjusted';
+        } else {
+            investment.status = 'cancelled';
+            reason = 'investment_cancelled';
+        }
+
+        await investment.save();
+        if (withdrawalRequest) {
+            withdrawalRequest.status = withdrawalRequest.approvedAmount < withdrawalRequest.requestedAmount
+                ? 'partially_approved'
+                : 'approved';
+            withdrawalRequest.investmentId = investment._id;
+            await withdrawalRequest.save();
+        }
+        await Journal.postInvestment(investment, approvedBy);
+
+        const job = await RecalculationQueue.enqueue(investment.investmentDate, {
+            reason,
+            requestedBy: approvedBy,
+            changedThrough: investment.investmentDate
+        });
+
+        return { investment, investments: [investment], job };
+    }
+
+    /**
+     * Send the client's withdrawal request a change was paying out back for
+     * review, once that change is rejected, expires or fails to apply
+     */
+    static async releaseWithdrawal(changeRequest) {
+        const withdrawalRequestId = changeRequest.payload && changeRequest.payload.withdrawalRequestId;
+        if (!withdrawalRequestId) {
+            return;
+        }
+
+        await WithdrawalRequest.updateOne(
+            { _id: withdrawalRequestId, status: 'awaiting_approval', changeRequestId: changeRequest._id },
+            {
+                $set: { status: 'pending' },
+                $unset: { approvedAmount: 1, reviewNote: 1, reviewedBy: 1, reviewedAt: 1, changeRequestId: 1 }
+            }
+        );
+    }
+
+    /**
+     * Mark pending requests past their expiry as expired. The server does
+     * this on its own, so each is logged as a system action naming the
+     * admin who made the request.
+     */
+    static async expireStale() {
+        const now = new Date();
+        const stale = await ChangeRequest.find({ status: 'pending', expiresAt: { $lte: now } });
+
+        for (const changeRequest of stale) {
+            const expired = await ChangeRequest.findOneAndUpdate(
+                { _id: changeRequest._id, status: 'pending' },
+                { $set: { status: 'expired', reviewedAt: now } },
+                { new: true }
+            );
+            if (!expired) {
+                continue;
+            }
+            await ChangeRequests.releaseWithdrawal(expired);
+
+            await AuditTrail.record(null, {
+                action: 'change_expired',
+                clientId: expired.clientId,
+                subject: { type: 'ChangeRequest', id: expired._id },
+                details: {
+                    type: expired.type,
+                    investmentId: expired.investmentId,
+                    requestedBy: expired.requestedBy,
+                    expiresAt: expired.expiresAt
+                }
+            });
+        }
+
+        return stale.length;
+    }
+}
+
+module.exports = ChangeRequests;
@@ -0,0 +1,221 @@
+// src/services/clientPortfolio.js
+const Investment = require('../models/Investment');
+const MonthlyReturn = require('../models/MonthlyReturn');
+const WithdrawalRequest = require('../models/WithdrawalRequest');
+const FxService = require('./fxService');
+const InvestmentCalculator = require('./investmentCalculator');
+
+// A flow's amount in the base currency, negative for a withdrawal
+const toSignedBase = async (inv, amount) => {
+    const baseAmount = await FxService.toBase(amount, inv.currency, inv.investmentDate);
+    return inv.type === 'withdrawal' ? -baseAmount : baseAmount;
+};
+
+class ClientPortfolio {
+    /**
+     * Get a client's flows, monthly ledger and compounded summary
+     */
+    static async getPortfolio(clientId) {
+        // Get all client investments
+        const investments = await Investment.find({
+            clientId,
+            status: 'active'
+        }).sort('investmentDate');
+
+        const monthlyReturns = await this.getMonthlyLedger(clientId);
+
+        return {
+            investments,
+            monthlyReturns,
+            summary: this.summarise(investments, monthlyReturns)
+        };
+    }
+
+    /**
+     * Extract a client's month-by-month ledger from the monthly returns
+     */
+    static async getMonthlyLedger(clientId) {
+        const monthlyReturns = await MonthlyReturn.find({
+            'clientReturns.clientId': clientId
+        })
+            .sort('month')
+            .lean();
+
+        return monthlyReturns.map(mr => {
+            const clientReturn = mr.clientReturns.find(
+                cr => cr.clientId.toString() === clientId.toString()
+            );
+            return {
+                month: mr.month,
+                totalCorpus: mr.totalCorpus,
+                sharePercentage: clientReturn.sharePercentage,
+                investmentShare: clientReturn.investmentShare,
+                units: clientReturn.units,
+                navPerUnit: mr.navPerUnit,
+                openingBalance: clientReturn.openingBalance,
+                netFlows: clientReturn.netFlows,
+                weightedCapital: clientReturn.weightedCapital,
+                grossReturn: clientReturn.grossReturn,
+                managementFee: clientReturn.managementFee,
+                performanceFee: clientReturn.performanceFee,
+                feeAmount: clientReturn.feeAmount,
+                highWaterMark: clientReturn.highWaterMark,
+                returnAmount: clientReturn.returnAmount,
+                closingBalance: clientReturn.closingBalance,
+                monthlyReturnPercentage: mr.monthlyReturnPercentage,
+                // Figures changed by a recalculation since they were first reported
+                isRestated: !!clientReturn.restatedAt,
+                restatedAt: clientReturn.restatedAt
+            };
+        });
+    }
+
+    /**
+     * Summarise net investment (in the base currency) against the latest compounded closing balance
+     */
+    static summarise(investments, monthlyLedger) {
+        const totalInvested = investments
+            .filter(inv => inv.status === 'active')
+            .reduce((sum, inv) => {
+                return sum + InvestmentCalculator.getSignedAmount(inv);
+            }, 0);
+
+        const currentValue = monthlyLedger.length > 0
+            ? monthlyLedger[monthlyLedger.length - 1].closingBalance
+            : totalInvested;
+
+        const totalReturns = currentValue - totalInvested;
+        const returnPercentage = totalInvested > 0
+            ? ((totalReturns / totalInvested) * 100).toFixed(2)
+            : 0;
+
+        return {
+            totalInvested,
+            currentValue,
+            totalReturns,
+            returnPercentage: parseFloat(returnPercentage)
+        };
+    }
+
+    /**
+     * Get a client's value from their latest calculated month
+     */
+    static async getCurrentValue(clientId) {
+        const latestReturn = await MonthlyReturn.findOne({
+            'clientReturns.clientId': clientId
+        })
+            .sort('-month')
+            .lean();
+
+        if (!latestReturn) {
+            return { asOf: null, units: 0, navPerUnit: null, currentValue: 0 };
+        }
+
+        const clientReturn = latestReturn.clientReturns.find(
+            cr => cr.clientId.toString() === clientId.toString()
+        );
+
+        return {
+            asOf: latestReturn.month,
+            units: clientReturn.units,
+            navPerUnit: latestReturn.navPerUnit,
+            currentValue: clientReturn.closingBalance
+        };
+    }
+
+    /**
+     * Net change to a client's balance that their latest calculated month
+     * doesn't reflect yet, in the base currency: flows dated after that
+     * month, plus flows created, edited or cancelled since it was calculated
+     * that the queued recalculation hasn't reached. Negative when the balance
+     * has gone down.
+     */
+    static async getUncalculatedFlows(clientId) {
+        const latestReturn = await MonthlyReturn.findOne({ 'clientReturns.clientId': clientId })
+            .sort('-month')
+            .select('month calculatedAt updatedAt')
+            .lean();
+
+        const query = { clientId, status: 'active' };
+        let nextMonth;
+        let calculatedAt;
+        if (latestReturn) {
+            nextMonth = new Date(latestReturn.month.getFullYear(), latestReturn.month.getMonth() + 1, 1);
+            calculatedAt = latestReturn.calculatedAt || latestReturn.updatedAt;
+            delete query.status;
+            query.$or = [
+                { investmentDate: { $gte: nextMonth }, status: 'active' },
+                { updatedAt: { $gt: calculatedAt } }
+            ];
+        }
+
+        const flows = await Investment.find(query)
+            .select('amount currency type status investmentDate createdAt editHistory')
+            .lean();
+
+        let netFlows = 0;
+        for (const inv of flows) {
+            if (inv.status === 'active') {
+                netFlows += await toSignedBase(inv, inv.amount);
+            }
+
+            // Take out what the calculated month already counted: the amount
+            // before any later edit, for a flow that was in it and active then
+            const wasCalculated = latestReturn
+                && inv.investmentDate < nextMonth
+                && inv.createdAt <= calculatedAt;
+            if (wasCalculated) {
+                const laterEdit = (inv.editHistory || []).find(edit => edit.editedAt > calculatedAt);
+                netFlows -= await toSignedBase(inv, laterEdit ? laterEdit.previousAmount : inv.amount);
+            }
+        }
+        return netFlows;
+    }
+
+    /**
+     * Balance a client can still withdraw: current value, adjusted for flows
+     * not yet calculated, less pending requests. Pass a request id to leave
+     * that request out of the pending total.
+     */
+    static async getAvailableBalance(clientId, excludeRequestId) {
+        const { currentValue } = await this.getCurrentValue(clientId);
+        const uncalculatedFlows = await this.getUncalculatedFlows(clientId);
+
+        // Requests waiting on a second admin hold back only what was approved
+        const pendingQuery = { clientId, status: { $in: ['pending', 'awaiting_approval'] } };
+        if (excludeRequestId) {
+            pendingQuery._id = { $ne: excludeRequestId };
+        }
+        const pendingRequests = await WithdrawalRequest.find(pendingQuery).select('status requestedAmount approvedAmount');
+        const pendingAmount = pendingRequests.reduce((sum, request) => sum + (request.status === 'awaiting_approval'
+            ? request.approvedAmount
+            : request.requestedAmount), 0);
+
+        return {
+            currentValue,
+            uncalculatedFlows,
+            pendingAmount,
+            availableBalance: currentValue + uncalculatedFlows - pendingAmount
+        };
+    }
+
+    /**
+     * Get every client's closing balance from the latest calculated month
+     */
+    static async getCurrentBalances() {
+        const latestReturn = await MonthlyReturn.findOne()
+            .sort('-month')
+            .select('clientReturns.clientId clientReturns.closingBalance')
+            .lean();
+
+        const balances = new Map();
+        if (latestReturn) {
+            latestReturn.clientReturns.forEach(cr => {
+                balances.set(cr.clientId.toString(), cr.closingBalance || 0);
+            });
+        }
+        return balances;
+    }
+}
+
+module.exports = ClientPortfolio;
@@ -0,0 +1,97 @@
+// src/services/feeEngine.js
+const FeeSchedule = require('../models/FeeSchedule');
+
+// Charged when neither the client nor the fund has a schedule
+const NO_FEES = {
+    performanceFeePercentage: 0,
+    managementFeePercentage: 0
+};
+
+class FeeEngine {
+    /**
+     * Get the fund schedule and per-client overrides in force at a date
+     */
+    static async getSchedulesAtDate(date) {
+        const schedules = await FeeSchedule.find({
+            isActive: true,
+            effectiveFrom: { $lte: date }
+        })
+            .sort('-effectiveFrom')
+            .lean();
+
+        // Sorted newest first, so the first match for each scope wins
+        let fundSchedule = null;
+        const clientSchedules = {};
+
+        schedules.forEach(schedule => {
+            if (schedule.scope === 'fund') {
+                fundSchedule = fundSchedule || schedule;
+            } else {
+                const clientId = schedule.clientId.toString();
+                clientSchedules[clientId] = clientSchedules[clientId] || schedule;
+            }
+        });
+
+        return { fundSchedule, clientSchedules };
+    }
+
+    /**
+     * Resolve the schedule for a client, falling back to the fund schedule
+     */
+    static resolveSchedule(schedules, clientId) {
+        return schedules.clientSchedules[clientId.toString()]
+            || schedules.fundSchedule
+            || NO_FEES;
+    }
+
+    /**
+     * Get the schedule that applies to a single client at a date
+     */
+    static async getScheduleForClient(clientId, date) {
+        const schedules = await this.getSchedulesAtDate(date);
+        return this.resolveSchedule(schedules, clientId);
+    }
+
+    /**
+     * Carry the high-water mark across the month's flows. Deposits raise it
+     * one for one; withdrawals lower it in proportion to the capital taken out.
+     */
+    static adjustHighWaterMark(highWaterMark, openingBalance, netFlows) {
+        if (netFlows >= 0) {
+            return highWaterMark + netFlows;
+        }
+        if (openingBalance <= 0) {
+            return 0;
+        }
+        return highWaterMark * Math.max(0, 1 + netFlows / openingBalance);
+    }
+
+    /**
+     * Crystallise a month's fees for one client.
+     * The management fee is charged first; the performance fee is then taken
+     * only on value above the flow-adjusted high-water mark.
+     */
+    static calculateFees({ openingBalance, netFlows, grossClosingBalance, highWaterMark, schedule }) {
+        const investedCapital = Math.max(0, openingBalance + netFlows);
+        const managementFee = investedCapital * (schedule.managementFeePercentage / 100) / 12;
+        const balanceAfterManagementFee = grossClosingBalance - managementFee;
+
+        const adjustedHighWaterMark = this.adjustHighWaterMark(highWaterMark, openingBalance, netFlows);
+        const newProfit = Math.max(0, balanceAfterManagementFee - adjustedHighWaterMark);
+        const performanceFee = newProfit * (schedule.performanceFeePercentage / 100);
+
+        const closingBalance = balanceAfterManagementFee - performanceFee;
+
+        return {
+            managementFee,
+            performanceFee,
+            feeAmount: managementFee + performanceFee,
+            closingBalance,
+            highWaterMark: Math.max(adjustedHighWaterMark, closingBalance)
+        };
+    }
+}
+
+FeeEngine.NO_FEES = NO_FEES;
+
+module.exports = FeeEngine;
@@ -0,0 +1,78 @@
+// src/services/fxService.js
+const FxRate = require('../models/FxRate');
+const { BASE_CURRENCY, normaliseCurrency } = require('../utils/currency');
+
+class FxService {
+    /**
+     * Currency every report and calculation is expressed in
+     */
+    static getBaseCurrency() {
+        return BASE_CURRENCY;
+    }
+
+    /**
+     * Normalise a currency code, treating a missing one as the base currency
+     */
+    static normaliseCurrency(currency) {
+        return normaliseCurrency(currency);
+    }
+
+    /**
+     * Get the rate to the base currency in force on a date: the latest one
+     * entered on or before it. Pass a Map as cache to reuse lookups across
+     * many conversions.
+     */
+    static async getRate(currency, date, cache) {
+        const code = normaliseCurrency(currency);
+        if (code === BASE_CURRENCY) {
+            return 1;
+        }
+
+        const cacheKey = `${code}:${date.getTime()}`;
+        if (cache && cache.has(cacheKey)) {
+            return cache.get(cacheKey);
+        }
+
+        const fxRate = await FxRate.findOne({
+            currency: code,
+            baseCurrency: BASE_CURRENCY,
+            date: { $lte: date }
+        })
+            .sort('-date')
+            .select('rate')
+            .lean();
+
+        if (!fxRate) {
+            throw new Error(`No ${code}/${BASE_CURRENCY} rate on or before ${date.toISOString().slice(0, 10)}`);
+        }
+
+        if (cache) {
+            cache.set(cacheKey, fxRate.rate);
+        }
+        return fxRate.rate;
+    }
+
+    /**
+     * Get rates for several currencies on the same date, keyed by currency
+     */
+    static async getRates(currencies, date, cache) {
+        const codes = [...new Set(currencies.map(currency => normaliseCurrency(currency)))];
+        const rates = {};
+
+        for (const code of codes) {
+            rates[code] = await this.getRate(code, date, cache);
+        }
+
+        return rates;
+    }
+
+    /**
+     * Convert an amount to the base currency at a date's rate
+     */
+    static async toBase(amount, currency, date) {
+        const rate = await this.getRate(currency, date);
+        return amount * rate;
+    }
+}
+
+module.exports = FxService;
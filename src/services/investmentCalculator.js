@@ -2,180 +2,628 @@
 const Investment = require('../models/Investment');
 const MonthlyReturn = require('../models/MonthlyReturn');
 const PlatformInvestment = require('../models/PlatformInvestment');
+const WeeklyPlatformData = require('../models/WeeklyPlatformData');
 const User = require('../models/User');
+const FeeEngine = require('./feeEngine');
+const FxService = require('./fxService');
+const Journal = require('./journal');
+const Restatements = require('./restatements');
+const PeriodLock = require('./periodLock');
+const { differs } = require('../utils/compare');
+
+// NAV per unit the fund is launched at
+const INITIAL_NAV_PER_UNIT = 10;
 
 class InvestmentCalculator {
     /**
-     * Recalculate all returns from a specific date
+     * Recalculate returns from a specific date. Each month rolls forward from
+     * the month before, so once a month after changedThrough comes out the
+     * same as stored, every later month would too and the run stops there.
+     * Leave changedThrough unset to recalculate every month up to today.
+     * Closed months are never recalculated; the run starts after them.
+     * onProgress, if given, is awaited before each month is calculated, and
+     * trigger tags any month versions the run creates.
      */
-    static async recalculateFromDate(fromDate) {
+    static async recalculateFromDate(fromDate, { onProgress, changedThrough, trigger } = {}) {
         console.log(`Starting recalculation from ${fromDate}`);
 
         // Get all months that need recalculation
-        const months = await this.getMonthsFromDate(fromDate);
+        const closedThrough = await PeriodLock.getClosedThrough();
+        const months = (await this.getMonthsFromDate(fromDate))
+            .filter(month => !closedThrough || month > closedThrough);
+        const lastChangedMonth = changedThrough
+            ? new Date(changedThrough.getFullYear(), changedThrough.getMonth(), 1)
+            : null;
+
+        let snapshot = months.length > 0 ? await this.getSnapshot(months[0]) : null;
+        let monthsRecalculated = 0;
+        let monthsChanged = 0;
+
+        // Months must run in order: each one is priced off the previous NAV
+        for (const [index, month] of months.entries()) {
+            if (onProgress) {
+                await onProgress({ month, monthsCompleted: index, monthsTotal: months.length });
+            }
+
+            const result = await this.calculateMonthlyReturns(month, snapshot, trigger);
+            snapshot = result.record;
+            monthsRecalculated++;
 
-        for (const month of months) {
-            await this.calculateMonthlyReturns(month);
+            if (result.changed) {
+                monthsChanged++;
+            } else if (lastChangedMonth && month >= lastChangedMonth) {
+                break;
+            }
         }
 
-        return { success: true, monthsRecalculated: months.length };
+        return {
+            success: true,
+            monthsRecalculated,
+            monthsChanged,
+            monthsSkipped: months.length - monthsRecalculated
+        };
     }
 
     /**
-     * Calculate returns for a specific month
+     * Calculate returns for a specific month from the previous month's
+     * snapshot plus this month's flows. Pass the snapshot when it is already
+     * in hand (null if there is none); otherwise the latest stored month
+     * before this one is loaded. Returns the month's record and whether it
+     * differs from the stored one. Unchanged months are not written again;
+     * changed ones are saved as a new version tagged with the trigger.
      */
-    static async calculateMonthlyReturns(monthDate) {
+    static async calculateMonthlyReturns(monthDate, snapshot, trigger) {
         const startOfMonth = new Date(monthDate.getFullYear(), monthDate.getMonth(), 1);
-        const endOfMonth = new Date(monthDate.getFullYear(), monthDate.getMonth() + 1, 0);
+        const endOfMonth = new Date(monthDate.getFullYear(), monthDate.getMonth() + 1, 0, 23, 59, 59, 999);
+        const rateCache = new Map();
 
-        // Get total corpus at month end
-        const corpusData = await this.getCorpusAtDate(endOfMonth);
+        // A closed month stays exactly as it was reported
+        const stored = await MonthlyReturn.findOne({ month: startOfMonth }).lean();
+        if (stored && stored.isClosed) {
+            return { record: stored, changed: false };
+        }
 
-        // Get platform returns for the month
-        const platformReturns = await this.getPlatformReturns(startOfMonth, endOfMonth);
+        if (snapshot === undefined) {
+            snapshot = await this.getSnapshot(startOfMonth);
+        }
 
-        // Calculate total return percentage
-        const totalReturnPercentage = this.calculateWeightedReturn(platformReturns);
+        // Fund position struck at the previous month end
+        const opening = await this.getOpeningPosition(startOfMonth, snapshot);
+        const monthlyFlows = await this.getMonthlyFlows(startOfMonth);
+        await this.convertFlows(monthlyFlows, rateCache);
+
+        // Price the fund from platform values at month end
+        const platformReturns = await this.getPlatformReturns(startOfMonth, endOfMonth, rateCache);
+
+        // Time-weighted return for the month, used to price flows on the day they happened
+        const flowReturn = this.calculateModifiedDietzReturn(
+            opening.navPerUnit * opening.totalUnits,
+            monthlyFlows,
+            platformReturns.totalValue,
+            startOfMonth
+        );
+        await this.allocateUnits(monthlyFlows, opening.navPerUnit, flowReturn, startOfMonth);
+
+        // Unit balances at month end: the snapshot's plus every flow since it
+        const earlierFlows = await this.getFlowsSinceSnapshot(snapshot, startOfMonth);
+        const corpusData = this.rollForwardCorpus(snapshot, [...earlierFlows, ...monthlyFlows]);
+
+        // NAV per unit at month end, and the fund's return in unit terms
+        const navPerUnit = this.calculateNav(platformReturns.totalValue, corpusData.totalUnits, opening.navPerUnit);
+        const totalReturnPercentage = (navPerUnit / opening.navPerUnit - 1) * 100;
+
+        // Each client opens from last month's closing balance and high-water mark
+        const previousStates = this.getClientStates(snapshot);
+        const feeSchedules = await FeeEngine.getSchedulesAtDate(endOfMonth);
 
         // Calculate each client's share and returns
-        const clientReturns = await this.calculateClientReturns(
+        const clientReturns = this.calculateClientReturns(
             corpusData,
-            totalReturnPercentage,
-            endOfMonth
+            navPerUnit,
+            previousStates,
+            this.summariseFlowsByClient(monthlyFlows, startOfMonth),
+            feeSchedules
         );
 
-        // Save or update monthly return record
+        // Crystallised fees are paid in units transferred to the trader
+        const managerUnits = clientReturns.reduce((sum, cr) => sum + cr.cumulativeFeeUnits, 0);
+
+        const record = {
+            month: startOfMonth,
+            baseCurrency: FxService.getBaseCurrency(),
+            totalCorpus: corpusData.totalCorpus,
+            totalPlatformValue: platformReturns.totalValue,
+            tradingGain: platformReturns.tradingGain,
+            fxGain: platformReturns.fxGain,
+            monthlyReturnPercentage: totalReturnPercentage,
+            navPerUnit,
+            totalUnits: corpusData.totalUnits,
+            managerUnits,
+            totalFees: clientReturns.reduce((sum, cr) => sum + cr.feeAmount, 0),
+            clientReturns: clientReturns,
+            platformReturns: platformReturns.platforms
+        };
+
+        const changed = !stored || differs(stored, record);
+
+        if (changed) {
+            await Restatements.recordVersion(stored, record, trigger);
+
+            await this.storeMonth(record);
+
+            // Book the month's returns and fees to client capital
+            await Journal.postMonthlyAllocation(startOfMonth, clientReturns);
+        }
+
+        return { record, changed };
+    }
+
+    /**
+     * Save or update a month's record. Undefined fields would be dropped from
+     * the update, so the version fields recordVersion left unset are cleared.
+     */
+    static async storeMonth(record) {
+        const unset = ['version', 'restatedAt'].filter(field => record[field] === undefined);
         await MonthlyReturn.findOneAndUpdate(
-            { month: startOfMonth },
+            { month: record.month },
             {
-                month: startOfMonth,
-                totalCorpus: corpusData.totalCorpus,
-                totalPlatformValue: platformReturns.totalValue,
-                monthlyReturnPercentage: totalReturnPercentage,
-                clientReturns: clientReturns,
-                platformReturns: platformReturns.platforms,
-                calculatedAt: new Date()
+                ...record,
+                calculatedAt: new Date(),
+                ...(unset.length > 0 ? { $unset: Object.fromEntries(unset.map(field => [field, 1])) } : {})
             },
-            { upsert: true, new: true }
+            { upsert: true }
         );
     }
 
     /**
-     * Get total corpus and client shares at a specific date
+     * Get the latest stored month before a date, with just the fields the
+     * next month rolls forward from
      */
-    static async getCorpusAtDate(date) {
-        // Get all investments up to this date
-        const investments = await Investment.find({
-            investmentDate: { $lte: date },
+    static async getSnapshot(date) {
+        return MonthlyReturn.findOne({
+            month: { $lt: new Date(date.getFullYear(), date.getMonth(), 1) }
+        })
+            .sort('-month')
+            .select([
+                'month', 'navPerUnit', 'totalUnits',
+                'clientReturns.clientId', 'clientReturns.investmentShare', 'clientReturns.units',
+                'clientReturns.cumulativeFeeUnits', 'clientReturns.closingBalance', 'clientReturns.highWaterMark'
+            ].join(' '))
+            .lean();
+    }
+
+    /**
+     * Get the NAV per unit and units outstanding in force on a date, i.e. the
+     * last ones struck before it. Taken from the snapshot when it has a NAV.
+     */
+    static async getOpeningPosition(date, snapshot) {
+        if (snapshot && snapshot.navPerUnit > 0) {
+            return { navPerUnit: snapshot.navPerUnit, totalUnits: snapshot.totalUnits || 0 };
+        }
+
+        const previousReturn = await MonthlyReturn.findOne({
+            month: { $lt: new Date(date.getFullYear(), date.getMonth(), 1) },
+            navPerUnit: { $gt: 0 }
+        })
+            .sort('-month')
+            .select('navPerUnit totalUnits')
+            .lean();
+
+        if (!previousReturn) {
+            return { navPerUnit: INITIAL_NAV_PER_UNIT, totalUnits: 0 };
+        }
+
+        return {
+            navPerUnit: previousReturn.navPerUnit,
+            totalUnits: previousReturn.totalUnits || 0
+        };
+    }
+
+    /**
+     * Get every active flow dated inside a month
+     */
+    static async getMonthlyFlows(startOfMonth) {
+        const startOfNextMonth = new Date(startOfMonth.getFullYear(), startOfMonth.getMonth() + 1, 1);
+
+        return Investment.find({
+            investmentDate: { $gte: startOfMonth, $lt: startOfNextMonth },
+            status: 'active'
+        })
+            .select('clientId amount currency type investmentDate units navPerUnit fxRate baseAmount')
+            .lean();
+    }
+
+    /**
+     * Get active flows dated after the snapshot's month and before a month
+     * starts. Normally there are none: only a gap in the stored months, or no
+     * snapshot at all, leaves flows the snapshot doesn't already include.
+     */
+    static async getFlowsSinceSnapshot(snapshot, startOfMonth) {
+        const from = snapshot
+            ? new Date(snapshot.month.getFullYear(), snapshot.month.getMonth() + 1, 1)
+            : new Date(0);
+        if (from >= startOfMonth) {
+            return [];
+        }
+
+        return Investment.find({
+            investmentDate: { $gte: from, $lt: startOfMonth },
             status: 'active'
-        }).populate('clientId');
+        })
+            .select('clientId amount baseAmount type units')
+            .lean();
+    }
+
+    /**
+     * Convert each flow to the base currency at its date's rate
+     */
+    static async convertFlows(investments, rateCache) {
+        for (const inv of investments) {
+            const fxRate = await FxService.getRate(inv.currency, inv.investmentDate, rateCache);
+            const baseAmount = inv.amount * fxRate;
+
+            inv.isConversionChanged = differs(
+                { fxRate: inv.fxRate, baseAmount: inv.baseAmount },
+                { fxRate, baseAmount }
+            );
+            inv.fxRate = fxRate;
+            inv.baseAmount = baseAmount;
+        }
+    }
+
+    /**
+     * Flow amount in the base currency, negative for withdrawals.
+     * Flows recorded before currencies existed are already in the base currency.
+     */
+    static getSignedAmount(inv) {
+        const amount = inv.baseAmount !== undefined && inv.baseAmount !== null
+            ? inv.baseAmount
+            : inv.amount;
+        return inv.type === 'withdrawal' ? -amount : amount;
+    }
+
+    /**
+     * Share of the month a flow was invested for. A flow counts from the start
+     * of its day, so a deposit on the last day earns one day and a withdrawal
+     * on the 2nd earns one day.
+     */
+    static getFlowWeight(flowDate, startOfMonth) {
+        const daysInMonth = new Date(startOfMonth.getFullYear(), startOfMonth.getMonth() + 1, 0).getDate();
+        return (daysInMonth - flowDate.getDate() + 1) / daysInMonth;
+    }
 
-        // Group by client
-        const clientInvestments = {};
-        let totalCorpus = 0;
+    /**
+     * Modified Dietz return: the month's gain over day-weighted capital
+     */
+    static calculateModifiedDietzReturn(openingValue, flows, closingValue, startOfMonth) {
+        if (!closingValue) {
+            return 0;
+        }
+
+        let netFlows = 0;
+        let weightedFlows = 0;
+        flows.forEach(inv => {
+            const amount = this.getSignedAmount(inv);
+            netFlows += amount;
+            weightedFlows += amount * this.getFlowWeight(inv.investmentDate, startOfMonth);
+        });
+
+        const weightedCapital = openingValue + weightedFlows;
+        if (weightedCapital <= 0) {
+            return 0;
+        }
+
+        return (closingValue - openingValue - netFlows) / weightedCapital;
+    }
+
+    /**
+     * Buy or redeem units for each flow at the NAV on its day: the opening NAV
+     * grown by the elapsed share of the month's return
+     */
+    static async allocateUnits(investments, openingNav, monthReturn, startOfMonth) {
+        const updates = [];
 
         investments.forEach(inv => {
-            const clientId = inv.clientId._id.toString();
-            if (!clientInvestments[clientId]) {
-                clientInvestments[clientId] = {
-                    clientId: clientId,
-                    clientName: inv.clientId.name,
-                    totalInvestment: 0
-                };
+            const amount = this.getSignedAmount(inv);
+            const elapsed = 1 - this.getFlowWeight(inv.investmentDate, startOfMonth);
+            const navPerUnit = openingNav * (1 + monthReturn * elapsed);
+            const units = amount / navPerUnit;
+            const previous = { units: inv.units, navPerUnit: inv.navPerUnit };
+
+            // Keep the in-memory flow in step for the rest of the month's calculation
+            inv.units = units;
+            inv.navPerUnit = navPerUnit;
+
+            // Flows a rerun prices the same way are left alone
+            if (inv.isConversionChanged || differs(previous, { units, navPerUnit })) {
+                updates.push({
+                    updateOne: {
+                        filter: { _id: inv._id },
+                        update: {
+                            $set: {
+                                units,
+                                navPerUnit,
+                                fxRate: inv.fxRate,
+                                baseAmount: inv.baseAmount
+                            }
+                        }
+                    }
+                });
+            }
+        });
+
+        if (updates.length > 0) {
+            await Investment.bulkWrite(updates);
+        }
+    }
+
+    /**
+     * Net and day-weighted flows per client
+     */
+    static summariseFlowsByClient(investments, startOfMonth) {
+        return investments.reduce((flows, inv) => {
+            const clientId = inv.clientId.toString();
+            const amount = this.getSignedAmount(inv);
+
+            if (!flows[clientId]) {
+                flows[clientId] = { netFlows: 0, weightedFlows: 0 };
+            }
+            flows[clientId].netFlows += amount;
+            flows[clientId].weightedFlows += amount * this.getFlowWeight(inv.investmentDate, startOfMonth);
+            return flows;
+        }, {});
+    }
+
+    /**
+     * NAV per unit from the fund value, holding the previous NAV when the fund can't be priced
+     */
+    static calculateNav(fundValue, totalUnits, previousNav) {
+        if (!totalUnits || totalUnits <= 0 || !fundValue) {
+            return previousNav;
+        }
+        return fundValue / totalUnits;
+    }
+
+    /**
+     * Get total corpus and client unit balances at a specific date
+     */
+    static async getCorpusAtDate(date) {
+        // Sum every client's flows up to this date in one pass
+        const balances = await Investment.aggregate([
+            { $match: { investmentDate: { $lte: date }, status: 'active' } },
+            {
+                $group: {
+                    _id: '$clientId',
+                    totalInvestment: {
+                        $sum: {
+                            $multiply: [
+                                { $ifNull: ['$baseAmount', '$amount'] },
+                                { $cond: [{ $eq: ['$type', 'withdrawal'] }, -1, 1] }
+                            ]
+                        }
+                    },
+                    units: { $sum: { $ifNull: ['$units', 0] } }
+                }
+            }
+        ]);
+
+        const clients = await User.find({ _id: { $in: balances.map(balance => balance._id) } })
+            .select('name')
+            .lean();
+        const names = new Map(clients.map(client => [client._id.toString(), client.name]));
+
+        return this.summariseCorpus(balances.map(balance => ({
+            clientId: balance._id.toString(),
+            clientName: names.get(balance._id.toString()),
+            totalInvestment: balance.totalInvestment,
+            units: balance.units
+        })));
+    }
+
+    /**
+     * Roll a snapshot's client balances forward by a set of flows. Units are
+     * the units bought, before any transferred out as fees.
+     */
+    static rollForwardCorpus(snapshot, flows) {
+        const clients = new Map();
+
+        (snapshot ? snapshot.clientReturns : []).forEach(cr => {
+            const clientId = cr.clientId.toString();
+            clients.set(clientId, {
+                clientId,
+                totalInvestment: cr.investmentShare || 0,
+                units: (cr.units || 0) + (cr.cumulativeFeeUnits || 0)
+            });
+        });
+
+        flows.forEach(inv => {
+            const clientId = inv.clientId.toString();
+            if (!clients.has(clientId)) {
+                clients.set(clientId, { clientId, totalInvestment: 0, units: 0 });
             }
 
-            const amount = inv.type === 'withdrawal' ? -inv.amount : inv.amount;
-            clientInvestments[clientId].totalInvestment += amount;
-            totalCorpus += amount;
+            const client = clients.get(clientId);
+            client.totalInvestment += this.getSignedAmount(inv);
+            client.units += inv.units || 0;
         });
 
-        // Calculate percentages - handle zero corpus case
-        Object.values(clientInvestments).forEach(client => {
-            if (totalCorpus === 0) {
+        return this.summariseCorpus([...clients.values()]);
+    }
+
+    /**
+     * Total a set of client balances and work out each client's share
+     */
+    static summariseCorpus(clientShares) {
+        const totalCorpus = clientShares.reduce((sum, client) => sum + client.totalInvestment, 0);
+        const totalUnits = clientShares.reduce((sum, client) => sum + client.units, 0);
+
+        // Calculate percentages - handle zero units case
+        clientShares.forEach(client => {
+            if (totalUnits <= 0) {
                 client.sharePercentage = 0;
             } else {
-                client.sharePercentage = parseFloat((client.totalInvestment / totalCorpus * 100).toFixed(2));
+                client.sharePercentage = parseFloat((client.units / totalUnits * 100).toFixed(2));
             }
         });
 
         return {
             totalCorpus: totalCorpus || 0, // Ensure it's never undefined/NaN
-            clientShares: Object.values(clientInvestments)
+            totalUnits: totalUnits || 0,
+            clientShares
         };
     }
 
     /**
-     * Get platform returns for a month
+     * Get platform values at the end of a month in the base currency, splitting
+     * the month's gain into trading and exchange-rate movements
      */
-    static async getPlatformReturns(startDate, endDate) {
+    static async getPlatformReturns(startDate, endDate, rateCache) {
         const platforms = await PlatformInvestment.find({
             investmentDate: { $lte: endDate },
             status: 'active'
         });
 
+        const platformIds = platforms.map(platform => platform._id);
+        const openingDate = new Date(startDate.getTime() - 1);
+        const closingValues = await this.getWeeklyClosingValues(platformIds, endDate);
+        const openingValues = await this.getWeeklyClosingValues(platformIds, openingDate);
+        const closingRates = await FxService.getRates(platforms.map(platform => platform.currency), endDate, rateCache);
+
+        const now = new Date();
+        const isCurrentMonth = startDate <= now && now <= endDate;
+
         let totalValue = 0;
-        const platformData = platforms.map(platform => {
-            totalValue += platform.currentValue;
-            return {
+        let tradingGain = 0;
+        let fxGain = 0;
+        const platformData = [];
+
+        for (const platform of platforms) {
+            const platformKey = platform._id.toString();
+            const currency = FxService.normaliseCurrency(platform.currency);
+
+            // Live value for the running month, else the latest weekly valuation
+            // (or the allocated amount if the platform was never valued)
+            let localValue = platform.currentValue;
+            if (!isCurrentMonth) {
+                const closingValue = closingValues[platformKey];
+                localValue = closingValue !== undefined ? closingValue : platform.amount;
+            }
+
+            // Platforms funded this month open at their allocated amount and rate
+            const fundedThisMonth = platform.investmentDate >= startDate;
+            const openingLocalValue = !fundedThisMonth && openingValues[platformKey] !== undefined
+                ? openingValues[platformKey]
+                : platform.amount;
+            const openingRate = await FxService.getRate(
+                currency,
+                fundedThisMonth ? platform.investmentDate : openingDate,
+                rateCache
+            );
+
+            const closingRate = closingRates[currency];
+            const value = localValue * closingRate;
+            const platformTradingGain = (localValue - openingLocalValue) * closingRate;
+            const platformFxGain = openingLocalValue * (closingRate - openingRate);
+
+            totalValue += value;
+            tradingGain += platformTradingGain;
+            fxGain += platformFxGain;
+
+            platformData.push({
                 platformId: platform._id,
                 platformName: platform.platformName,
-                returnPercentage: platform.returnPercentage,
-                currentValue: platform.currentValue
-            };
-        });
+                currency,
+                localValue,
+                fxRate: closingRate,
+                returnPercentage: platform.amount ? (localValue / platform.amount - 1) * 100 : 0,
+                returnAmount: (localValue - platform.amount) * closingRate,
+                tradingGain: platformTradingGain,
+                fxGain: platformFxGain,
+                currentValue: value
+            });
+        }
 
         return {
             totalValue,
+            tradingGain,
+            fxGain,
             platforms: platformData
         };
     }
 
     /**
-     * Calculate weighted return across all platforms
+     * Get the latest weekly closing value on or before a date for each platform
      */
-    static calculateWeightedReturn(platformReturns) {
-        if (!platformReturns.totalValue || platformReturns.totalValue === 0) {
-            return 0;
+    static async getWeeklyClosingValues(platformIds, date) {
+        if (platformIds.length === 0) {
+            return {};
         }
 
-        let weightedReturn = 0;
-        const totalValue = platformReturns.totalValue;
+        const latestWeeks = await WeeklyPlatformData.aggregate([
+            { $match: { platformId: { $in: platformIds }, weekEndDate: { $lte: date } } },
+            { $sort: { weekEndDate: -1 } },
+            { $group: { _id: '$platformId', closingValue: { $first: '$closingValue' } } }
+        ]);
 
-        platformReturns.platforms.forEach(platform => {
-            const weight = platform.currentValue / totalValue;
-            weightedReturn += (platform.returnPercentage || 0) * weight;
-        });
-
-        return weightedReturn;
+        return latestWeeks.reduce((values, week) => {
+            values[week._id.toString()] = week.closingValue;
+            return values;
+        }, {});
     }
 
     /**
-     * Calculate returns for each client based on their share
+     * Roll each client's balance forward: opening balance plus the month's
+     * flows plus the return earned on the days each was invested, less
+     * crystallised fees
      */
-    static async calculateClientReturns(corpusData, returnPercentage, date) {
-        const clientReturns = [];
-
-        for (const clientShare of corpusData.clientShares) {
-            // Get previous month's closing balance
-            const previousBalance = await this.getPreviousClosingBalance(
-                clientShare.clientId,
-                date
-            );
+    static calculateClientReturns(corpusData, navPerUnit, previousStates, monthlyFlows, feeSchedules) {
+        return corpusData.clientShares.map(clientShare => {
+            const previous = previousStates[clientShare.clientId] || {};
+            const flows = monthlyFlows[clientShare.clientId] || { netFlows: 0, weightedFlows: 0 };
+            const openingBalance = previous.closingBalance || 0;
+            const netFlows = flows.netFlows;
+
+            // Capital weighted by the days it was actually invested this month
+            const weightedCapital = openingBalance + flows.weightedFlows;
+
+            // Units held before this month's fees, valued at the closing NAV
+            const unitsBeforeFees = clientShare.units - (previous.cumulativeFeeUnits || 0);
+            const grossClosingBalance = unitsBeforeFees * navPerUnit;
+            const grossReturn = grossClosingBalance - openingBalance - netFlows;
+
+            const fees = FeeEngine.calculateFees({
+                openingBalance,
+                netFlows,
+                grossClosingBalance,
+                highWaterMark: previous.highWaterMark || 0,
+                schedule: FeeEngine.resolveSchedule(feeSchedules, clientShare.clientId)
+            });
 
-            const currentInvestment = clientShare.totalInvestment;
-            const returnAmount = currentInvestment * (returnPercentage / 100);
-            const closingBalance = currentInvestment + returnAmount;
+            const feeUnits = navPerUnit > 0 ? fees.feeAmount / navPerUnit : 0;
+            const cumulativeFeeUnits = (previous.cumulativeFeeUnits || 0) + feeUnits;
+            const units = unitsBeforeFees - feeUnits;
 
-            clientReturns.push({
+            return {
                 clientId: clientShare.clientId,
-                investmentShare: currentInvestment,
-                sharePercentage: clientShare.sharePercentage,
-                returnAmount: returnAmount,
-                closingBalance: closingBalance
-            });
-        }
-
-        return clientReturns;
+                investmentShare: clientShare.totalInvestment,
+                sharePercentage: corpusData.totalUnits > 0
+                    ? parseFloat((units / corpusData.totalUnits * 100).toFixed(2))
+                    : 0,
+                units,
+                openingBalance,
+                netFlows,
+                weightedCapital,
+                grossReturn,
+                managementFee: fees.managementFee,
+                performanceFee: fees.performanceFee,
+                feeAmount: fees.feeAmount,
+                feeUnits,
+                cumulativeFeeUnits,
+                highWaterMark: fees.highWaterMark,
+                returnAmount: grossReturn - fees.feeAmount,
+                closingBalance: fees.closingBalance
+            };
+        });
     }
 
     /**
@@ -195,25 +643,26 @@ class InvestmentCalculator {
     }
 
     /**
-     * Get previous month's closing balance for a client
+     * Get each client's closing balance, high-water mark and fee units from
+     * the previous month's snapshot
      */
-    static async getPreviousClosingBalance(clientId, date) {
-        const previousMonth = new Date(date.getFullYear(), date.getMonth() - 1, 1);
-
-        const previousReturn = await MonthlyReturn.findOne({
-            month: previousMonth,
-            'clientReturns.clientId': clientId
-        });
-
-        if (previousReturn) {
-            const clientReturn = previousReturn.clientReturns.find(
-                cr => cr.clientId.toString() === clientId
-            );
-            return clientReturn ? clientReturn.closingBalance : 0;
+    static getClientStates(snapshot) {
+        if (!snapshot) {
+            return {};
         }
 
-        return 0;
+        return snapshot.clientReturns.reduce((states, cr) => {
+            states[cr.clientId.toString()] = {
+                closingBalance: cr.closingBalance || 0,
+                // Months calculated before fees existed start the mark at the balance
+                highWaterMark: cr.highWaterMark !== undefined ? cr.highWaterMark : (cr.closingBalance || 0),
+                cumulativeFeeUnits: cr.cumulativeFeeUnits || 0
+            };
+            return states;
+        }, {});
     }
 }
 
-module.exports = InvestmentCalculator;
\ No newline at end of file
+InvestmentCalculator.INITIAL_NAV_PER_UNIT = INITIAL_NAV_PER_UNIT;
+
+module.exports = InvestmentCalculator;
@@ -0,0 +1,222 @@
+// src/services/investmentImporter.js
+const Investment = require('../models/Investment');
+const User = require('../models/User');
+const ClientPortfolio = require('./clientPortfolio');
+const FxService = require('./fxService');
+const Journal = require('./journal');
+const PeriodLock = require('./periodLock');
+const { parseCsv } = require('../utils/csv');
+const { CURRENCY_CODE_PATTERN, normaliseCurrency } = require('../utils/currency');
+const { withTransaction } = require('../utils/transactions');
+
+// Accepted spellings for each column, lower-cased
+const COLUMN_ALIASES = {
+    email: ['email', 'client_email', 'clientemail', 'client email'],
+    amount: ['amount'],
+    investmentDate: ['investmentdate', 'investment_date', 'date'],
+    type: ['type'],
+    currency: ['currency']
+};
+
+const readColumn = (row, column) => {
+    const key = COLUMN_ALIASES[column].find(alias => row[alias] !== undefined && row[alias] !== null);
+    return key ? String(row[key]).trim() : '';
+};
+
+// Lower-case JSON keys so they resolve through the same aliases as CSV headers
+const normaliseKeys = (row) => Object.keys(row).reduce((normalised, key) => {
+    normalised[key.trim().toLowerCase()] = row[key];
+    return normalised;
+}, {});
+
+class InvestmentImporter {
+    /**
+     * Turn CSV text or an array of JSON objects into rows keyed by column
+     */
+    static parseInput(input) {
+        if (typeof input === 'string') {
+            return parseCsv(input);
+        }
+        return input.map(normaliseKeys);
+    }
+
+    /**
+     * Validate each row and match it to a client by email. Nothing is written.
+     */
+    static async prepare(input) {
+        const results = await this.validateRows(input);
+        await this.checkRates(results);
+        await this.checkBalances(results);
+        return results;
+    }
+
+    /**
+     * Check each row's own fields and match it to a client by email
+     */
+    static async validateRows(input) {
+        const rows = this.parseInput(input);
+        // CSV rows are numbered as lines, after the header
+        const firstRow = typeof input === 'string' ? 2 : 1;
+        const emails = [...new Set(rows.map(row => readColumn(row, 'email').toLowerCase()).filter(Boolean))];
+
+        const clients = await User.find({ role: 'client', email: { $in: emails } }).select('email name');
+        const clientsByEmail = new Map(clients.map(client => [client.email, client]));
+        const closedThrough = await PeriodLock.getClosedThrough();
+
+        return rows.map((row, index) => {
+            const result = { row: index + firstRow };
+            const email = readColumn(row, 'email').toLowerCase();
+            const amountText = readColumn(row, 'amount');
+            const dateText = readColumn(row, 'investmentDate');
+            const type = (readColumn(row, 'type') || 'deposit').toLowerCase();
+            const currency = normaliseCurrency(readColumn(row, 'currency'));
+
+            const client = clientsByEmail.get(email);
+            const amount = parseFloat(amountText);
+            const investmentDate = new Date(dateText);
+
+            if (!email) {
+                result.error = 'Email is required';
+            } else if (!client) {
+                result.error = `No client with email ${email}`;
+            } else if (amountText === '' || isNaN(amount) || amount <= 0) {
+                result.error = 'Amount must be a positive number';
+            } else if (!dateText || isNaN(investmentDate)) {
+                result.error = 'Invalid date';
+            } else if (investmentDate > new Date()) {
+                result.error = 'Date is in the future';
+            } else if (closedThrough && investmentDate <= closedThrough) {
+                result.error = 'Date falls in a closed period';
+            } else if (!['deposit', 'withdrawal'].includes(type)) {
+                result.error = 'Type must be deposit or withdrawal';
+            } else if (!CURRENCY_CODE_PATTERN.test(currency)) {
+                result.error = 'Invalid currency code';
+            }
+
+            if (!result.error) {
+                Object.assign(result, {
+                    clientId: client._id,
+                    clientName: client.name,
+                    email,
+                    amount,
+                    investmentDate,
+                    type,
+                    currency
+                });
+            } else {
+                result.email = email || undefined;
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Flag rows in a currency with no rate to the base currency on their date
+     */
+    static async checkRates(results) {
+        const cache = new Map();
+        for (const result of results.filter(r => !r.error)) {
+            try {
+                result.baseAmount = result.amount * await FxService.getRate(result.currency, result.investmentDate, cache);
+            } catch (error) {
+                result.error = error.message;
+            }
+        }
+    }
+
+    /**
+     * Flag withdrawals larger than the client's balance at that point, taking
+     * the file's earlier flows into account. Rows are run in date order from
+     * each client's available balance.
+     */
+    static async checkBalances(results) {
+        // Net of each client's accepted rows so far, and their balance
+        // outside the file, looked up only once they withdraw
+        const fileFlows = new Map();
+        const available = new Map();
+        const valid = results
+            .filter(r => !r.error)
+            .sort((a, b) => a.investmentDate - b.investmentDate);
+
+        for (const result of valid) {
+            const key = String(result.clientId);
+            const net = fileFlows.get(key) || 0;
+
+            if (result.type === 'deposit') {
+                fileFlows.set(key, net + result.baseAmount);
+                continue;
+            }
+
+            if (!available.has(key)) {
+                const { availableBalance } = await ClientPortfolio.getAvailableBalance(result.clientId);
+                available.set(key, availableBalance);
+            }
+            const balance = available.get(key) + net;
+            if (result.baseAmount > balance) {
+                result.error = `Withdrawal exceeds client balance of ${balance.toFixed(2)}`;
+            } else {
+                fileFlows.set(key, net - result.baseAmount);
+            }
+        }
+    }
+
+    /**
+     * Import client flows. With dryRun, or when any row fails, nothing is
+     * written. Otherwise every row is inserted in one transaction and then
+     * posted to the journal. Transactions need MongoDB running as a replica
+     * set; on a standalone server this throws with code TRANSACTIONS_UNSUPPORTED.
+     */
+    static async import(input, { dryRun = false, postedBy } = {}) {
+        const results = await this.prepare(input);
+        const errorCount = results.filter(r => r.error).length;
+        const valid = results.filter(r => !r.error);
+
+        const report = results.map(r => r.error
+            ? { row: r.row, success: false, email: r.email, error: r.error }
+            : {
+                row: r.row,
+                success: true,
+                email: r.email,
+                clientId: r.clientId,
+                clientName: r.clientName,
+                amount: r.amount,
+                currency: r.currency,
+                investmentDate: r.investmentDate,
+                type: r.type
+            });
+
+        if (dryRun || errorCount > 0 || valid.length === 0) {
+            return { applied: false, results: report, errorCount };
+        }
+
+        let inserted;
+        await withTransaction(async (session) => {
+            inserted = await Investment.insertMany(valid.map(r => ({
+                clientId: r.clientId,
+                amount: r.amount,
+                currency: r.currency,
+                investmentDate: r.investmentDate,
+                type: r.type
+            })), { session });
+        });
+
+        // insertMany keeps input order, so ids line up with the valid rows
+        valid.forEach((r, index) => {
+            report[results.indexOf(r)].investmentId = inserted[index]._id;
+        });
+
+        for (const investment of inserted) {
+            await Journal.postInvestment(investment, postedBy);
+        }
+
+        return {
+            applied: true,
+            results: report,
+            errorCount: 0,
+            earliestDate: new Date(Math.min(...valid.map(r => r.investmentDate.getTime()))),
+            latestDate: new Date(Math.max(...valid.map(r => r.investmentDate.getTime())))
+        };
+    }
+}
+
+module.exports = InvestmentImporter;
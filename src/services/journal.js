@@ -0,0 +1,329 @@
+// src/services/journal.js
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const FxService = require('./fxService');
+const { formatMonth } = require('../utils/dates');
+
+/**
+ * Chart of accounts. Asset and expense accounts carry debit balances;
+ * liability, equity and income accounts carry credit balances.
+ */
+const ACCOUNTS = {
+    cash: { name: 'Cash', type: 'asset' },
+    platform_assets: { name: 'Platform Assets', type: 'asset', subLedger: 'platform' },
+    client_capital: { name: 'Client Capital', type: 'equity', subLedger: 'client' },
+    trading_pnl: { name: 'Trading P&L', type: 'income' },
+    fee_income: { name: 'Fee Income', type: 'income' }
+};
+
+const DEBIT_NORMAL = ['asset', 'expense'];
+
+// Amounts below this are treated as zero and not posted
+const MIN_AMOUNT = 0.000001;
+
+const debit = (account, amount, subjectId, memo) => ({ account, subjectId, debit: amount, credit: 0, memo });
+const credit = (account, amount, subjectId, memo) => ({ account, subjectId, debit: 0, credit: amount, memo });
+
+// Debit one account and credit another, swapping sides for a negative amount
+const transfer = (debitLine, creditLine, amount) => {
+    return amount >= 0
+        ? [debit(...debitLine, amount), credit(...creditLine, amount)]
+        : [debit(...creditLine, -amount), credit(...debitLine, -amount)];
+};
+
+class Journal {
+    /**
+     * Get the chart of accounts
+     */
+    static getAccounts() {
+        return Object.entries(ACCOUNTS).map(([code, account]) => ({ code, ...account }));
+    }
+
+    /**
+     * Post a balanced entry
+     */
+    static async post({ date, description, source, lines, postedBy }) {
+        const postable = lines.filter(line => line.debit > MIN_AMOUNT || line.credit > MIN_AMOUNT);
+        if (postable.length === 0) {
+            return null;
+        }
+
+        return JournalEntry.create({ date, description, source, lines: postable, postedBy });
+    }
+
+    /**
+     * Reverse an entry by posting its mirror image, dated today unless a
+     * date is given
+     */
+    static async reverse(entry, { postedBy, description, date = new Date() } = {}) {
+        const reversal = await JournalEntry.create({
+            date,
+            description: description || `Reversal: ${entry.description}`,
+            source: entry.source,
+            lines: entry.lines.map(line => ({
+                account: line.account,
+                subjectId: line.subjectId,
+                debit: line.credit,
+                credit: line.debit,
+                memo: line.memo
+            })),
+            reversalOf: entry._id,
+            postedBy
+        });
+
+        entry.reversedBy = reversal._id;
+        await entry.save();
+        return reversal;
+    }
+
+    /**
+     * Get the entries still in force for a source
+     */
+    static async getActiveEntries(source) {
+        return JournalEntry.find({
+            'source.type': source.type,
+            ...(source.id ? { 'source.id': source.id } : { 'source.key': source.key }),
+            reversalOf: { $exists: false },
+            reversedBy: { $exists: false }
+        });
+    }
+
+    /**
+     * Replace whatever is posted for a source with new lines. Unchanged
+     * postings are left alone so recalculations don't churn the journal.
+     * Replaced entries are reversed on their own date, so an as-of balance
+     * never counts both an entry and its replacement.
+     */
+    static async replace({ date, description, source, lines, postedBy }) {
+        const active = await this.getActiveEntries(source);
+        const postable = lines.filter(line => line.debit > MIN_AMOUNT || line.credit > MIN_AMOUNT);
+
+        if (active.length === 1 && this.sameLines(active[0].lines, postable)
+            && active[0].date.getTime() === date.getTime()) {
+            return active[0];
+        }
+
+        for (const entry of active) {
+            await this.reverse(entry, { postedBy, date: entry.date });
+        }
+        return this.post({ date, description, source, lines: postable, postedBy });
+    }
+
+    /**
+     * Whether two sets of lines post the same amounts to the same accounts
+     */
+    static sameLines(existing, proposed) {
+        if (existing.length !== proposed.length) {
+            return false;
+        }
+        return existing.every((line, index) => {
+            const other = proposed[index];
+            return line.account === other.account
+                && String(line.subjectId || '') === String(other.subjectId || '')
+                && Math.abs(line.debit - other.debit) < MIN_AMOUNT
+                && Math.abs(line.credit - other.credit) < MIN_AMOUNT;
+        });
+    }
+
+    /**
+     * Post a client deposit or withdrawal in the base currency, replacing any
+     * earlier posting for it. Cancelled investments are reversed out.
+     */
+    static async postInvestment(investment, postedBy) {
+        const source = { type: 'investment', id: investment._id };
+
+        if (investment.status !== 'active') {
+            return this.replace({ date: investment.investmentDate, description: 'Cancelled investment', source, lines: [], postedBy });
+        }
+
+        const baseAmount = investment.baseAmount !== undefined && investment.baseAmount !== null
+            ? investment.baseAmount
+            : await FxService.toBase(investment.amount, investment.currency, investment.investmentDate);
+        const amount = investment.type === 'withdrawal' ? -baseAmount : baseAmount;
+
+        return this.replace({
+            date: investment.investmentDate,
+            description: investment.type === 'withdrawal' ? 'Client withdrawal' : 'Client deposit',
+            source,
+            lines: transfer(['cash'], ['client_capital', investment.clientId], amount),
+            postedBy
+        });
+    }
+
+    /**
+     * Post capital moved from cash to a platform
+     */
+    static async postPlatformAllocation(platformInvestment, postedBy) {
+        const baseAmount = await FxService.toBase(
+            platformInvestment.amount,
+            platformInvestment.currency,
+            platformInvestment.investmentDate
+        );
+
+        return this.replace({
+            date: platformInvestment.investmentDate,
+            description: `Allocation to ${platformInvestment.platformName}`,
+            source: { type: 'platform_allocation', id: platformInvestment._id },
+            lines: transfer(['platform_assets', platformInvestment._id], ['cash'], baseAmount),
+            postedBy
+        });
+    }
+
+    /**
+     * Post a change in a platform's value as trading profit or loss
+     */
+    static async postValuationChange({ platform, previousValue, newValue, date, source, postedBy }) {
+        const change = await FxService.toBase(newValue - previousValue, platform.currency, date);
+
+        return this.post({
+            date,
+            description: `Revaluation of ${platform.platformName}`,
+            source,
+            lines: transfer(['platform_assets', platform._id], ['trading_pnl'], change),
+            postedBy
+        });
+    }
+
+    /**
+     * Post a month's return allocations and fees to client capital, replacing
+     * the month's earlier posting when it was recalculated. The month is keyed
+     * by its server-time label; scripts/rekeyMonthlyAllocations.js moves
+     * postings keyed by UTC month onto the same keys.
+     */
+    static async postMonthlyAllocation(month, clientReturns) {
+        const lines = [];
+        clientReturns.forEach(cr => {
+            lines.push(...transfer(['trading_pnl'], ['client_capital', cr.clientId], cr.grossReturn || 0));
+            lines.push(...transfer(['client_capital', cr.clientId], ['fee_income'], cr.feeAmount || 0));
+        });
+
+        return this.replace({
+            date: new Date(month.getFullYear(), month.getMonth() + 1, 0),
+            description: `Return allocation for ${formatMonth(month)}`,
+            source: { type: 'monthly_allocation', key: formatMonth(month) },
+            lines
+        });
+    }
+
+    /**
+     * Balance of every account (and sub-ledger subject) as of a date
+     */
+    static async getTrialBalance(asOf) {
+        const totals = await JournalEntry.aggregate([
+            { $match: { date: { $lte: asOf } } },
+            { $unwind: '$lines' },
+            {
+                $group: {
+                    _id: { account: '$lines.account', subjectId: '$lines.subjectId' },
+                    debits: { $sum: '$lines.debit' },
+                    credits: { $sum: '$lines.credit' }
+                }
+            },
+            { $sort: { '_id.account': 1 } }
+        ]);
+
+        const accounts = {};
+        let totalDebits = 0;
+        let totalCredits = 0;
+
+        totals.forEach(total => {
+            const code = total._id.account;
+            const definition = ACCOUNTS[code] || { name: code, type: 'asset' };
+            if (!accounts[code]) {
+                accounts[code] = { code, name: definition.name, type: definition.type, debits: 0, credits: 0, subjects: [] };
+            }
+
+            accounts[code].debits += total.debits;
+            accounts[code].credits += total.credits;
+            if (total._id.subjectId) {
+                accounts[code].subjects.push({
+                    subjectId: total._id.subjectId,
+                    debits: total.debits,
+                    credits: total.credits,
+                    balance: this.normalBalance(definition.type, total.debits, total.credits)
+                });
+            }
+            totalDebits += total.debits;
+            totalCredits += total.credits;
+        });
+
+        Object.values(accounts).forEach(account => {
+            account.balance = this.normalBalance(account.type, account.debits, account.credits);
+        });
+
+        return {
+            asOf,
+            baseCurrency: FxService.getBaseCurrency(),
+            accounts: Object.values(accounts),
+            totalDebits,
+            totalCredits,
+            isBalanced: Math.abs(totalDebits - totalCredits) < 0.01
+        };
+    }
+
+    /**
+     * Movements on one account over a period, with opening and running balances
+     */
+    static async getAccountStatement(account, { subjectId, startDate, endDate }) {
+        const definition = ACCOUNTS[account];
+        const lineMatch = { 'lines.account': account };
+        if (subjectId) {
+            lineMatch['lines.subjectId'] = new mongoose.Types.ObjectId(subjectId);
+        }
+
+        const [opening] = await JournalEntry.aggregate([
+            { $match: { date: { $lt: startDate } } },
+            { $unwind: '$lines' },
+            { $match: lineMatch },
+            { $group: { _id: null, debits: { $sum: '$lines.debit' }, credits: { $sum: '$lines.credit' } } }
+        ]);
+
+        const movements = await JournalEntry.aggregate([
+            { $match: { date: { $gte: startDate, $lte: endDate } } },
+            { $unwind: '$lines' },
+            { $match: lineMatch },
+            { $sort: { date: 1, createdAt: 1 } }
+        ]);
+
+        const openingBalance = opening
+            ? this.normalBalance(definition.type, opening.debits, opening.credits)
+            : 0;
+
+        let balance = openingBalance;
+        const lines = movements.map(entry => {
+            balance += this.normalBalance(definition.type, entry.lines.debit, entry.lines.credit);
+            return {
+                entryId: entry._id,
+                date: entry.date,
+                description: entry.description,
+                source: entry.source,
+                subjectId: entry.lines.subjectId,
+                debit: entry.lines.debit,
+                credit: entry.lines.credit,
+                isReversal: !!entry.reversalOf,
+                balance
+            };
+        });
+
+        return {
+            account: { code: account, ...definition },
+            subjectId,
+            startDate,
+            endDate,
+            openingBalance,
+            closingBalance: balance,
+            lines
+        };
+    }
+
+    /**
+     * Signed balance in the account's normal direction
+     */
+    static normalBalance(type, debits, credits) {
+        return DEBIT_NORMAL.includes(type) ? debits - credits : credits - debits;
+    }
+}
+
+Journal.ACCOUNTS = ACCOUNTS;
+
+module.exports = Journal;
@@ -0,0 +1,227 @@
+// src/services/ledgerExporter.js
+const ExcelJS = require('exceljs');
+const Investment = require('../models/Investment');
+const WeeklyPlatformData = require('../models/WeeklyPlatformData');
+const MonthlyReturn = require('../models/MonthlyReturn');
+const User = require('../models/User');
+const FxService = require('./fxService');
+const { toCsv } = require('../utils/csv');
+const { formatDate: formatLocalDate, formatMonth } = require('../utils/dates');
+
+const formatDate = (date) => (date ? formatLocalDate(date) : '');
+const formatTimestamp = (date) => (date ? date.toISOString() : '');
+
+/**
+ * Sheet layouts. Column names are part of the export contract for
+ * bookkeeping imports: add new columns at the end, never rename or reorder.
+ */
+const SHEETS = {
+    investments: [
+        'investment_id', 'client_id', 'client_email', 'client_name', 'type', 'amount', 'currency',
+        'fx_rate', 'base_amount', 'investment_date', 'status', 'units', 'nav_per_unit',
+        'is_edited', 'created_at', 'updated_at', 'adjusts_investment_id', 'adjustment_reason'
+    ],
+    investment_edits: [
+        'investment_id', 'client_id', 'client_email', 'edited_at', 'edited_by',
+        'previous_amount', 'new_amount', 'reason'
+    ],
+    platform_valuations: [
+        'valuation_id', 'platform_id', 'platform_name', 'currency', 'week_start_date', 'week_end_date',
+        'week_number', 'year', 'opening_value', 'closing_value', 'profit_amount', 'weekly_return_pct',
+        'is_interpolated', 'notes'
+    ],
+    monthly_allocations: [
+        'month', 'client_id', 'client_email', 'base_currency', 'opening_balance', 'net_flows',
+        'weighted_capital', 'gross_return', 'management_fee', 'performance_fee', 'fee_amount',
+        'net_return', 'closing_balance', 'units', 'nav_per_unit', 'share_pct'
+    ]
+};
+
+class LedgerExporter {
+    /**
+     * Names of the sheets every export contains
+     */
+    static getSheetNames() {
+        return Object.keys(SHEETS);
+    }
+
+    /**
+     * Collect every sheet's rows for a date range
+     */
+    static async buildLedger(startDate, endDate) {
+        const clients = await User.find({ role: 'client' }).select('name email');
+        const clientsById = new Map(clients.map(client => [client._id.toString(), client]));
+        const clientEmail = id => (clientsById.get(id.toString()) || {}).email || '';
+
+        const investments = await this.getInvestmentRows(startDate, endDate, clientsById);
+        const edits = await this.getEditRows(startDate, endDate, clientEmail);
+        const valuations = await this.getValuationRows(startDate, endDate);
+        const allocations = await this.getAllocationRows(startDate, endDate, clientEmail);
+
+        return {
+            investments,
+            investment_edits: edits,
+            platform_valuations: valuations,
+            monthly_allocations: allocations
+        };
+    }
+
+    /**
+     * Deposits and withdrawals, cancelled ones included
+     */
+    static async getInvestmentRows(startDate, endDate, clientsById) {
+        const investments = await Investment.find({
+            investmentDate: { $gte: startDate, $lte: endDate }
+        })
+            .sort('investmentDate')
+            .lean();
+
+        return investments.map(inv => {
+            const client = clientsById.get(inv.clientId.toString()) || {};
+            return [
+                inv._id.toString(),
+                inv.clientId.toString(),
+                client.email || '',
+                client.name || '',
+                inv.type,
+                inv.amount,
+                FxService.normaliseCurrency(inv.currency),
+                inv.fxRate !== undefined ? inv.fxRate : '',
+                inv.baseAmount !== undefined ? inv.baseAmount : '',
+                formatDate(inv.investmentDate),
+                inv.status,
+                inv.units !== undefined ? inv.units : '',
+                inv.navPerUnit !== undefined ? inv.navPerUnit : '',
+                inv.isEdited ? 'true' : 'false',
+                formatTimestamp(inv.createdAt),
+                formatTimestamp(inv.updatedAt),
+                inv.adjustment && inv.adjustment.adjustsInvestmentId ? inv.adjustment.adjustsInvestmentId.toString() : '',
+                inv.adjustment && inv.adjustment.reason ? inv.adjustment.reason : ''
+            ];
+        });
+    }
+
+    /**
+     * Amount edits made during the range, on any investment
+     */
+    static async getEditRows(startDate, endDate, clientEmail) {
+        const investments = await Investment.find({
+            'editHistory.editedAt': { $gte: startDate, $lte: endDate }
+        })
+            .select('clientId editHistory')
+            .lean();
+
+        const rows = [];
+        investments.forEach(inv => {
+            inv.editHistory
+                .filter(edit => edit.editedAt >= startDate && edit.editedAt <= endDate)
+                .forEach(edit => {
+                    rows.push([
+                        inv._id.toString(),
+                        inv.clientId.toString(),
+                        clientEmail(inv.clientId),
+                        formatTimestamp(edit.editedAt),
+                        edit.editedBy ? edit.editedBy.toString() : '',
+                        edit.previousAmount,
+                        edit.newAmount,
+                        edit.reason || ''
+                    ]);
+                });
+        });
+
+        // editedAt column
+        return rows.sort((a, b) => a[3].localeCompare(b[3]));
+    }
+
+    /**
+     * Weekly platform valuations starting inside the range
+     */
+    static async getValuationRows(startDate, endDate) {
+        const weeks = await WeeklyPlatformData.find({
+            weekStartDate: { $gte: startDate, $lte: endDate }
+        })
+            .populate('platformId', 'platformName currency')
+            .sort('weekStartDate')
+            .lean();
+
+        return weeks.map(week => [
+            week._id.toString(),
+            week.platformId ? week.platformId._id.toString() : '',
+            week.platformId ? week.platformId.platformName : '',
+            FxService.normaliseCurrency(week.platformId && week.platformId.currency),
+            formatDate(week.weekStartDate),
+            formatDate(week.weekEndDate),
+            week.weekNumber,
+            week.year,
+            week.openingValue,
+            week.closingValue,
+            week.profitAmount,
+            week.weeklyReturn,
+            week.isInterpolated ? 'true' : 'false',
+            week.notes || ''
+        ]);
+    }
+
+    /**
+     * Monthly return allocations, one row per client per month
+     */
+    static async getAllocationRows(startDate, endDate, clientEmail) {
+        const monthlyReturns = await MonthlyReturn.find({
+            month: { $gte: new Date(startDate.getFullYear(), startDate.getMonth(), 1), $lte: endDate }
+        })
+            .sort('month')
+            .lean();
+
+        const rows = [];
+        monthlyReturns.forEach(mr => {
+            mr.clientReturns.forEach(cr => {
+                rows.push([
+                    formatMonth(mr.month),
+                    cr.clientId.toString(),
+                    clientEmail(cr.clientId),
+                    mr.baseCurrency || FxService.getBaseCurrency(),
+                    cr.openingBalance,
+                    cr.netFlows,
+                    cr.weightedCapital,
+                    cr.grossReturn,
+                    cr.managementFee,
+                    cr.performanceFee,
+                    cr.feeAmount,
+                    cr.returnAmount,
+                    cr.closingBalance,
+                    cr.units,
+                    mr.navPerUnit,
+                    cr.sharePercentage
+                ]);
+            });
+        });
+
+        return rows;
+    }
+
+    /**
+     * Render one sheet as CSV
+     */
+    static renderCsv(ledger, sheet) {
+        return toCsv(SHEETS[sheet], ledger[sheet]);
+    }
+
+    /**
+     * Render every sheet into one XLSX workbook
+     */
+    static async renderXlsx(ledger) {
+        const workbook = new ExcelJS.Workbook();
+        workbook.created = new Date();
+
+        Object.entries(SHEETS).forEach(([sheet, columns]) => {
+            const worksheet = workbook.addWorksheet(sheet);
+            worksheet.columns = columns.map(column => ({ header: column, key: column, width: 18 }));
+            worksheet.getRow(1).font = { bold: true };
+            worksheet.addRows(ledger[sheet]);
+        });
+
+        return workbook.xlsx.writeBuffer();
+    }
+}
+
+module.exports = LedgerExporter;
@@ -0,0 +1,102 @@
+// src/services/loginAttempts.js
+const bcrypt = require('bcryptjs');
+const LoginAttempt = require('../models/LoginAttempt');
+const User = require('../models/User');
+
+// Failures allowed before the first lockout, and how long lockouts last
+const FREE_ATTEMPTS = 5;
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+// Compared against when no account matches, so unknown identifiers take as long as wrong PINs
+const DUMMY_HASH = bcrypt.hashSync('not-a-pin', 10);
+
+class LoginAttempts {
+    /**
+     * Lockout earned by a run of consecutive failures: none for the first
+     * few, then doubling with every further failure up to a day
+     */
+    static getLockoutMs(failures) {
+        if (failures < FREE_ATTEMPTS) {
+            return 0;
+        }
+        return Math.min(BASE_LOCKOUT_MS * 2 ** (failures - FREE_ATTEMPTS), MAX_LOCKOUT_MS);
+    }
+
+    /**
+     * Seconds left on an account's lockout, or 0 if it isn't locked
+     */
+    static getRetryAfter(user) {
+        if (!user || !user.lockedUntil) {
+            return 0;
+        }
+        return Math.max(0, Math.ceil((user.lockedUntil - Date.now()) / 1000));
+    }
+
+    /**
+     * Burn the same time as a real hash check when there's no account to check
+     */
+    static async compareDummy(secret) {
+        await bcrypt.compare(secret, DUMMY_HASH);
+        return false;
+    }
+
+    /**
+     * Count a failed login against an account and lock it if the run of
+     * failures has earned it. Returns the lockout end, or null.
+     */
+    static async recordFailure(user) {
+        const updated = await User.findByIdAndUpdate(
+            user._id,
+            { $inc: { failedLoginAttempts: 1 } },
+            { new: true }
+        ).select('failedLoginAttempts');
+
+        const lockoutMs = this.getLockoutMs(updated.failedLoginAttempts);
+        if (!lockoutMs) {
+            return null;
+        }
+
+        const lockedUntil = new Date(Date.now() + lockoutMs);
+        await User.updateOne({ _id: user._id }, { $set: { lockedUntil } });
+        return lockedUntil;
+    }
+
+    /**
+     * Clear an account's failures after a successful login
+     */
+    static async recordSuccess(user) {
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { failedLoginAttempts: 0, lastLoginAt: new Date() }, $unset: { lockedUntil: '' } }
+        );
+    }
+
+    /**
+     * Lift a lockout and forget earlier failures
+     */
+    static async unlock(userId) {
+        return User.findByIdAndUpdate(
+            userId,
+            { $set: { failedLoginAttempts: 0 }, $unset: { lockedUntil: '' } },
+            { new: true }
+        ).select('name email clientCode failedLoginAttempts lockedUntil');
+    }
+
+    /**
+     * Record a login attempt, successful or not
+     */
+    static async log(req, { identifier, user, role, success, failureReason }) {
+        return LoginAttempt.create({
+            identifier,
+            userId: user ? user._id : undefined,
+            role,
+            success,
+            failureReason,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        });
+    }
+}
+
+module.exports = LoginAttempts;
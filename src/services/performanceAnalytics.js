@@ -0,0 +1,514 @@
+// src/services/performanceAnalytics.js
+const MonthlyReturn = require('../models/MonthlyReturn');
+const PlatformInvestment = require('../models/PlatformInvestment');
+const WeeklyPlatformData = require('../models/WeeklyPlatformData');
+const Benchmark = require('../models/Benchmark');
+const Benchmarks = require('./benchmarks');
+const FxService = require('./fxService');
+
+// Annual risk-free rate in percent, used when a request doesn't give one
+const DEFAULT_RISK_FREE_RATE = parseFloat(process.env.RISK_FREE_RATE) || 0;
+
+const PERIODS_PER_YEAR = { weekly: 52, monthly: 12 };
+const DEFAULT_WINDOWS = { weekly: 26, monthly: 12 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const sampleStdDev = (values) => {
+    const average = mean(values);
+    const variance = values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+    return Math.sqrt(variance);
+};
+
+const covariance = (a, b) => {
+    const meanA = mean(a);
+    const meanB = mean(b);
+    return a.reduce((sum, value, i) => sum + (value - meanA) * (b[i] - meanB), 0) / (a.length - 1);
+};
+
+// Compound growth over a number of periods as an annual percentage
+const annualise = (growth, periods, periodsPerYear) => {
+    return growth > 0 ? (growth ** (periodsPerYear / periods) - 1) * 100 : -100;
+};
+
+const endOfMonth = (month) => new Date(month.getFullYear(), month.getMonth() + 1, 0);
+
+/**
+ * Worst peak-to-trough fall in a return series, with when it started,
+ * bottomed out and recovered. Recovery is null while still under water.
+ */
+function getMaxDrawdown(points) {
+    let wealth = 1;
+    let peakWealth = 1;
+    let peakIndex = -1;
+    let worst = { drawdown: 0, peakIndex: -1, troughIndex: -1, peakWealth: 1 };
+
+    points.forEach((point, index) => {
+        wealth *= 1 + point.return / 100;
+        if (wealth >= peakWealth) {
+            peakWealth = wealth;
+            peakIndex = index;
+            return;
+        }
+
+        const drawdown = wealth / peakWealth - 1;
+        if (drawdown < worst.drawdown) {
+            worst = { drawdown, peakIndex, troughIndex: index, peakWealth };
+        }
+    });
+
+    if (worst.troughIndex < 0) {
+        return null;
+    }
+
+    // Walk forward from the trough until wealth is back at the old peak
+    let recoveryIndex = -1;
+    wealth = points.slice(0, worst.troughIndex + 1).reduce((w, point) => w * (1 + point.return / 100), 1);
+    for (let i = worst.troughIndex + 1; i < points.length; i++) {
+        wealth *= 1 + points[i].return / 100;
+        if (wealth >= worst.peakWealth) {
+            recoveryIndex = i;
+            break;
+        }
+    }
+
+    // A peak before the first period is the start of the series
+    const peakDate = worst.peakIndex >= 0 ? points[worst.peakIndex].date : points[0].startDate;
+    const endIndex = recoveryIndex >= 0 ? recoveryIndex : points.length - 1;
+
+    return {
+        percentage: worst.drawdown * 100,
+        peakDate,
+        troughDate: points[worst.troughIndex].date,
+        recoveryDate: recoveryIndex >= 0 ? points[recoveryIndex].date : null,
+        durationPeriods: endIndex - worst.peakIndex,
+        durationDays: Math.round((points[endIndex].date - peakDate) / DAY_MS)
+    };
+}
+
+/**
+ * Risk and return figures for a series of periodic returns in percent.
+ * Ratios need at least two periods and are null otherwise.
+ */
+function computeMetrics(points, frequency, riskFreeRate) {
+    if (points.length === 0) {
+        return null;
+    }
+
+    const periodsPerYear = PERIODS_PER_YEAR[frequency];
+    const returns = points.map(point => point.return / 100);
+    const growth = returns.reduce((w, r) => w * (1 + r), 1);
+
+    // Risk-free rate compounded down to one period
+    const periodRiskFree = (1 + riskFreeRate / 100) ** (1 / periodsPerYear) - 1;
+    const excess = returns.map(r => r - periodRiskFree);
+
+    let volatility = null;
+    let sharpeRatio = null;
+    let sortinoRatio = null;
+    if (returns.length > 1) {
+        const stdDev = sampleStdDev(returns);
+        volatility = stdDev * Math.sqrt(periodsPerYear) * 100;
+
+        const excessStdDev = sampleStdDev(excess);
+        sharpeRatio = excessStdDev > 0 ? mean(excess) / excessStdDev * Math.sqrt(periodsPerYear) : null;
+
+        // Only periods below the risk-free rate count as downside
+        const downsideDeviation = Math.sqrt(mean(excess.map(e => Math.min(0, e) ** 2)));
+        sortinoRatio = downsideDeviation > 0 ? mean(excess) / downsideDeviation * Math.sqrt(periodsPerYear) : null;
+    }
+
+    const best = points.reduce((a, b) => (b.return > a.return ? b : a));
+    const worst = points.reduce((a, b) => (b.return < a.return ? b : a));
+
+    return {
+        periods: points.length,
+        startDate: points[0].startDate,
+        endDate: points[points.length - 1].date,
+        cumulativeReturn: (growth - 1) * 100,
+        annualisedReturn: annualise(growth, points.length, periodsPerYear),
+        volatility,
+        sharpeRatio,
+        sortinoRatio,
+        maxDrawdown: getMaxDrawdown(points),
+        bestPeriod: { date: best.date, return: best.return },
+        worstPeriod: { date: worst.date, return: worst.return }
+    };
+}
+
+/**
+ * Point-by-point series for charting: each period's return, growth since the
+ * start and distance below the running peak, all in percent
+ */
+function buildChartSeries(points) {
+    let wealth = 1;
+    let peakWealth = 1;
+    const cumulative = [];
+    const drawdown = [];
+
+    points.forEach(point => {
+        wealth *= 1 + point.return / 100;
+        peakWealth = Math.max(peakWealth, wealth);
+        cumulative.push({ date: point.date, value: (wealth - 1) * 100 });
+        drawdown.push({ date: point.date, value: (wealth / peakWealth - 1) * 100 });
+    });
+
+    return {
+        returns: points.map(point => ({ date: point.date, value: point.return })),
+        cumulative,
+        drawdown
+    };
+}
+
+/**
+ * Fund or platform returns against a benchmark's over the same periods.
+ * Pairs are { date, return, benchmarkReturn } in percent.
+ */
+function computeRelativeMetrics(pairs, frequency) {
+    if (pairs.length === 0) {
+        return null;
+    }
+
+    const periodsPerYear = PERIODS_PER_YEAR[frequency];
+    const returns = pairs.map(pair => pair.return / 100);
+    const benchmarkReturns = pairs.map(pair => pair.benchmarkReturn / 100);
+    const active = returns.map((r, i) => r - benchmarkReturns[i]);
+    const growth = returns.reduce((w, r) => w * (1 + r), 1);
+    const benchmarkGrowth = benchmarkReturns.reduce((w, r) => w * (1 + r), 1);
+    const annualisedReturn = annualise(growth, pairs.length, periodsPerYear);
+    const benchmarkAnnualisedReturn = annualise(benchmarkGrowth, pairs.length, periodsPerYear);
+
+    let trackingError = null;
+    let informationRatio = null;
+    let beta = null;
+    if (pairs.length > 1) {
+        const activeStdDev = sampleStdDev(active);
+        trackingError = activeStdDev * Math.sqrt(periodsPerYear) * 100;
+        informationRatio = activeStdDev > 0 ? mean(active) / activeStdDev * Math.sqrt(periodsPerYear) : null;
+
+        const benchmarkVariance = sampleStdDev(benchmarkReturns) ** 2;
+        beta = benchmarkVariance > 0 ? covariance(returns, benchmarkReturns) / benchmarkVariance : null;
+    }
+
+    return {
+        periods: pairs.length,
+        startDate: pairs[0].startDate,
+        endDate: pairs[pairs.length - 1].date,
+        cumulativeReturn: (growth - 1) * 100,
+        benchmarkCumulativeReturn: (benchmarkGrowth - 1) * 100,
+        annualisedReturn,
+        benchmarkAnnualisedReturn,
+        excessReturn: annualisedReturn - benchmarkAnnualisedReturn,
+        trackingError,
+        informationRatio,
+        beta
+    };
+}
+
+/**
+ * Period and cumulative returns of both sides, point by point, for charting
+ */
+function buildRelativeSeries(pairs) {
+    let growth = 1;
+    let benchmarkGrowth = 1;
+
+    const cumulative = pairs.map(pair => {
+        growth *= 1 + pair.return / 100;
+        benchmarkGrowth *= 1 + pair.benchmarkReturn / 100;
+        return {
+            date: pair.date,
+            value: (growth - 1) * 100,
+            benchmark: (benchmarkGrowth - 1) * 100,
+            excess: (growth - benchmarkGrowth) * 100
+        };
+    });
+
+    return {
+        returns: pairs.map(pair => ({
+            date: pair.date,
+            value: pair.return,
+            benchmark: pair.benchmarkReturn,
+            excess: pair.return - pair.benchmarkReturn
+        })),
+        cumulative
+    };
+}
+
+class PerformanceAnalytics {
+    static getFrequencies() {
+        return Object.keys(PERIODS_PER_YEAR);
+    }
+
+    static getDefaultRiskFreeRate() {
+        return DEFAULT_RISK_FREE_RATE;
+    }
+
+    static getDefaultWindow(frequency) {
+        return DEFAULT_WINDOWS[frequency];
+    }
+
+    /**
+     * Fund returns per period. Monthly comes from the calculated monthly
+     * returns; weekly adds up every platform's week in the base currency.
+     */
+    static async getFundSeries(frequency, { startDate, endDate } = {}) {
+        if (frequency === 'monthly') {
+            const months = await MonthlyReturn.find(this.dateRange('month', startDate, endDate))
+                .select('month monthlyReturnPercentage')
+                .sort('month')
+                .lean();
+
+            return months.map(m => ({
+                startDate: m.month,
+                date: endOfMonth(m.month),
+                return: m.monthlyReturnPercentage
+            }));
+        }
+
+        const [weeks, platforms] = await Promise.all([
+            WeeklyPlatformData.find(this.dateRange('weekStartDate', startDate, endDate))
+                .select('platformId weekStartDate weekEndDate openingValue closingValue')
+                .sort('weekStartDate')
+                .lean(),
+            PlatformInvestment.find().select('currency').lean()
+        ]);
+        const currencies = new Map(platforms.map(p => [p._id.toString(), p.currency]));
+
+        const byWeek = new Map();
+        weeks.forEach(week => {
+            const key = week.weekStartDate.getTime();
+            if (!byWeek.has(key)) {
+                byWeek.set(key, []);
+            }
+            byWeek.get(key).push(week);
+        });
+
+        // Opening values at the week's opening rate, closing at its closing rate
+        const rateCache = new Map();
+        const points = [];
+        for (const entries of byWeek.values()) {
+            const weekStartDate = entries[0].weekStartDate;
+            const weekEndDate = entries[0].weekEndDate;
+            const weekCurrencies = entries.map(e => currencies.get(e.platformId.toString()));
+            const [openingRates, closingRates] = await Promise.all([
+                FxService.getRates(weekCurrencies, weekStartDate, rateCache),
+                FxService.getRates(weekCurrencies, weekEndDate, rateCache)
+            ]);
+
+            let opening = 0;
+            let closing = 0;
+            entries.forEach((entry, index) => {
+                const currency = FxService.normaliseCurrency(weekCurrencies[index]);
+                opening += entry.openingValue * openingRates[currency];
+                closing += entry.closingValue * closingRates[currency];
+            });
+
+            if (opening > 0) {
+                points.push({
+                    startDate: weekStartDate,
+                    date: weekEndDate,
+                    return: (closing - opening) / opening * 100
+                });
+            }
+        }
+
+        return points;
+    }
+
+    /**
+     * One platform's returns per period, in its own currency for weekly data
+     * and in the base currency for monthly returns
+     */
+    static async getPlatformSeries(platformId, frequency, { startDate, endDate } = {}) {
+        if (frequency === 'monthly') {
+            const months = await MonthlyReturn.find({
+                ...this.dateRange('month', startDate, endDate),
+                'platformReturns.platformId': platformId
+            })
+                .select({ month: 1, platformReturns: { $elemMatch: { platformId } } })
+                .sort('month')
+                .lean();
+
+            return months.map(m => ({
+                startDate: m.month,
+                date: endOfMonth(m.month),
+                return: m.platformReturns[0].returnPercentage || 0
+            }));
+        }
+
+        const weeks = await WeeklyPlatformData.find({
+            ...this.dateRange('weekStartDate', startDate, endDate),
+            platformId
+        })
+            .select('weekStartDate weekEndDate weeklyReturn')
+            .sort('weekStartDate')
+            .lean();
+
+        return weeks.map(w => ({
+            startDate: w.weekStartDate,
+            date: w.weekEndDate,
+            return: w.weeklyReturn
+        }));
+    }
+
+    /**
+     * Metrics and chart series for the whole fund
+     */
+    static async getFundAnalytics({ frequency, riskFreeRate, ...range }) {
+        const points = await this.getFundSeries(frequency, range);
+
+        return {
+            frequency,
+            riskFreeRate,
+            metrics: computeMetrics(points, frequency, riskFreeRate),
+            series: buildChartSeries(points)
+        };
+    }
+
+    /**
+     * Metrics and chart series for one platform, or null if it doesn't exist
+     */
+    static async getPlatformAnalytics(platformId, { frequency, riskFreeRate, ...range }) {
+        const platform = await PlatformInvestment.findById(platformId).select('platformName currency').lean();
+        if (!platform) {
+            return null;
+        }
+
+        const points = await this.getPlatformSeries(platform._id, frequency, range);
+
+        return {
+            platform: { id: platform._id, name: platform.platformName, currency: platform.currency },
+            frequency,
+            riskFreeRate,
+            metrics: computeMetrics(points, frequency, riskFreeRate),
+            series: buildChartSeries(points)
+        };
+    }
+
+    /**
+     * Headline metrics for every platform side by side
+     */
+    static async compareAll({ frequency, riskFreeRate, ...range }) {
+        const platforms = await PlatformInvestment.find().select('platformName currency status').sort('platformName').lean();
+
+        const results = [];
+        for (const platform of platforms) {
+            const points = await this.getPlatformSeries(platform._id, frequency, range);
+            results.push({
+                platform: { id: platform._id, name: platform.platformName, currency: platform.currency, status: platform.status },
+                metrics: computeMetrics(points, frequency, riskFreeRate)
+            });
+        }
+
+        return {
+            frequency,
+            riskFreeRate,
+            fund: computeMetrics(await this.getFundSeries(frequency, range), frequency, riskFreeRate),
+            platforms: results
+        };
+    }
+
+    /**
+     * Metrics over a trailing window of periods, one point per window end.
+     * Pass a platformId for one platform, or null for the fund. Returns null
+     * if the platform doesn't exist.
+     */
+    static async getRollingAnalytics(platformId, { frequency, riskFreeRate, window, ...range }) {
+        let points;
+        if (platformId) {
+            const platform = await PlatformInvestment.findById(platformId).select('_id').lean();
+            if (!platform) {
+                return null;
+            }
+            points = await this.getPlatformSeries(platform._id, frequency, range);
+        } else {
+            points = await this.getFundSeries(frequency, range);
+        }
+
+        const rolling = [];
+        for (let end = window; end <= points.length; end++) {
+            const metrics = computeMetrics(points.slice(end - window, end), frequency, riskFreeRate);
+            rolling.push({
+                date: metrics.endDate,
+                cumulativeReturn: metrics.cumulativeReturn,
+                annualisedReturn: metrics.annualisedReturn,
+                volatility: metrics.volatility,
+                sharpeRatio: metrics.sharpeRatio,
+                sortinoRatio: metrics.sortinoRatio,
+                maxDrawdown: metrics.maxDrawdown ? metrics.maxDrawdown.percentage : 0,
+                bestReturn: metrics.bestPeriod.return,
+                worstReturn: metrics.worstPeriod.return
+            });
+        }
+
+        return { frequency, riskFreeRate, window, points: rolling };
+    }
+
+    /**
+     * Fund or platform performance against a benchmark, over the periods both
+     * have a return for. Uses the linked benchmark unless one is given. Pass
+     * a platformId for one platform, or null for the fund. Returns null if
+     * the platform doesn't exist; throws when there's no benchmark to use.
+     */
+    static async getRelativePerformance(platformId, { benchmarkId, frequency, ...range }) {
+        let platform = null;
+        if (platformId) {
+            platform = await PlatformInvestment.findById(platformId).select('platformName currency benchmarkId').lean();
+            if (!platform) {
+                return null;
+            }
+        }
+
+        let benchmark;
+        if (benchmarkId) {
+            benchmark = await Benchmark.findById(benchmarkId).select('name currency').lean();
+        } else if (platform) {
+            benchmark = platform.benchmarkId
+                ? await Benchmark.findById(platform.benchmarkId).select('name currency').lean()
+                : null;
+        } else {
+            benchmark = await Benchmark.findOne({ isFundBenchmark: true }).select('name currency').lean();
+        }
+        if (!benchmark) {
+            throw new Error(benchmarkId ? 'Benchmark not found' : 'No benchmark is linked; link one or pass benchmarkId');
+        }
+
+        const points = platform
+            ? await this.getPlatformSeries(platform._id, frequency, range)
+            : await this.getFundSeries(frequency, range);
+        const benchmarkReturns = await Benchmarks.getPeriodReturns(benchmark._id, points);
+
+        const pairs = [];
+        points.forEach((point, index) => {
+            if (benchmarkReturns[index] !== null) {
+                pairs.push({ ...point, benchmarkReturn: benchmarkReturns[index] });
+            }
+        });
+
+        return {
+            ...(platform ? { platform: { id: platform._id, name: platform.platformName, currency: platform.currency } } : {}),
+            benchmark: { id: benchmark._id, name: benchmark.name, currency: benchmark.currency },
+            frequency,
+            periodsWithoutBenchmark: points.length - pairs.length,
+            metrics: computeRelativeMetrics(pairs, frequency),
+            series: buildRelativeSeries(pairs)
+        };
+    }
+
+    /**
+     * Query filter for a date field between optional bounds
+     */
+    static dateRange(field, startDate, endDate) {
+        if (!startDate && !endDate) {
+            return {};
+        }
+
+        const range = {};
+        if (startDate) range.$gte = startDate;
+        if (endDate) range.$lte = endDate;
+        return { [field]: range };
+    }
+}
+
+module.exports = PerformanceAnalytics;
@@ -0,0 +1,148 @@
+// src/services/periodLock.js
+const Investment = require('../models/Investment');
+const MonthlyReturn = require('../models/MonthlyReturn');
+const PeriodClose = require('../models/PeriodClose');
+const RecalculationJob = require('../models/RecalculationJob');
+const { formatDate, formatMonth } = require('../utils/dates');
+
+const endOfMonth = (month) => new Date(month.getFullYear(), month.getMonth() + 1, 0, 23, 59, 59, 999);
+
+/**
+ * Months are closed in order and reopened in reverse, so the closed periods
+ * are always one unbroken run ending at the latest closed month.
+ */
+class PeriodLock {
+    /**
+     * End of the latest closed month, or null if no month is closed
+     */
+    static async getClosedThrough() {
+        const latest = await PeriodClose.findOne({ status: 'closed' })
+            .sort('-month')
+            .select('month')
+            .lean();
+
+        return latest ? endOfMonth(latest.month) : null;
+    }
+
+    /**
+     * Check dates against the closed periods. Returns an error body for the
+     * response when any falls inside one, otherwise null.
+     */
+    static async check(...dates) {
+        const closedThrough = await this.getClosedThrough();
+        if (!closedThrough || !dates.some(date => date && date <= closedThrough)) {
+            return null;
+        }
+
+        return {
+            error: `Date falls in a closed period (closed through ${formatDate(closedThrough)}). Post an adjustment in the current period instead.`,
+            closedThrough
+        };
+    }
+
+    /**
+     * List closed and reopened months, newest first
+     */
+    static async list() {
+        return PeriodClose.find()
+            .populate('closedBy', 'name email')
+            .populate('reopenedBy', 'name email')
+            .populate('history.by', 'name email')
+            .sort('-month');
+    }
+
+    /**
+     * Close a month and freeze its returns. Throws when the month can't be closed.
+     */
+    static async close(month, closedBy) {
+        const monthEnd = endOfMonth(month);
+        if (monthEnd >= new Date()) {
+            throw new Error('Only months that have ended can be closed');
+        }
+
+        const closedThrough = await this.getClosedThrough();
+        if (closedThrough && month <= closedThrough) {
+            throw new Error('Month is already closed');
+        }
+
+        // Earlier months with returns must be closed first
+        const earlierOpen = await MonthlyReturn.findOne({
+            month: { $lt: month, ...(closedThrough ? { $gt: closedThrough } : {}) }
+        }).select('month');
+        if (earlierOpen) {
+            throw new Error(`Close ${formatMonth(earlierOpen.month)} first`);
+        }
+
+        const monthlyReturn = await MonthlyReturn.findOne({ month });
+        if (!monthlyReturn) {
+            throw new Error('Month has no calculated returns to close');
+        }
+
+        // Figures still waiting on a recalculation can't be frozen
+        const pendingJob = await RecalculationJob.findOne({
+            slot: { $exists: true },
+            fromDate: { $lte: monthEnd }
+        }).select('_id');
+        if (pendingJob) {
+            throw new Error('A recalculation covering this month is still pending');
+        }
+
+        const now = new Date();
+        monthlyReturn.isClosed = true;
+        monthlyReturn.closedAt = now;
+        await monthlyReturn.save();
+
+        return PeriodClose.findOneAndUpdate(
+            { month },
+            {
+                $set: { status: 'closed', closedBy, closedAt: now },
+                $push: { history: { action: 'closed', by: closedBy, at: now } }
+            },
+            { upsert: true, new: true }
+        );
+    }
+
+    /**
+     * Reopen the latest closed month so it can be recalculated again
+     */
+    static async reopen(month, reopenedBy, reason) {
+        const period = await PeriodClose.findOne({ month, status: 'closed' });
+        if (!period) {
+            throw new Error('Month is not closed');
+        }
+
+        const laterClosed = await PeriodClose.findOne({ month: { $gt: month }, status: 'closed' }).select('month');
+        if (laterClosed) {
+            throw new Error(`Reopen ${formatMonth(laterClosed.month)} first`);
+        }
+
+        const now = new Date();
+        period.status = 'reopened';
+        period.reopenedBy = reopenedBy;
+        period.reopenedAt = now;
+        period.reopenReason = reason;
+        period.history.push({ action: 'reopened', by: reopenedBy, at: now, reason });
+        await period.save();
+
+        await MonthlyReturn.updateOne({ month }, { $set: { isClosed: false }, $unset: { closedAt: '' } });
+
+        return period;
+    }
+
+    /**
+     * Net amount an investment currently stands at in flow terms, counting
+     * adjustments already posted against it. Negative for withdrawals.
+     */
+    static async getAdjustedAmount(investment) {
+        const sign = inv => (inv.type === 'withdrawal' ? -1 : 1);
+        const adjustments = await Investment.find({
+            'adjustment.adjustsInvestmentId': investment._id,
+            status: 'active'
+        }).select('amount type');
+
+        const original = investment.status === 'active' ? sign(investment) * investment.amount : 0;
+        return adjustments.reduce((sum, adj) => sum + sign(adj) * adj.amount, original);
+    }
+}
+
+module.exports = PeriodLock;
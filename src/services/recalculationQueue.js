@@ -0,0 +1,232 @@
+// src/services/recalculationQueue.js
+const os = require('os');
+const RecalculationJob = require('../models/RecalculationJob');
+const InvestmentCalculator = require('./investmentCalculator');
+
+const POLL_INTERVAL_MS = 5000;
+
+// A running job whose worker hasn't reported progress for this long is
+// presumed dead. Workers report once per month recalculated.
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+let pollTimer = null;
+let processing = false;
+
+class RecalculationQueue {
+    /**
+     * Queue a recalculation from a date. Requests made while a job is waiting
+     * are folded into it, which then starts from the earliest month asked for.
+     * A running job is never extended: months it has already priced would be
+     * missed, so a new job queues behind it instead.
+     *
+     * Pass changedThrough when the change only touches inputs up to that date,
+     * e.g. a single flow; months after it then stop being recalculated once
+     * they come out unchanged. Without it every month to today is recalculated.
+     */
+    static async enqueue(fromDate, { reason, requestedBy, changedThrough } = {}) {
+        const monthStart = new Date(fromDate.getFullYear(), fromDate.getMonth(), 1);
+        const update = {
+            $min: { fromDate: monthStart },
+            $push: { triggers: { reason, fromDate, changedThrough, requestedBy } }
+        };
+
+        let job = null;
+        for (let attempt = 0; attempt < 3 && !job; attempt++) {
+            try {
+                job = await RecalculationJob.findOneAndUpdate(
+                    { slot: 'queued' },
+                    { ...update, $setOnInsert: { status: 'queued' } },
+                    { upsert: true, new: true }
+                );
+            } catch (error) {
+                // Another request created the queued job first; fold into it
+                if (error.code !== 11000) {
+                    throw error;
+                }
+            }
+        }
+
+        if (!job) {
+            throw new Error('Could not queue recalculation');
+        }
+
+        setImmediate(() => this.processNext());
+        return job;
+    }
+
+    /**
+     * Start polling for queued jobs
+     */
+    static start() {
+        if (pollTimer) {
+            return;
+        }
+        pollTimer = setInterval(() => this.processNext(), POLL_INTERVAL_MS);
+        this.processNext();
+    }
+
+    /**
+     * Stop polling. A job already running finishes first.
+     */
+    static stop() {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+
+    /**
+     * Run queued jobs until none are left. Only one job can hold the running
+     * slot across all workers, so recalculations never interleave.
+     */
+    static async processNext() {
+        if (processing) {
+            return;
+        }
+        processing = true;
+
+        try {
+            await this.releaseStaleJobs();
+
+            let job = await this.claim();
+            while (job) {
+                await this.run(job);
+                job = await this.claim();
+            }
+        } catch (error) {
+            console.error('Recalculation worker error:', error);
+        } finally {
+            processing = false;
+        }
+    }
+
+    /**
+     * Move the queued job into the running slot. Returns null when nothing is
+     * queued or another worker is already running a job.
+     */
+    static async claim() {
+        try {
+            return await RecalculationJob.findOneAndUpdate(
+                { slot: 'queued' },
+                {
+                    $set: {
+                        slot: 'running',
+                        status: 'running',
+                        workerId: WORKER_ID,
+                        startedAt: new Date(),
+                        heartbeatAt: new Date()
+                    }
+                },
+                { new: true }
+            );
+        } catch (error) {
+            if (error.code === 11000) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Recalculate a claimed job's months, recording progress as it goes
+     */
+    static async run(job) {
+        const owned = { _id: job._id, slot: 'running', workerId: WORKER_ID };
+
+        try {
+            const result = await InvestmentCalculator.recalculateFromDate(job.fromDate, {
+                changedThrough: this.getChangedThrough(job),
+                trigger: { triggers: job.triggers, recalculationJobId: job._id },
+                onProgress: ({ month, monthsCompleted, monthsTotal }) => RecalculationJob.updateOne(owned, {
+                    $set: {
+                        'progress.monthsTotal': monthsTotal,
+                        'progress.monthsCompleted': monthsCompleted,
+                        'progress.currentMonth': month,
+                        heartbeatAt: new Date()
+                    }
+                })
+            });
+
+            await RecalculationJob.updateOne(owned, {
+                $set: {
+                    status: 'completed',
+                    result,
+                    'progress.monthsCompleted': result.monthsRecalculated,
+                    finishedAt: new Date()
+                },
+                $unset: { slot: '' }
+            });
+        } catch (error) {
+            console.error('Recalculation job failed:', error);
+            await RecalculationJob.updateOne(owned, {
+                $set: { status: 'failed', error: error.message, finishedAt: new Date() },
+                $unset: { slot: '' }
+            });
+        }
+    }
+
+    /**
+     * Latest date any of a job's triggers changed, or undefined if one of them
+     * needs every month recalculated
+     */
+    static getChangedThrough(job) {
+        if (job.triggers.some(trigger => !trigger.changedThrough)) {
+            return undefined;
+        }
+        return new Date(Math.max(...job.triggers.map(trigger => trigger.changedThrough.getTime())));
+    }
+
+    /**
+     * Fail running jobs whose worker has gone quiet and queue their months again
+     */
+    static async releaseStaleJobs() {
+        const stale = await RecalculationJob.find({
+            slot: 'running',
+            heartbeatAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) }
+        });
+
+        for (const job of stale) {
+            const released = await RecalculationJob.updateOne(
+                { _id: job._id, slot: 'running' },
+                {
+                    $set: { status: 'failed', error: 'Worker stopped responding', finishedAt: new Date() },
+                    $unset: { slot: '' }
+                }
+            );
+
+            // Its months may be half-updated, so they must run again
+            if (released.modifiedCount > 0) {
+                await this.enqueue(job.fromDate, { reason: 'stale_job_retry' });
+            }
+        }
+    }
+
+    /**
+     * Summarise a job for API responses
+     */
+    static describe(job) {
+        const { monthsTotal, monthsCompleted, currentMonth } = job.progress || {};
+
+        return {
+            jobId: job._id,
+            status: job.status,
+            fromDate: job.fromDate,
+            progress: {
+                monthsTotal: monthsTotal || 0,
+                monthsCompleted: monthsCompleted || 0,
+                currentMonth,
+                // Completed jobs may stop early once later months come out unchanged
+                percentage: job.status === 'completed'
+                    ? 100
+                    : (monthsTotal ? Math.round((monthsCompleted / monthsTotal) * 100) : 0)
+            },
+            requestCount: job.triggers.length,
+            error: job.error,
+            queuedAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt
+        };
+    }
+}
+
+module.exports = RecalculationQueue;
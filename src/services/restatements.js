@@ -0,0 +1,243 @@
+// src/services/restatements.js
+const MonthlyReturnVersion = require('../models/MonthlyReturnVersion');
+const Statement = require('../models/Statement');
+const User = require('../models/User');
+const PeriodLock = require('./periodLock');
+const { differs } = require('../utils/compare');
+
+// Figures compared when diffing two versions
+const FUND_FIELDS = [
+    'navPerUnit', 'totalUnits', 'totalCorpus', 'totalPlatformValue',
+    'monthlyReturnPercentage', 'totalFees'
+];
+const CLIENT_FIELDS = [
+    'units', 'sharePercentage', 'openingBalance', 'netFlows', 'grossReturn',
+    'managementFee', 'performanceFee', 'feeAmount', 'returnAmount', 'closingBalance'
+];
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+    picked[field] = source[field];
+    return picked;
+}, {});
+
+const startOfNextMonth = (month) => new Date(month.getFullYear(), month.getMonth() + 1, 1);
+
+class Restatements {
+    /**
+     * Parse a YYYY-MM month into the first day of that month
+     */
+    static parseMonth(text) {
+        const match = /^(\d{4})-(\d{2})$/.exec(text || '');
+        const month = match ? Number(match[2]) : 0;
+        if (month < 1 || month > 12) {
+            return null;
+        }
+        return new Date(Number(match[1]), month - 1, 1);
+    }
+
+    /**
+     * Whether a month's figures may have been relied on: it has ended, been
+     * closed, or had statements generated. Until then its figures move with
+     * every flow and aren't restated.
+     */
+    static async isFinal(month) {
+        const nextMonth = startOfNextMonth(month);
+        if (nextMonth <= new Date()) {
+            return true;
+        }
+
+        const closedThrough = await PeriodLock.getClosedThrough();
+        if (closedThrough && closedThrough >= month) {
+            return true;
+        }
+
+        const reported = await Statement.exists({
+            periodStart: { $lt: nextMonth },
+            periodEnd: { $gte: month }
+        });
+        return Boolean(reported);
+    }
+
+    /**
+     * Record a recalculated month as a new version, stamping the record with
+     * its version number and marking the clients whose figures it restates.
+     * Months still open aren't versioned, and are left with no version or
+     * restatedAt. The month's version documents, not the stored record, say
+     * whether it has an original yet: with none, figures stored after the
+     * month ended predate versioning and are archived as version 1 first,
+     * while figures stored while it was open were never final and are
+     * replaced outright.
+     */
+    static async recordVersion(stored, record, { triggers = [], recalculationJobId } = {}) {
+        if (!(await this.isFinal(record.month))) {
+            record.version = undefined;
+            record.restatedAt = undefined;
+            return record.version;
+        }
+
+        const latest = await MonthlyReturnVersion.findOne({ month: record.month })
+            .sort('-version')
+            .select('version')
+            .lean();
+
+        let previousVersion = 0;
+        if (latest) {
+            previousVersion = latest.version;
+        } else if (stored && stored.calculatedAt >= startOfNextMonth(stored.month)) {
+            await MonthlyReturnVersion.create({
+                month: stored.month,
+                version: 1,
+                figures: this.getFigures(stored),
+                triggers: [{ reason: 'original' }]
+            });
+            previousVersion = 1;
+        } else {
+            stored = null;
+        }
+
+        const now = new Date();
+        const previousClients = new Map(
+            (stored ? stored.clientReturns : []).map(cr => [cr.clientId.toString(), cr])
+        );
+        const restatedClientIds = [];
+
+        record.clientReturns.forEach(cr => {
+            const previous = previousClients.get(cr.clientId.toString());
+            previousClients.delete(cr.clientId.toString());
+
+            if (!previous) {
+                return;
+            }
+            if (differs(pick(previous, CLIENT_FIELDS), pick(cr, CLIENT_FIELDS))) {
+                cr.restatedAt = now;
+                restatedClientIds.push(cr.clientId);
+            } else if (previous.restatedAt) {
+                cr.restatedAt = previous.restatedAt;
+            }
+        });
+
+        // Clients no longer in the month at all have had it restated too
+        previousClients.forEach(cr => restatedClientIds.push(cr.clientId));
+
+        record.version = previousVersion + 1;
+        record.restatedAt = stored ? now : undefined;
+
+        await MonthlyReturnVersion.create({
+            month: record.month,
+            version: record.version,
+            figures: this.getFigures(record),
+            triggers: triggers.map(trigger => ({
+                reason: trigger.reason,
+                requestedBy: trigger.requestedBy,
+                requestedAt: trigger.requestedAt
+            })),
+            recalculationJobId,
+            restatedClientIds
+        });
+
+        return record.version;
+    }
+
+    /**
+     * A month's figures without its storage bookkeeping
+     */
+    static getFigures(monthlyReturn) {
+        const { _id, __v, createdAt, updatedAt, calculatedAt, version, restatedAt, ...figures } = monthlyReturn;
+        return figures;
+    }
+
+    /**
+     * List a month's versions, newest first, with headline fund figures
+     */
+    static async listVersions(month) {
+        const versions = await MonthlyReturnVersion.find({ month })
+            .select([
+                'version', 'triggers', 'recalculationJobId', 'restatedClientIds', 'createdAt',
+                ...FUND_FIELDS.map(field => `figures.${field}`)
+            ].join(' '))
+            .populate('triggers.requestedBy', 'name email')
+            .sort('-version')
+            .lean();
+
+        return versions.map(v => ({
+            version: v.version,
+            createdAt: v.createdAt,
+            triggers: v.triggers,
+            recalculationJobId: v.recalculationJobId,
+            restatedClientCount: v.restatedClientIds.length,
+            ...v.figures
+        }));
+    }
+
+    /**
+     * Compare two versions of a month: fund figures and each client's figures
+     * that changed between them. With a clientId, only that client is listed,
+     * changed or not.
+     */
+    static async diffVersions(month, fromVersion, toVersion, clientId) {
+        const [from, to] = await Promise.all([
+            MonthlyReturnVersion.findOne({ month, version: fromVersion }).lean(),
+            MonthlyReturnVersion.findOne({ month, version: toVersion }).lean()
+        ]);
+        if (!from || !to) {
+            return null;
+        }
+
+        const fromClients = new Map(from.figures.clientReturns.map(cr => [cr.clientId.toString(), cr]));
+        const toClients = new Map(to.figures.clientReturns.map(cr => [cr.clientId.toString(), cr]));
+        const clientIds = clientId
+            ? [clientId.toString()]
+            : [...new Set([...fromClients.keys(), ...toClients.keys()])];
+
+        const clients = [];
+        clientIds.forEach(id => {
+            const before = fromClients.get(id);
+            const after = toClients.get(id);
+            const changes = this.diffFields(before || {}, after || {}, CLIENT_FIELDS);
+
+            if (!clientId && before && after && changes.length === 0) {
+                return;
+            }
+
+            let status = 'changed';
+            if (!before && !after) status = 'absent';
+            else if (!before) status = 'added';
+            else if (!after) status = 'removed';
+            else if (changes.length === 0) status = 'unchanged';
+
+            clients.push({ clientId: id, status, changes });
+        });
+
+        const users = await User.find({ _id: { $in: clients.map(c => c.clientId) } }).select('name email').lean();
+        const usersById = new Map(users.map(user => [user._id.toString(), user]));
+        clients.forEach(client => {
+            const user = usersById.get(client.clientId) || {};
+            client.clientName = user.name;
+            client.clientEmail = user.email;
+        });
+
+        return {
+            month,
+            fromVersion,
+            toVersion,
+            fund: this.diffFields(from.figures, to.figures, FUND_FIELDS),
+            clients
+        };
+    }
+
+    /**
+     * Fields whose values differ between two sets of figures
+     */
+    static diffFields(before, after, fields) {
+        return fields
+            .filter(field => differs(before[field], after[field]))
+            .map(field => ({
+                field,
+                from: before[field],
+                to: after[field],
+                change: (after[field] || 0) - (before[field] || 0)
+            }));
+    }
+}
+
+module.exports = Restatements;
@@ -0,0 +1,144 @@
+// src/services/sessions.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+// Access tokens are short-lived; refresh tokens keep the session going
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const hashesMatch = (a, b) => {
+    return Boolean(a && b) && crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+};
+
+/**
+ * A refresh token is the session id and a random secret, so a refresh
+ * finds its session directly and only the secret's hash is stored
+ */
+class Sessions {
+    /**
+     * Start a session for a user who has just logged in
+     */
+    static async create(user, req) {
+        const secret = crypto.randomBytes(32).toString('hex');
+        const session = await Session.create({
+            userId: user._id,
+            role: user.role,
+            refreshTokenHash: hashToken(secret),
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_MS),
+            lastUsedAt: new Date(),
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        });
+
+        return this.issueTokens(session, secret);
+    }
+
+    /**
+     * Swap a refresh token for a new access and refresh token. Replaying a
+     * token that has already been rotated out revokes the whole session,
+     * since either the client or an attacker holds a stolen copy.
+     * Throws when the token can't be used.
+     */
+    static async refresh(refreshToken, req) {
+        const [sessionId, secret] = String(refreshToken || '').split('.');
+        const session = /^[a-f0-9]{24}$/.test(sessionId || '') && secret
+            ? await Session.findById(sessionId)
+            : null;
+
+        if (!session || !this.isActive(session)) {
+            throw new Error('Invalid refresh token');
+        }
+
+        const presentedHash = hashToken(secret);
+        if (hashesMatch(presentedHash, session.previousRefreshTokenHash)) {
+            await this.revoke(session, 'refresh_token_reused');
+            throw new Error('Invalid refresh token');
+        }
+        if (!hashesMatch(presentedHash, session.refreshTokenHash)) {
+            throw new Error('Invalid refresh token');
+        }
+
+        // Only one refresh can win the rotation
+        const nextSecret = crypto.randomBytes(32).toString('hex');
+        const rotated = await Session.findOneAndUpdate(
+            { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: { $exists: false } },
+            {
+                $set: {
+                    refreshTokenHash: hashToken(nextSecret),
+                    previousRefreshTokenHash: session.refreshTokenHash,
+                    lastUsedAt: new Date(),
+                    ipAddress: req.ip,
+                    userAgent: req.get('user-agent')
+                }
+            },
+            { new: true }
+        );
+        if (!rotated) {
+            throw new Error('Invalid refresh token');
+        }
+
+        return this.issueTokens(rotated, nextSecret);
+    }
+
+    /**
+     * Sign an access token tied to the session and pair it with the refresh token
+     */
+    static issueTokens(session, secret) {
+        const accessToken = jwt.sign(
+            { userId: session.userId, sessionId: session._id },
+            process.env.JWT_SECRET,
+            { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+        );
+
+        return {
+            token: accessToken,
+            refreshToken: `${session._id}.${secret}`,
+            expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+            session
+        };
+    }
+
+    /**
+     * Whether a session can still be used
+     */
+    static isActive(session) {
+        return Boolean(session) && !session.revokedAt && session.expiresAt > new Date();
+    }
+
+    /**
+     * Revoke one session
+     */
+    static async revoke(session, reason, revokedBy) {
+        return Session.findOneAndUpdate(
+            { _id: session._id, revokedAt: { $exists: false } },
+            { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } },
+            { new: true }
+        );
+    }
+
+    /**
+     * Revoke every active session a user has. Returns how many were revoked.
+     */
+    static async revokeAllForUser(userId, reason, revokedBy) {
+        const result = await Session.updateMany(
+            { userId, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+            { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+        );
+        return result.modifiedCount;
+    }
+
+    /**
+     * A user's sessions that are neither revoked nor expired, most recently used first
+     */
+    static async listActive(userId) {
+        return Session.find({ userId, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } })
+            .select('-refreshTokenHash -previousRefreshTokenHash')
+            .sort('-lastUsedAt');
+    }
+}
+
+module.exports = Sessions;
@@ -0,0 +1,330 @@
+// src/services/statementGenerator.js
+const PDFDocument = require('pdfkit');
+const Investment = require('../models/Investment');
+const Statement = require('../models/Statement');
+const User = require('../models/User');
+const ClientPortfolio = require('./clientPortfolio');
+const InvestmentCalculator = require('./investmentCalculator');
+const FxService = require('./fxService');
+const { toCsv } = require('../utils/csv');
+const { formatDate, formatMonth } = require('../utils/dates');
+
+const formatAmount = (value) => (value || 0).toFixed(2);
+
+class StatementGenerator {
+    /**
+     * Resolve a statement period to whole months.
+     * Accepts a single month (YYYY-MM) or a start and end date.
+     */
+    static resolvePeriod({ month, startDate, endDate }) {
+        const start = new Date(month || startDate);
+        const end = new Date(month || endDate || startDate);
+
+        if (isNaN(start) || isNaN(end) || start > end) {
+            throw new Error('Invalid statement period');
+        }
+
+        return {
+            periodStart: new Date(start.getFullYear(), start.getMonth(), 1),
+            periodEnd: new Date(end.getFullYear(), end.getMonth() + 1, 0, 23, 59, 59, 999)
+        };
+    }
+
+    /**
+     * Build a client's statement for a period from their flows and monthly ledger
+     */
+    static async buildStatement(clientId, periodStart, periodEnd) {
+        const client = await User.findOne({ _id: clientId, role: 'client' }).select('name email');
+        if (!client) {
+            throw new Error('Client not found');
+        }
+
+        const transactions = await Investment.find({
+            clientId,
+            status: 'active',
+            investmentDate: { $gte: periodStart, $lte: periodEnd }
+        }).sort('investmentDate');
+
+        const ledger = await ClientPortfolio.getMonthlyLedger(clientId);
+        const previousMonths = ledger.filter(entry => entry.month < periodStart);
+        const periodMonths = ledger.filter(entry => entry.month >= periodStart && entry.month <= periodEnd);
+
+        // Open from the last closing balance before the period
+        const openingBalance = periodMonths.length > 0
+            ? periodMonths[0].openingBalance || 0
+            : (previousMonths.length > 0 ? previousMonths[previousMonths.length - 1].closingBalance : 0);
+
+        const closingBalance = periodMonths.length > 0
+            ? periodMonths[periodMonths.length - 1].closingBalance
+            : openingBalance;
+
+        const sumTransactions = type => transactions
+            .filter(inv => inv.type === type)
+            .reduce((sum, inv) => sum + Math.abs(InvestmentCalculator.getSignedAmount(inv)), 0);
+        const sumLedger = field => periodMonths.reduce((sum, entry) => sum + (entry[field] || 0), 0);
+
+        return {
+            client: {
+                id: client._id,
+                name: client.name,
+                email: client.email
+            },
+            periodStart,
+            periodEnd,
+            baseCurrency: FxService.getBaseCurrency(),
+            summary: {
+                openingBalance,
+                deposits: sumTransactions('deposit'),
+                withdrawals: sumTransactions('withdrawal'),
+                grossReturn: sumLedger('grossReturn'),
+                fees: sumLedger('feeAmount'),
+                netReturn: sumLedger('returnAmount'),
+                closingBalance
+            },
+            months: periodMonths,
+            transactions: transactions.map(inv => ({
+                date: inv.investmentDate,
+                type: inv.type,
+                amount: inv.amount,
+                currency: inv.currency,
+                baseAmount: Math.abs(InvestmentCalculator.getSignedAmount(inv)),
+                units: inv.units,
+                navPerUnit: inv.navPerUnit
+            }))
+        };
+    }
+
+    /**
+     * Render a statement as CSV: summary, then monthly ledger, then transactions
+     */
+    static renderCsv(statement) {
+        const { summary } = statement;
+
+        const sections = [
+            toCsv(['Client', 'Email', 'Period Start', 'Period End', 'Currency'], [[
+                statement.client.name,
+                statement.client.email,
+                formatDate(statement.periodStart),
+                formatDate(statement.periodEnd),
+                statement.baseCurrency
+            ]]),
+            toCsv(['Item', 'Amount'], [
+                ['Opening Balance', formatAmount(summary.openingBalance)],
+                ['Deposits', formatAmount(summary.deposits)],
+                ['Withdrawals', formatAmount(summary.withdrawals)],
+                ['Gross Return', formatAmount(summary.grossReturn)],
+                ['Fees', formatAmount(summary.fees)],
+                ['Net Return', formatAmount(summary.netReturn)],
+                ['Closing Balance', formatAmount(summary.closingBalance)]
+            ]),
+            toCsv(
+                ['Month', 'Opening Balance', 'Net Flows', 'Gross Return', 'Fees', 'Net Return', 'Closing Balance', 'NAV Per Unit', 'Units', 'Restated'],
+                statement.months.map(entry => [
+                    formatMonth(entry.month),
+                    formatAmount(entry.openingBalance),
+                    formatAmount(entry.netFlows),
+                    formatAmount(entry.grossReturn),
+                    formatAmount(entry.feeAmount),
+                    formatAmount(entry.returnAmount),
+                    formatAmount(entry.closingBalance),
+                    entry.navPerUnit,
+                    entry.units,
+                    entry.isRestated ? 'yes' : ''
+                ])
+            ),
+            toCsv(
+                ['Date', 'Type', 'Amount', 'Currency', 'Base Amount', 'Units', 'NAV Per Unit'],
+                statement.transactions.map(tx => [
+                    formatDate(tx.date),
+                    tx.type,
+                    formatAmount(tx.amount),
+                    tx.currency,
+                    formatAmount(tx.baseAmount),
+                    tx.units,
+                    tx.navPerUnit
+                ])
+            )
+        ];
+
+        // Blank line between sections
+        return sections.join('\n\n');
+    }
+
+    /**
+     * Render a statement as a PDF buffer
+     */
+    static renderPdf(statement) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({ size: 'A4', margin: 50 });
+            const chunks = [];
+
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            const { summary } = statement;
+
+            doc.fontSize(18).text('Account Statement');
+            doc.moveDown(0.5);
+            doc.fontSize(10)
+                .text(`${statement.client.name} (${statement.client.email})`)
+                .text(`Period: ${formatDate(statement.periodStart)} to ${formatDate(statement.periodEnd)}`)
+                .text(`Amounts in ${statement.baseCurrency}`)
+                .text(`Generated: ${formatDate(new Date())}`);
+
+            doc.moveDown();
+            doc.fontSize(12).text('Summary');
+            doc.fontSize(10);
+            [
+                ['Opening balance', summary.openingBalance],
+                ['Deposits', summary.deposits],
+                ['Withdrawals', summary.withdrawals],
+                ['Gross return', summary.grossReturn],
+                ['Fees', summary.fees],
+                ['Net return', summary.netReturn],
+                ['Closing balance', summary.closingBalance]
+            ].forEach(([label, value]) => {
+                const y = doc.y;
+                doc.text(label, 50, y);
+                doc.text(formatAmount(value), 300, y, { width: 120, align: 'right' });
+            });
+
+            this.renderPdfTable(doc, 'Monthly Returns',
+                ['Month', 'Opening', 'Flows', 'Fees', 'Net Return', 'Closing'],
+                statement.months.map(entry => [
+                    `${formatMonth(entry.month)}${entry.isRestated ? ' *' : ''}`,
+                    formatAmount(entry.openingBalance),
+                    formatAmount(entry.netFlows),
+                    formatAmount(entry.feeAmount),
+                    formatAmount(entry.returnAmount),
+                    formatAmount(entry.closingBalance)
+                ])
+            );
+
+            this.renderPdfTable(doc, 'Transactions',
+                ['Date', 'Type', 'Amount', 'Base Amount', 'NAV Per Unit'],
+                statement.transactions.map(tx => [
+                    formatDate(tx.date),
+                    tx.type,
+                    `${formatAmount(tx.amount)} ${tx.currency || ''}`.trim(),
+                    formatAmount(tx.baseAmount),
+                    tx.navPerUnit ? tx.navPerUnit.toFixed(4) : ''
+                ])
+            );
+
+            if (statement.months.some(entry => entry.isRestated)) {
+                doc.moveDown();
+                doc.x = 50;
+                doc.fontSize(8).text('* Restated: figures for this month were recalculated after they were first reported.');
+            }
+
+            doc.end();
+        });
+    }
+
+    /**
+     * Draw a simple fixed-width table, starting a new page when it runs out of room
+     */
+    static renderPdfTable(doc, title, headers, rows) {
+        const columnWidth = 495 / headers.length;
+        const drawRow = (cells) => {
+            if (doc.y > 760) {
+                doc.addPage();
+            }
+            const y = doc.y;
+            cells.forEach((cell, index) => {
+                doc.text(String(cell), 50 + index * columnWidth, y, { width: columnWidth - 5 });
+            });
+            doc.moveDown(0.2);
+        };
+
+        doc.moveDown();
+        doc.x = 50;
+        doc.fontSize(12).text(title);
+        doc.fontSize(9);
+
+        if (rows.length === 0) {
+            doc.text('None in this period');
+            return;
+        }
+
+        drawRow(headers);
+        rows.forEach(drawRow);
+        doc.x = 50;
+    }
+
+    /**
+     * Build, render and store a client's statement, replacing any earlier one
+     * for the same period
+     */
+    static async generate(clientId, periodStart, periodEnd, generatedBy) {
+        const statement = await this.buildStatement(clientId, periodStart, periodEnd);
+        const pdf = await this.renderPdf(statement);
+        const csv = this.renderCsv(statement);
+
+        return Statement.findOneAndUpdate(
+            { clientId, periodStart, periodEnd },
+            {
+                clientId,
+                periodStart,
+                periodEnd,
+                summary: statement.summary,
+                pdf,
+                csv,
+                generatedBy,
+                generatedAt: new Date()
+            },
+            { upsert: true, new: true }
+        );
+    }
+
+    /**
+     * Generate statements for every client for a period
+     */
+    static async generateForAllClients(periodStart, periodEnd, generatedBy) {
+        const clients = await User.find({ role: 'client' }).select('name email');
+        const results = [];
+
+        // One at a time: PDF rendering is CPU-bound
+        for (const client of clients) {
+            try {
+                const statement = await this.generate(client._id, periodStart, periodEnd, generatedBy);
+                results.push({
+                    clientId: client._id,
+                    clientName: client.name,
+                    statementId: statement._id,
+                    success: true
+                });
+            } catch (error) {
+                results.push({
+                    clientId: client._id,
+                    clientName: client.name,
+                    success: false,
+                    error: error.message
+                });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Write a stored statement to the response in the requested format.
+     * The statement must be loaded with its pdf and csv fields selected.
+     */
+    static send(res, statement, format) {
+        const filename = `statement-${formatDate(statement.periodStart)}-${formatDate(statement.periodEnd)}`;
+
+        if (format === 'csv') {
+            res.set('Content-Type', 'text/csv');
+            res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+            return res.send(statement.csv);
+        }
+
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+        return res.send(statement.pdf);
+    }
+}
+
+module.exports = StatementGenerator;
@@ -0,0 +1,205 @@
+// src/services/twoFactor.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+
+const ISSUER = process.env.TOTP_ISSUER || 'Trading Dashboard';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+
+const hashRecoveryCode = (code) => {
+    const normalised = String(code).replace(/[\s-]/g, '').toLowerCase();
+    return crypto.createHash('sha256').update(normalised).digest('hex');
+};
+
+class TwoFactor {
+    /**
+     * Whether every admin must have two-factor authentication enabled
+     */
+    static isRequired() {
+        return process.env.ADMIN_2FA_REQUIRED === 'true';
+    }
+
+    /**
+     * Start enrolment with a fresh secret. Nothing changes for login until
+     * a code from the new secret is confirmed with enable().
+     */
+    static async startSetup(user) {
+        const secret = generateSecret();
+        await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encrypt(secret) } });
+
+        return {
+            secret,
+            otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: ISSUER })
+        };
+    }
+
+    /**
+     * Confirm enrolment with a code from the pending secret and switch
+     * two-factor on. Returns the recovery codes, which are only shown once.
+     * Throws when there's no enrolment in progress or the code is wrong.
+     */
+    static async enable(userId, code) {
+        const user = await User.findById(userId).select('twoFactor');
+        if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+            throw new Error('Start two-factor setup first');
+        }
+
+        const secret = decrypt(user.twoFactor.pendingSecret);
+        const step = verifyCode(secret, code);
+        if (step === null) {
+            throw new Error('Invalid authentication code');
+        }
+
+        const { codes, recoveryCodes } = this.generateRecoveryCodes();
+        await User.updateOne({ _id: userId }, {
+            $set: {
+                'twoFactor.enabled': true,
+                'twoFactor.secret': encrypt(secret),
+                'twoFactor.enabledAt': new Date(),
+                'twoFactor.lastUsedStep': step,
+                'twoFactor.recoveryCodes': recoveryCodes
+            },
+            $unset: { 'twoFactor.pendingSecret': '' }
+        });
+
+        return codes;
+    }
+
+    /**
+     * Check a TOTP code or an unused recovery code. Each is accepted once:
+     * a TOTP code's time step and a recovery code are both burned on use.
+     * Returns { method, recoveryCodesRemaining } on success, otherwise null.
+     */
+    static async verify(userId, { code, recoveryCode }) {
+        const user = await User.findById(userId).select('twoFactor');
+        if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+            return null;
+        }
+
+        if (recoveryCode) {
+            const updated = await User.findOneAndUpdate(
+                {
+                    _id: userId,
+                    'twoFactor.recoveryCodes': {
+                        $elemMatch: { codeHash: hashRecoveryCode(recoveryCode), usedAt: { $exists: false } }
+                    }
+                },
+                { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } },
+                { new: true }
+            ).select('twoFactor.recoveryCodes');
+
+            if (!updated) {
+                return null;
+            }
+            return {
+                method: 'recovery_code',
+                recoveryCodesRemaining: updated.twoFactor.recoveryCodes.filter(c => !c.usedAt).length
+            };
+        }
+
+        const step = verifyCode(decrypt(user.twoFactor.secret), code);
+        if (step === null) {
+            return null;
+        }
+
+        const accepted = await User.updateOne(
+            {
+                _id: userId,
+                $or: [
+                    { 'twoFactor.lastUsedStep': { $lt: step } },
+                    { 'twoFactor.lastUsedStep': { $exists: false } }
+                ]
+            },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        if (accepted.modifiedCount === 0) {
+            return null;
+        }
+
+        return { method: 'totp' };
+    }
+
+    /**
+     * Replace all recovery codes with a new set. Returns the new codes.
+     */
+    static async regenerateRecoveryCodes(userId) {
+        const { codes, recoveryCodes } = this.generateRecoveryCodes();
+        await User.updateOne({ _id: userId }, { $set: { 'twoFactor.recoveryCodes': recoveryCodes } });
+        return codes;
+    }
+
+    /**
+     * Switch two-factor off and forget the secret and recovery codes
+     */
+    static async disable(userId) {
+        await User.updateOne({ _id: userId }, {
+            $set: { 'twoFactor.enabled': false, 'twoFactor.recoveryCodes': [] },
+            $unset: {
+                'twoFactor.secret': '',
+                'twoFactor.pendingSecret': '',
+                'twoFactor.enabledAt': '',
+                'twoFactor.lastUsedStep': ''
+            }
+        });
+    }
+
+    /**
+     * Enrolment state for display, without secrets
+     */
+    static async getStatus(userId) {
+        const user = await User.findById(userId).select('twoFactor');
+        const twoFactor = user.twoFactor || {};
+
+        return {
+            enabled: Boolean(twoFactor.enabled),
+            enabledAt: twoFactor.enabledAt,
+            setupInProgress: Boolean(twoFactor.pendingSecret),
+            recoveryCodesRemaining: (twoFactor.recoveryCodes || []).filter(c => !c.usedAt).length,
+            required: this.isRequired()
+        };
+    }
+
+    /**
+     * Short-lived token proving the password step of a login passed
+     */
+    static createChallenge(user) {
+        return jwt.sign(
+            { userId: user._id, purpose: '2fa_challenge' },
+            process.env.JWT_SECRET,
+            { expiresIn: CHALLENGE_EXPIRES_IN }
+        );
+    }
+
+    /**
+     * The user id a challenge token was issued for, or null if it's invalid or expired
+     */
+    static readChallenge(challengeToken) {
+        try {
+            const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+            return decoded.purpose === '2fa_challenge' ? decoded.userId : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * New recovery codes, plain for showing to the admin and hashed for storage
+     */
+    static generateRecoveryCodes() {
+        const codes = [];
+        for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+            const hex = crypto.randomBytes(5).toString('hex');
+            codes.push(`${hex.slice(0, 5)}-${hex.slice(5)}`);
+        }
+
+        return {
+            codes,
+            recoveryCodes: codes.map(code => ({ codeHash: hashRecoveryCode(code) }))
+        };
+    }
+}
+
+module.exports = TwoFactor;
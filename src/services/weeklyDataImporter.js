@@ -0,0 +1,267 @@
+// src/services/weeklyDataImporter.js
+const PlatformInvestment = require('../models/PlatformInvestment');
+const WeeklyPlatformData = require('../models/WeeklyPlatformData');
+const Journal = require('./journal');
+const PeriodLock = require('./periodLock');
+const { parseCsv } = require('../utils/csv');
+const { getWeekNumber } = require('../utils/dates');
+const { withTransaction } = require('../utils/transactions');
+
+// Accepted spellings for each CSV column
+const COLUMN_ALIASES = {
+    platform: ['platform', 'platformid', 'platform_id', 'platformname', 'platform_name', 'platform name'],
+    weekStartDate: ['weekstartdate', 'week_start_date', 'week start date', 'week_start', 'week start', 'weekstart'],
+    closingValue: ['closingvalue', 'closing_value', 'closing value', 'closing'],
+    notes: ['notes', 'note']
+};
+
+const readColumn = (row, column) => {
+    const key = COLUMN_ALIASES[column].find(alias => row[alias] !== undefined);
+    return key ? row[key] : '';
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class WeeklyDataImporter {
+    /**
+     * Validate a CSV of weekly valuations and work out each week's opening
+     * value. Nothing is written; rows carry either an error or the week to save.
+     * Stored weeks that must re-open from an imported week come back as successors.
+     */
+    static async prepare(csv) {
+        const rows = parseCsv(csv);
+        const platforms = await PlatformInvestment.find({ status: 'active' });
+
+        const platformsById = new Map(platforms.map(p => [p._id.toString(), p]));
+        const platformsByName = new Map(platforms.map(p => [p.platformName.trim().toLowerCase(), p]));
+
+        const seen = new Set();
+        const results = rows.map((row, index) => {
+            const result = { row: index + 2 }; // Header is row 1
+            const platformRef = readColumn(row, 'platform');
+            const weekStart = readColumn(row, 'weekStartDate');
+            const closingText = readColumn(row, 'closingValue');
+
+            const platform = platformsById.get(platformRef) || platformsByName.get(platformRef.toLowerCase());
+            const weekStartDate = new Date(weekStart);
+            const closingValue = parseFloat(closingText);
+
+            if (!platformRef) {
+                result.error = 'Platform is required';
+            } else if (!platform) {
+                result.error = `Unknown platform "${platformRef}"`;
+            } else if (!weekStart || isNaN(weekStartDate)) {
+                result.error = 'Invalid week start date';
+            } else if (closingText === '' || isNaN(closingValue) || closingValue < 0) {
+                result.error = 'Closing value must be a non-negative number';
+            } else {
+                const key = `${platform._id}:${weekStartDate.getTime()}`;
+                if (seen.has(key)) {
+                    result.error = 'Duplicate week for this platform in file';
+                }
+                seen.add(key);
+            }
+
+            if (!result.error) {
+                result.platform = platform;
+                result.weekStartDate = weekStartDate;
+                result.weekEndDate = new Date(weekStartDate.getTime() + 6 * DAY_MS);
+                result.closingValue = closingValue;
+                result.notes = readColumn(row, 'notes') || undefined;
+            }
+            return result;
+        });
+
+        await this.rejectClosedWeeks(results);
+        await this.rejectExistingWeeks(results);
+        const successors = await this.chainOpeningValues(results);
+
+        return { results, successors };
+    }
+
+    /**
+     * Flag rows for weeks with any day in a closed period. Periods close in
+     * order, so a week is locked as soon as it starts in one.
+     */
+    static async rejectClosedWeeks(results) {
+        const closedThrough = await PeriodLock.getClosedThrough();
+        if (!closedThrough) {
+            return;
+        }
+
+        results.filter(r => !r.error && r.weekStartDate <= closedThrough).forEach(r => {
+            r.error = 'Week falls in a closed period';
+        });
+    }
+
+    /**
+     * Flag rows whose platform already has data for that week
+     */
+    static async rejectExistingWeeks(results) {
+        const valid = results.filter(r => !r.error);
+        if (valid.length === 0) {
+            return;
+        }
+
+        const existing = await WeeklyPlatformData.find({
+            $or: valid.map(r => ({ platformId: r.platform._id, weekStartDate: r.weekStartDate }))
+        }).select('platformId weekStartDate');
+
+        const existingKeys = new Set(existing.map(w => `${w.platformId}:${w.weekStartDate.getTime()}`));
+        valid.forEach(r => {
+            if (existingKeys.has(`${r.platform._id}:${r.weekStartDate.getTime()}`)) {
+                r.error = 'Data for this platform and week already exists';
+            }
+        });
+    }
+
+    /**
+     * Walk each platform's imported weeks in date order so every week opens
+     * from the closing value before it, whether stored or imported. Returns the
+     * stored weeks whose opening value changes as a result.
+     */
+    static async chainOpeningValues(results) {
+        const successors = [];
+        const byPlatform = new Map();
+        results.filter(r => !r.error).forEach(r => {
+            const key = r.platform._id.toString();
+            if (!byPlatform.has(key)) {
+                byPlatform.set(key, []);
+            }
+            byPlatform.get(key).push(r);
+        });
+
+        for (const weeks of byPlatform.values()) {
+            weeks.sort((a, b) => a.weekStartDate - b.weekStartDate);
+            const platform = weeks[0].platform;
+
+            const stored = await WeeklyPlatformData.find({ platformId: platform._id })
+                .select('weekStartDate weekEndDate closingValue')
+                .sort('weekStartDate')
+                .lean();
+
+            for (const week of weeks) {
+                // Latest stored or imported week that ended before this one starts
+                const previousStored = stored.filter(w => w.weekEndDate < week.weekStartDate).pop();
+                const previousImported = weeks.filter(w => w.weekEndDate < week.weekStartDate).pop();
+
+                let openingValue = platform.amount;
+                if (previousImported && (!previousStored || previousImported.weekEndDate > previousStored.weekEndDate)) {
+                    openingValue = previousImported.closingValue;
+                } else if (previousStored) {
+                    openingValue = previousStored.closingValue;
+                }
+
+                week.openingValue = openingValue;
+                week.profitAmount = week.closingValue - openingValue;
+                week.weeklyReturn = openingValue ? (week.profitAmount / openingValue) * 100 : 0;
+            }
+
+            // A stored week that directly follows an imported one now opens from it
+            stored.forEach(w => {
+                const previousImported = weeks.filter(week => week.weekEndDate < w.weekStartDate).pop();
+                const previousStored = stored.filter(other => other.weekEndDate < w.weekStartDate).pop();
+                if (previousImported && (!previousStored || previousImported.weekEndDate > previousStored.weekEndDate)) {
+                    successors.push({ id: w._id, openingValue: previousImported.closingValue });
+                }
+            });
+        }
+
+        return successors;
+    }
+
+    /**
+     * Import a CSV of weekly valuations. With dryRun, or when any row fails,
+     * nothing is written. Otherwise every row is saved in one transaction and
+     * each platform's change in current value is posted to the journal.
+     * Transactions need MongoDB running as a replica set; on a standalone
+     * server this throws with code TRANSACTIONS_UNSUPPORTED.
+     */
+    static async import(csv, { dryRun = false, enteredBy } = {}) {
+        const { results, successors } = await this.prepare(csv);
+        const errors = results.filter(r => r.error);
+        const valid = results.filter(r => !r.error);
+
+        const report = results.map(r => r.error
+            ? { row: r.row, success: false, error: r.error }
+            : {
+                row: r.row,
+                success: true,
+                platformId: r.platform._id,
+                platformName: r.platform.platformName,
+                weekStartDate: r.weekStartDate,
+                openingValue: r.openingValue,
+                closingValue: r.closingValue,
+                weeklyReturn: r.weeklyReturn
+            });
+
+        if (dryRun || errors.length > 0 || valid.length === 0) {
+            return { applied: false, results: report, errorCount: errors.length };
+        }
+
+        const valuationChanges = [];
+        await withTransaction(async (session) => {
+            // The transaction may be retried, so start the changes afresh
+            valuationChanges.length = 0;
+            await WeeklyPlatformData.insertMany(valid.map(r => ({
+                platformId: r.platform._id,
+                weekStartDate: r.weekStartDate,
+                weekEndDate: r.weekEndDate,
+                weekNumber: getWeekNumber(r.weekStartDate),
+                year: r.weekStartDate.getFullYear(),
+                openingValue: r.openingValue,
+                closingValue: r.closingValue,
+                weeklyReturn: r.weeklyReturn,
+                profitAmount: r.profitAmount,
+                notes: r.notes,
+                enteredBy
+            })), { session });
+
+            // Re-open stored weeks that now follow an imported one
+            for (const successor of successors) {
+                const week = await WeeklyPlatformData.findById(successor.id).session(session);
+                week.openingValue = successor.openingValue;
+                week.profitAmount = week.closingValue - successor.openingValue;
+                week.weeklyReturn = successor.openingValue ? (week.profitAmount / successor.openingValue) * 100 : 0;
+                await week.save({ session });
+            }
+
+            // A platform's current value follows its latest week
+            const platformIds = [...new Set(valid.map(r => r.platform._id.toString()))];
+            for (const platformId of platformIds) {
+                const latestWeek = await WeeklyPlatformData.findOne({ platformId })
+                    .sort('-weekStartDate')
+                    .session(session);
+                const platform = valid.find(r => r.platform._id.toString() === platformId).platform;
+                valuationChanges.push({
+                    platform,
+                    previousValue: platform.currentValue,
+                    newValue: latestWeek.closingValue,
+                    date: latestWeek.weekEndDate
+                });
+                await PlatformInvestment.updateOne(
+                    { _id: platformId },
+                    { $set: { currentValue: latestWeek.closingValue } },
+                    { session }
+                );
+            }
+        });
+
+        for (const change of valuationChanges) {
+            await Journal.postValuationChange({
+                ...change,
+                source: { type: 'platform_valuation', id: change.platform._id },
+                postedBy: enteredBy
+            });
+        }
+
+        return {
+            applied: true,
+            results: report,
+            errorCount: 0,
+            earliestWeek: new Date(Math.min(...valid.map(r => r.weekStartDate.getTime())))
+        };
+    }
+}
+
+module.exports = WeeklyDataImporter;
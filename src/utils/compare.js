@@ -0,0 +1,34 @@
+// Relative difference below which a recalculated figure counts as unchanged
+const CHANGE_TOLERANCE = 1e-9;
+
+/**
+ * Whether a freshly calculated value differs from the stored one. Only the
+ * fields of the calculated value are compared; ids compare by their string
+ * form, and a missing number counts as zero.
+ */
+const differs = (stored, calculated) => {
+    if (typeof stored === 'number' || typeof calculated === 'number') {
+        const a = stored || 0;
+        const b = calculated || 0;
+        return Math.abs(a - b) > CHANGE_TOLERANCE * Math.max(1, Math.abs(a), Math.abs(b));
+    }
+    if (stored === null || stored === undefined || calculated === null || calculated === undefined) {
+        return (stored === null || stored === undefined) !== (calculated === null || calculated === undefined);
+    }
+    if (stored instanceof Date || calculated instanceof Date) {
+        return new Date(stored).getTime() !== new Date(calculated).getTime();
+    }
+    if (Array.isArray(stored) || Array.isArray(calculated)) {
+        return !Array.isArray(stored) || !Array.isArray(calculated) || stored.length !== calculated.length
+            || calculated.some((item, index) => differs(stored[index], item));
+    }
+    if (typeof stored === 'object' && typeof calculated === 'object'
+        && !stored._bsontype && !calculated._bsontype) {
+        return Object.keys(calculated).some(key => differs(stored[key], calculated[key]));
+    }
+    return String(stored) !== String(calculated);
+};
+
+module.exports = {
+    differs
+};
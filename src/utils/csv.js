@@ -0,0 +1,94 @@
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[-+]?\d+(\.\d+)?$/;
+
+// Quote a value for CSV when it contains a delimiter, quote or newline, and
+// prefix text a spreadsheet would take as a formula with a quote. Numbers,
+// negative ones included, are left as they are.
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (FORMULA_PREFIX.test(text) && !PLAIN_NUMBER.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+};
+
+// Build CSV text from a header row and rows of values
+const toCsv = (headers, rows) => {
+    return [headers, ...rows]
+        .map(row => row.map(escapeCsvValue).join(','))
+        .join('\n');
+};
+
+// Parse CSV text into rows of values, honouring quoted fields
+const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// Parse CSV text with a header row into objects keyed by trimmed, lower-cased header
+const parseCsv = (text) => {
+    const [headerRow, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+    if (!headerRow) {
+        return [];
+    }
+
+    const headers = headerRow.map(header => header.trim().toLowerCase());
+    return rows.map(row => headers.reduce((record, header, index) => {
+        record[header] = (row[index] || '').trim();
+        return record;
+    }, {}));
+};
+
+module.exports = {
+    escapeCsvValue,
+    toCsv,
+    parseCsv
+};
@@ -0,0 +1,15 @@
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'INR').toUpperCase();
+
+// Currency codes are ISO 4217 or short crypto tickers such as USDT
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3,5}$/;
+
+// Normalise a currency code, treating a missing one as the base currency
+const normaliseCurrency = (currency) => {
+    return currency ? currency.trim().toUpperCase() : BASE_CURRENCY;
+};
+
+module.exports = {
+    BASE_CURRENCY,
+    CURRENCY_CODE_PATTERN,
+    normaliseCurrency
+};
@@ -0,0 +1,23 @@
+// ISO week number of a date
+const getWeekNumber = (date) => {
+    const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    const dayNum = d.getUTCDay() || 7;
+    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
+    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+    return Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// YYYY-MM of a date in server time. Months are stored as local midnight on
+// the 1st, which toISOString puts in the month before east of UTC.
+const formatMonth = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+
+// YYYY-MM-DD of a date in server time
+const formatDate = (date) => `${formatMonth(date)}-${pad(date.getDate())}`;
+
+module.exports = {
+    getWeekNumber,
+    formatMonth,
+    formatDate
+};
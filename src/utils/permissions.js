@@ -0,0 +1,64 @@
+// Capabilities an admin's staff role can grant, with what each allows
+const PERMISSIONS = {
+    'clients:view': 'See clients, their portfolios, statements and withdrawal requests',
+    'clients:manage': 'Create clients, reset PINs and lift login lockouts',
+    'pins:view': 'See client PINs',
+    'investments:write': 'Request, import and adjust client investments',
+    'investments:approve': 'Approve or reject another admin\'s investment changes',
+    'withdrawals:approve': 'Approve and reject withdrawal requests',
+    'platforms:manage': 'Create platforms and platform investments',
+    'platform_data:write': 'Enter weekly platform data, platform returns and currency data',
+    'fx:manage': 'Enter and import FX rates',
+    'benchmarks:manage': 'Create benchmarks, load their values and link them',
+    'fees:manage': 'Create and deactivate fee schedules',
+    'recalc:run': 'Trigger and retry recalculations',
+    'periods:close': 'Close and reopen months',
+    'statements:generate': 'Generate client statements',
+    'reports:view': 'See fund figures, analytics, the journal and exports',
+    'audit:view': 'See audit logs and login attempts',
+    'users:manage': 'Assign staff roles and manage admin sessions and 2FA'
+};
+
+const VIEWER = ['clients:view', 'reports:view'];
+const DATA_ENTRY = [
+    ...VIEWER,
+    'investments:write',
+    'platform_data:write',
+    'fx:manage',
+    'benchmarks:manage'
+];
+const ACCOUNTANT = [
+    ...DATA_ENTRY,
+    'clients:manage',
+    'investments:approve',
+    'withdrawals:approve',
+    'platforms:manage',
+    'fees:manage',
+    'recalc:run',
+    'periods:close',
+    'statements:generate',
+    'audit:view'
+];
+
+// Staff roles, each a superset of the one before
+const ROLE_PERMISSIONS = {
+    viewer: VIEWER,
+    data_entry: DATA_ENTRY,
+    accountant: ACCOUNTANT,
+    super_admin: Object.keys(PERMISSIONS)
+};
+
+const STAFF_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Permissions a staff role grants; an admin with no role yet gets none
+const getPermissions = (staffRole) => ROLE_PERMISSIONS[staffRole] || [];
+
+const hasPermission = (staffRole, permission) => getPermissions(staffRole).includes(permission);
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    STAFF_ROLES,
+    getPermissions,
+    hasPermission
+};
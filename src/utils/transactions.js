@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Error code for writes that need a transaction the server can't run
+const TRANSACTIONS_UNSUPPORTED = 'TRANSACTIONS_UNSUPPORTED';
+
+let supported;
+
+// MongoDB only runs multi-document transactions on a replica set (a
+// single-node one will do) or through mongos, never on a standalone server
+const supportsTransactions = async () => {
+    if (supported === undefined) {
+        const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+        supported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+    }
+    return supported;
+};
+
+// Throw, with code TRANSACTIONS_UNSUPPORTED, when the server can't run
+// transactions
+const requireTransactions = async () => {
+    if (!(await supportsTransactions())) {
+        const error = new Error('Imports need MongoDB running as a replica set; this server is standalone');
+        error.code = TRANSACTIONS_UNSUPPORTED;
+        throw error;
+    }
+};
+
+// Run work(session) in a transaction, failing before anything is written
+// when the server can't run one
+const withTransaction = async (work) => {
+    await requireTransactions();
+
+    const session = await mongoose.startSession();
+    try {
+        await session.withTransaction(() => work(session));
+    } finally {
+        await session.endSession();
+    }
+};
+
+module.exports = {
+    TRANSACTIONS_UNSUPPORTED,
+    requireTransactions,
+    supportsTransactions,
+    withTransaction
+};
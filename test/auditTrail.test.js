@@ -0,0 +1,63 @@
+// test/auditTrail.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const AuditLog = require('../src/models/AuditLog');
+const AuditLogArchive = require('../src/models/AuditLogArchive');
+const ChangeRequest = require('../src/models/ChangeRequest');
+const AuditTrail = require('../src/services/auditTrail');
+const ChangeRequests = require('../src/services/changeRequests');
+
+describe('AuditTrail actors', () => {
+    let written;
+
+    beforeEach(() => {
+        written = [];
+        // An empty log, so every entry starts the chain
+        const noHead = () => ({ sort: () => ({ select: () => ({ lean: async () => null }) }) });
+        mock.method(AuditLog, 'findOne', noHead);
+        mock.method(AuditLogArchive, 'findOne', noHead);
+        mock.method(AuditLog, 'create', async (entry) => {
+            const log = new AuditLog(entry);
+            await log.validate();
+            written.push(log);
+            return log;
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('logs expired change requests as system actions with no admin', async () => {
+        const requestedBy = new mongoose.Types.ObjectId();
+        const changeRequest = new ChangeRequest({
+            type: 'investment_cancel',
+            clientId: new mongoose.Types.ObjectId(),
+            investmentId: new mongoose.Types.ObjectId(),
+            requestedBy,
+            expiresAt: new Date(Date.now() - 1000)
+        });
+        mock.method(ChangeRequest, 'find', async () => [changeRequest]);
+        mock.method(ChangeRequest, 'findOneAndUpdate', async () => changeRequest);
+
+        await ChangeRequests.expireStale();
+
+        assert.strictEqual(written.length, 1);
+        assert.strictEqual(written[0].action, 'change_expired');
+        assert.strictEqual(written[0].actor, 'system');
+        assert.strictEqual(written[0].adminId, undefined);
+        assert.strictEqual(String(written[0].details.requestedBy), String(requestedBy));
+    });
+
+    it('marks entries by who made them', async () => {
+        const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+        const client = { _id: new mongoose.Types.ObjectId(), role: 'client' };
+        const request = (user) => ({ user, ip: '127.0.0.1', get: () => 'test' });
+
+        await AuditTrail.record(request(admin), { action: 'manual_recalculation' });
+        await AuditTrail.record(request(client), { action: 'withdrawal_requested', clientId: client._id });
+
+        assert.deepStrictEqual(written.map(entry => entry.actor), ['admin', 'client']);
+    });
+});
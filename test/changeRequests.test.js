@@ -0,0 +1,157 @@
+// test/changeRequests.test.js
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { makeAdmin, startAdminApp } = require('./helpers/adminApp');
+const ChangeRequest = require('../src/models/ChangeRequest');
+const Investment = require('../src/models/Investment');
+const User = require('../src/models/User');
+const AuditTrail = require('../src/services/auditTrail');
+const ClientPortfolio = require('../src/services/clientPortfolio');
+const Journal = require('../src/services/journal');
+const PeriodLock = require('../src/services/periodLock');
+
+describe('investment changes that need a second admin', () => {
+    let app;
+    let writes;
+    const dataEntry = makeAdmin('data_entry');
+    const accountant = makeAdmin('accountant');
+    const client = { _id: new mongoose.Types.ObjectId(), email: 'client@example.com', name: 'Client' };
+
+    before(async () => {
+        app = await startAdminApp();
+        // Imports need a replica set
+        mongoose.connection.db = {
+            admin: () => ({ command: async () => ({ isWritablePrimary: true, setName: 'rs0' }) })
+        };
+    });
+
+    after(async () => {
+        await app.close();
+        delete mongoose.connection.db;
+    });
+
+    beforeEach(() => {
+        writes = [];
+        const track = (name) => async (...args) => {
+            writes.push(name);
+            return args[0];
+        };
+        mock.method(Investment, 'create', track('Investment.create'));
+        mock.method(Investment, 'insertMany', track('Investment.insertMany'));
+        mock.method(Investment.prototype, 'save', track('Investment.save'));
+        mock.method(Journal, 'postInvestment', track('Journal.postInvestment'));
+
+        mock.method(ChangeRequest, 'create', async (fields) => new ChangeRequest(fields));
+        mock.method(ChangeRequest, 'findOne', () => ({ select: async () => null }));
+        mock.method(AuditTrail, 'record', async () => null);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('submits an import for approval without writing investments', async () => {
+        mock.method(User, 'find', () => ({ select: async () => [client] }));
+        mock.method(PeriodLock, 'getClosedThrough', async () => null);
+
+        const { status, body } = await app.request('POST', '/investments/import', {
+            user: dataEntry,
+            body: {
+                rows: [
+                    { email: client.email, amount: 1000, investmentDate: '2024-01-15', type: 'deposit' },
+                    { email: client.email, amount: 250, investmentDate: '2024-02-10', type: 'deposit' }
+                ]
+            }
+        });
+
+        assert.strictEqual(status, 202);
+        assert.strictEqual(body.changeRequest.type, 'investment_import');
+        assert.strictEqual(body.changeRequest.status, 'pending');
+        assert.strictEqual(body.changeRequest.payload.rows.length, 2);
+        assert.deepStrictEqual(writes, []);
+    });
+
+    it('submits an adjustment for approval without writing investments', async () => {
+        const original = new Investment({
+            clientId: client._id,
+            amount: 1000,
+            investmentDate: new Date('2023-06-15'),
+            type: 'deposit'
+        });
+        mock.method(Investment, 'findById', async () => original);
+        // The original is in a closed period, the adjustment date is open
+        mock.method(PeriodLock, 'check', async (date) => (date < new Date('2024-01-01')
+            ? { error: 'Period is closed' }
+            : null));
+        mock.method(PeriodLock, 'getAdjustedAmount', async () => 1000);
+
+        const { status, body } = await app.request('POST', `/investments/${original._id}/adjustments`, {
+            user: dataEntry,
+            body: { correctedAmount: 1200, reason: 'Wrong amount keyed', adjustmentDate: '2024-03-01' }
+        });
+
+        assert.strictEqual(status, 202);
+        assert.strictEqual(body.changeRequest.type, 'investment_adjustment');
+        assert.strictEqual(body.changeRequest.before.amount, 1000);
+        assert.strictEqual(body.changeRequest.after.amount, 1200);
+        assert.deepStrictEqual(writes, []);
+    });
+
+    it('checks the client balance when an edit raises a withdrawal', async () => {
+        const withdrawal = new Investment({
+            clientId: client._id,
+            amount: 300,
+            investmentDate: new Date(),
+            type: 'withdrawal'
+        });
+        mock.method(Investment, 'findById', async () => withdrawal);
+        mock.method(PeriodLock, 'check', async () => null);
+        // Net of the withdrawal as it stands
+        mock.method(ClientPortfolio, 'getAvailableBalance', async () => ({ availableBalance: 150 }));
+
+        const raised = await app.request('PUT', `/investments/${withdrawal._id}`, {
+            user: dataEntry,
+            body: { amount: 500, reason: 'Client asked for more' }
+        });
+
+        assert.strictEqual(raised.status, 400);
+        assert.strictEqual(raised.body.availableBalance, 150);
+
+        const withinBalance = await app.request('PUT', `/investments/${withdrawal._id}`, {
+            user: dataEntry,
+            body: { amount: 400, reason: 'Client asked for more' }
+        });
+
+        assert.strictEqual(withinBalance.status, 202);
+        assert.strictEqual(withinBalance.body.changeRequest.after.amount, 400);
+        assert.deepStrictEqual(writes, []);
+    });
+
+    it('refuses approval from the admin who submitted the change', async () => {
+        const changeRequest = new ChangeRequest({
+            type: 'investment_import',
+            payload: { rows: [] },
+            requestedBy: accountant._id,
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+        });
+        mock.method(ChangeRequest, 'find', async () => []);
+        mock.method(ChangeRequest, 'findById', async () => changeRequest);
+
+        const { status } = await app.request('POST', `/change-requests/${changeRequest._id}/approve`, {
+            user: accountant
+        });
+
+        assert.strictEqual(status, 403);
+        assert.deepStrictEqual(writes, []);
+    });
+
+    it('does not let data entry staff approve changes', async () => {
+        const { status } = await app.request('POST', `/change-requests/${new mongoose.Types.ObjectId()}/approve`, {
+            user: dataEntry
+        });
+
+        assert.strictEqual(status, 403);
+        assert.deepStrictEqual(writes, []);
+    });
+});
@@ -0,0 +1,84 @@
+// test/clientPortfolio.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Investment = require('../src/models/Investment');
+const MonthlyReturn = require('../src/models/MonthlyReturn');
+const WithdrawalRequest = require('../src/models/WithdrawalRequest');
+const ClientPortfolio = require('../src/services/clientPortfolio');
+const FxService = require('../src/services/fxService');
+
+describe('ClientPortfolio.getAvailableBalance', () => {
+    const clientId = new mongoose.Types.ObjectId();
+    // January was last calculated on 1 February
+    const calculatedAt = new Date(2024, 1, 1);
+    const afterCalculation = new Date(2024, 1, 5);
+    let flows;
+
+    const flow = (fields) => ({
+        _id: new mongoose.Types.ObjectId(),
+        clientId,
+        currency: 'USD',
+        type: 'deposit',
+        status: 'active',
+        investmentDate: new Date(2024, 0, 10),
+        createdAt: new Date(2024, 0, 10),
+        editHistory: [],
+        ...fields
+    });
+
+    beforeEach(() => {
+        flows = [];
+        mock.method(MonthlyReturn, 'findOne', () => ({
+            sort: () => ({ select: () => ({ lean: async () => ({ month: new Date(2024, 0, 1), calculatedAt }) }) })
+        }));
+        mock.method(Investment, 'find', () => ({ select: () => ({ lean: async () => flows }) }));
+        mock.method(FxService, 'toBase', async (amount) => amount);
+        mock.method(ClientPortfolio, 'getCurrentValue', async () => ({ currentValue: 5000 }));
+        mock.method(WithdrawalRequest, 'find', () => ({ select: async () => [{ requestedAmount: 300 }] }));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('counts edits, cancellations and new flows the calculation has not reached', async () => {
+        flows = [
+            // Cut from 1000 to 400 after January was calculated
+            flow({
+                amount: 400,
+                updatedAt: afterCalculation,
+                editHistory: [{ previousAmount: 1000, newAmount: 400, editedAt: afterCalculation }]
+            }),
+            // Cancelled after January was calculated
+            flow({ amount: 500, status: 'cancelled', updatedAt: afterCalculation }),
+            // Approved withdrawal dated in January, added afterwards
+            flow({ amount: 200, type: 'withdrawal', createdAt: afterCalculation, updatedAt: afterCalculation }),
+            // Dated after January
+            flow({ amount: 100, investmentDate: new Date(2024, 1, 3), createdAt: new Date(2024, 0, 20) })
+        ];
+
+        const balance = await ClientPortfolio.getAvailableBalance(clientId);
+
+        assert.strictEqual(balance.uncalculatedFlows, -600 - 500 - 200 + 100);
+        assert.strictEqual(balance.availableBalance, 5000 - 1200 - 300);
+    });
+
+    it('only takes out an edited flow once, at its amount when calculated', async () => {
+        flows = [
+            flow({
+                amount: 700,
+                updatedAt: new Date(2024, 1, 9),
+                editHistory: [
+                    { previousAmount: 900, newAmount: 1000, editedAt: new Date(2024, 0, 15) },
+                    { previousAmount: 1000, newAmount: 800, editedAt: afterCalculation },
+                    { previousAmount: 800, newAmount: 700, editedAt: new Date(2024, 1, 9) }
+                ]
+            })
+        ];
+
+        const { uncalculatedFlows } = await ClientPortfolio.getAvailableBalance(clientId);
+
+        assert.strictEqual(uncalculatedFlows, -300);
+    });
+});
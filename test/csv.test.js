@@ -0,0 +1,35 @@
+// test/csv.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { escapeCsvValue, toCsv } = require('../src/utils/csv');
+const AuditTrail = require('../src/services/auditTrail');
+
+describe('CSV export escaping', () => {
+    it('prefixes text a spreadsheet would run as a formula', () => {
+        assert.strictEqual(escapeCsvValue('=HYPERLINK("http://example.com")'), '"\'=HYPERLINK(""http://example.com"")"');
+        assert.strictEqual(escapeCsvValue('+1+2'), "'+1+2");
+        assert.strictEqual(escapeCsvValue('-2+3'), "'-2+3");
+        assert.strictEqual(escapeCsvValue('@SUM(A1:A2)'), "'@SUM(A1:A2)");
+        assert.strictEqual(escapeCsvValue('\tcmd'), "'\tcmd");
+    });
+
+    it('leaves numbers and plain text as they are', () => {
+        assert.strictEqual(escapeCsvValue(-150), '-150');
+        assert.strictEqual(escapeCsvValue('-150.00'), '-150.00');
+        assert.strictEqual(escapeCsvValue('Client, Ltd'), '"Client, Ltd"');
+        assert.strictEqual(toCsv(['Item', 'Amount'], [['Fee', '-12.50']]), 'Item,Amount\nFee,-12.50');
+    });
+
+    it('escapes audit log exports the same way', () => {
+        const line = AuditTrail.toCsvLine({
+            timestamp: new Date('2024-01-15T00:00:00Z'),
+            action: 'client_created',
+            clientId: { _id: 'client-1', name: '@SUM(1+1)' },
+            userAgent: '=1+1'
+        });
+        const cells = line.split(',');
+
+        assert.strictEqual(cells[7], "'@SUM(1+1)");
+        assert.strictEqual(cells[14], "'=1+1");
+    });
+});
@@ -0,0 +1,21 @@
+// test/dates.test.js
+// Months are stored at local midnight, so label them east of UTC where
+// toISOString would fall back into the previous day
+process.env.TZ = 'Asia/Kolkata';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { formatDate, formatMonth } = require('../src/utils/dates');
+
+describe('date labels', () => {
+    it('labels a month by its local year and month', () => {
+        const october = new Date(2024, 9, 1);
+        assert.strictEqual(october.toISOString().slice(0, 7), '2024-09');
+        assert.strictEqual(formatMonth(october), '2024-10');
+    });
+
+    it('labels a day by its local date', () => {
+        assert.strictEqual(formatDate(new Date(2024, 9, 1)), '2024-10-01');
+        assert.strictEqual(formatDate(new Date(2024, 10, 0, 23, 59, 59, 999)), '2024-10-31');
+    });
+});
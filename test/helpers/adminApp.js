@@ -0,0 +1,55 @@
+// test/helpers/adminApp.js
+const express = require('express');
+const mongoose = require('mongoose');
+const auth = require('../../src/middleware/auth');
+const { hasPermission } = require('../../src/utils/permissions');
+
+// Stand in for the JWT check: the test picks the signed-in admin per request
+// through app.locals, and permissions are enforced as usual
+auth.requirePermission = (permission) => (req, res, next) => {
+    req.user = req.app.locals.user;
+    if (!hasPermission(req.user.staffRole, permission)) {
+        return res.status(403).json({ error: 'Access denied. Missing permission.', permission });
+    }
+    next();
+};
+
+const adminRoutes = require('../../src/routes/admin');
+
+const makeAdmin = (staffRole) => ({
+    _id: new mongoose.Types.ObjectId(),
+    role: 'admin',
+    staffRole
+});
+
+/**
+ * Start the admin routes on an ephemeral port. Returns a request helper
+ * and a close function.
+ */
+const startAdminApp = async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRoutes);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api/admin`;
+
+    const request = async (method, path, { user, body } = {}) => {
+        app.locals.user = user;
+        const response = await fetch(baseUrl + path, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    return {
+        request,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+module.exports = { makeAdmin, startAdminApp };
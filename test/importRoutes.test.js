@@ -0,0 +1,73 @@
+// test/importRoutes.test.js
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { makeAdmin, startAdminApp } = require('./helpers/adminApp');
+const ChangeRequest = require('../src/models/ChangeRequest');
+const PlatformInvestment = require('../src/models/PlatformInvestment');
+const User = require('../src/models/User');
+const PeriodLock = require('../src/services/periodLock');
+
+describe('import routes', () => {
+    let app;
+    const dataEntry = makeAdmin('data_entry');
+
+    before(async () => {
+        app = await startAdminApp();
+        // A standalone server, with no replica set name
+        mongoose.connection.db = {
+            admin: () => ({ command: async () => ({ isWritablePrimary: true }) })
+        };
+    });
+
+    after(async () => {
+        await app.close();
+        delete mongoose.connection.db;
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('rejects a weekly data file with no data rows', async () => {
+        mock.method(PlatformInvestment, 'find', async () => []);
+        mock.method(PeriodLock, 'getClosedThrough', async () => null);
+
+        const { status, body } = await app.request('POST', '/platforms/weekly-data/import', {
+            user: dataEntry,
+            body: { csv: 'platform,week_start_date,closing_value\n' }
+        });
+
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.error, 'No data rows to import');
+    });
+
+    it('rejects an investment file with no data rows', async () => {
+        mock.method(User, 'find', () => ({ select: async () => [] }));
+        mock.method(PeriodLock, 'getClosedThrough', async () => null);
+
+        const { status, body } = await app.request('POST', '/investments/import', {
+            user: dataEntry,
+            body: { csv: 'email,amount,date,type\n' }
+        });
+
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.error, 'No data rows to import');
+    });
+
+    it('refuses to queue an investment import the server could never apply', async () => {
+        const client = { _id: new mongoose.Types.ObjectId(), email: 'client@example.com', name: 'Client' };
+        mock.method(User, 'find', () => ({ select: async () => [client] }));
+        mock.method(PeriodLock, 'getClosedThrough', async () => null);
+        const created = mock.method(ChangeRequest, 'create', async (fields) => new ChangeRequest(fields));
+
+        const { status, body } = await app.request('POST', '/investments/import', {
+            user: dataEntry,
+            body: { rows: [{ email: client.email, amount: 1000, investmentDate: '2024-01-15', type: 'deposit' }] }
+        });
+
+        assert.strictEqual(status, 503);
+        assert.match(body.error, /replica set/);
+        assert.strictEqual(created.mock.callCount(), 0);
+    });
+});
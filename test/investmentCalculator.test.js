@@ -0,0 +1,40 @@
+// test/investmentCalculator.test.js
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Investment = require('../src/models/Investment');
+const InvestmentCalculator = require('../src/services/investmentCalculator');
+
+describe('InvestmentCalculator.allocateUnits', () => {
+    const startOfMonth = new Date(2024, 0, 1);
+
+    const flow = (day, amount, type = 'deposit') => ({
+        _id: new mongoose.Types.ObjectId(),
+        investmentDate: new Date(2024, 0, day),
+        amount,
+        baseAmount: amount,
+        type
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('deals each flow at the NAV on its own date, not the opening NAV', async () => {
+        const written = mock.method(Investment, 'bulkWrite', async () => ({}));
+        const flows = [flow(1, 1000), flow(16, 1015), flow(31, 1030, 'withdrawal')];
+
+        // 3.1% over January's 31 days: 0.1% a day from an opening NAV of 1
+        await InvestmentCalculator.allocateUnits(flows, 1, 0.031, startOfMonth);
+
+        assert.deepStrictEqual(flows.map(inv => Number(inv.navPerUnit.toFixed(6))), [1, 1.015, 1.03]);
+        assert.deepStrictEqual(flows.map(inv => Number(inv.units.toFixed(6))), [1000, 1000, -1000]);
+        assert.strictEqual(written.mock.calls[0].arguments[0].length, 3);
+    });
+
+    it('weights a flow by the days it is invested, counting its own day', () => {
+        assert.strictEqual(InvestmentCalculator.getFlowWeight(new Date(2024, 0, 1), startOfMonth), 1);
+        assert.strictEqual(InvestmentCalculator.getFlowWeight(new Date(2024, 0, 16), startOfMonth), 16 / 31);
+        assert.strictEqual(InvestmentCalculator.getFlowWeight(new Date(2024, 0, 31), startOfMonth), 1 / 31);
+    });
+});
@@ -0,0 +1,75 @@
+// test/investmentImporter.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const ClientPortfolio = require('../src/services/clientPortfolio');
+const FxService = require('../src/services/fxService');
+const InvestmentImporter = require('../src/services/investmentImporter');
+const PeriodLock = require('../src/services/periodLock');
+
+describe('InvestmentImporter.prepare', () => {
+    const client = { _id: new mongoose.Types.ObjectId(), email: 'client@example.com', name: 'Client' };
+    let balanceLookups;
+
+    beforeEach(() => {
+        balanceLookups = 0;
+        mock.method(User, 'find', () => ({ select: async () => [client] }));
+        mock.method(PeriodLock, 'getClosedThrough', async () => null);
+        mock.method(ClientPortfolio, 'getAvailableBalance', async () => {
+            balanceLookups++;
+            return { availableBalance: 500 };
+        });
+        mock.method(FxService, 'getRate', async (currency, date) => {
+            if (currency === 'EUR') {
+                throw new Error(`No EUR/USD rate on or before ${date.toISOString().slice(0, 10)}`);
+            }
+            return 1;
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const row = (amount, investmentDate, type, currency = 'USD') => ({
+        email: client.email, amount, investmentDate, type, currency
+    });
+
+    it('checks withdrawals against the balance including earlier rows in the file', async () => {
+        const results = await InvestmentImporter.prepare([
+            row(300, '2024-01-20', 'withdrawal'),
+            row(1000, '2024-01-10', 'deposit'),
+            row(1000, '2024-01-25', 'withdrawal'),
+            row(300, '2024-01-30', 'withdrawal')
+        ]);
+
+        // 500 held + 1000 deposited - 300 - 1000 leaves 200 for the last row
+        assert.deepStrictEqual(results.map(r => r.error), [
+            undefined,
+            undefined,
+            undefined,
+            'Withdrawal exceeds client balance of 200.00'
+        ]);
+        assert.strictEqual(balanceLookups, 1);
+    });
+
+    it('rejects rows in a currency with no rate on their date', async () => {
+        const results = await InvestmentImporter.prepare([
+            row(100, '2024-01-10', 'deposit', 'EUR'),
+            row(100, '2024-01-10', 'deposit')
+        ]);
+
+        assert.strictEqual(results[0].error, 'No EUR/USD rate on or before 2024-01-10');
+        assert.strictEqual(results[1].error, undefined);
+    });
+
+    it('does not count rejected deposits towards later withdrawals', async () => {
+        const results = await InvestmentImporter.prepare([
+            row(1000, '2024-01-10', 'deposit', 'EUR'),
+            row(800, '2024-01-20', 'withdrawal')
+        ]);
+
+        assert.strictEqual(results[1].error, 'Withdrawal exceeds client balance of 500.00');
+    });
+});
@@ -0,0 +1,65 @@
+// test/journal.test.js
+// East of UTC, where a month's local midnight falls in the month before
+process.env.TZ = 'Asia/Kolkata';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const JournalEntry = require('../src/models/JournalEntry');
+const Journal = require('../src/services/journal');
+
+describe('Journal.replace', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('reverses the replaced entry on its own date', async () => {
+        const source = { type: 'investment', id: new mongoose.Types.ObjectId() };
+        const original = new JournalEntry({
+            date: new Date('2024-01-15'),
+            description: 'Client deposit',
+            source,
+            lines: [
+                { account: 'cash', debit: 1000, credit: 0 },
+                { account: 'client_capital', debit: 0, credit: 1000 }
+            ]
+        });
+        mock.method(JournalEntry, 'find', async () => [original]);
+        mock.method(original, 'save', async () => original);
+        const created = mock.method(JournalEntry, 'create', async (fields) => new JournalEntry(fields));
+
+        await Journal.replace({
+            date: new Date('2024-01-15'),
+            description: 'Client deposit',
+            source,
+            lines: [
+                { account: 'cash', debit: 1200, credit: 0 },
+                { account: 'client_capital', debit: 0, credit: 1200 }
+            ]
+        });
+
+        const [reversal, replacement] = created.mock.calls.map(call => call.arguments[0]);
+        assert.strictEqual(reversal.reversalOf, original._id);
+        assert.strictEqual(reversal.date.getTime(), original.date.getTime());
+        assert.strictEqual(replacement.lines[0].debit, 1200);
+    });
+});
+
+describe('Journal.postMonthlyAllocation', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('keys the allocation by the month in server time', async () => {
+        const found = mock.method(JournalEntry, 'find', async () => []);
+        const created = mock.method(JournalEntry, 'create', async (fields) => new JournalEntry(fields));
+
+        await Journal.postMonthlyAllocation(new Date(2024, 9, 1), [
+            { clientId: new mongoose.Types.ObjectId(), grossReturn: 100, feeAmount: 10 }
+        ]);
+
+        assert.strictEqual(found.mock.calls[0].arguments[0]['source.key'], '2024-10');
+        assert.strictEqual(created.mock.calls[0].arguments[0].source.key, '2024-10');
+        assert.strictEqual(created.mock.calls[0].arguments[0].description, 'Return allocation for 2024-10');
+    });
+});
@@ -0,0 +1,31 @@
+// test/periodLock.test.js
+// East of UTC, where a month's local midnight falls in the month before
+process.env.TZ = 'Asia/Kolkata';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const PeriodClose = require('../src/models/PeriodClose');
+const PeriodLock = require('../src/services/periodLock');
+
+describe('PeriodLock messages', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('names the closed-through date and later closed months in server time', async () => {
+        mock.method(PeriodClose, 'findOne', (query) => {
+            if (query.month && query.month.$gt) {
+                return { select: async () => ({ month: new Date(2024, 9, 1) }) };
+            }
+            if (query.month) {
+                return Promise.resolve({ month: query.month, status: 'closed' });
+            }
+            return { sort: () => ({ select: () => ({ lean: async () => ({ month: new Date(2024, 9, 1) }) }) }) };
+        });
+
+        const closed = await PeriodLock.check(new Date(2024, 9, 15));
+        assert.match(closed.error, /closed through 2024-10-31/);
+
+        await assert.rejects(PeriodLock.reopen(new Date(2024, 8, 1)), { message: 'Reopen 2024-10 first' });
+    });
+});
@@ -0,0 +1,137 @@
+// test/restatements.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const MonthlyReturn = require('../src/models/MonthlyReturn');
+const MonthlyReturnVersion = require('../src/models/MonthlyReturnVersion');
+const Statement = require('../src/models/Statement');
+const InvestmentCalculator = require('../src/services/investmentCalculator');
+const PeriodLock = require('../src/services/periodLock');
+const Restatements = require('../src/services/restatements');
+
+describe('Restatements.recordVersion', () => {
+    const clientId = new mongoose.Types.ObjectId();
+    let months;
+    let versions;
+
+    const sameMonth = (filter) => (doc) => doc.month.getTime() === filter.month.getTime();
+
+    // Round trip through BSON, as a document read back from MongoDB would be
+    const { BSON } = mongoose.mongo;
+    const roundTrip = (doc) => BSON.deserialize(BSON.serialize(doc));
+
+    // Stand in for MongoDB beneath the models, so mongoose's own casting,
+    // schema defaults and upsert handling still run
+    beforeEach(() => {
+        months = [];
+        versions = [];
+
+        mock.method(MonthlyReturn.collection, 'findOne', async (filter) => {
+            const doc = months.find(sameMonth(filter));
+            return doc ? roundTrip(doc) : null;
+        });
+        mock.method(MonthlyReturn.collection, 'findOneAndUpdate', async (filter, update) => {
+            const index = months.findIndex(sameMonth(filter));
+            const doc = index === -1 ? { ...filter, ...update.$setOnInsert } : months[index];
+            Object.assign(doc, update.$set);
+            Object.keys(update.$unset || {}).forEach(field => delete doc[field]);
+            months.splice(index === -1 ? months.length : index, 1, roundTrip(doc));
+            return null;
+        });
+        mock.method(MonthlyReturnVersion.collection, 'insertOne', async (doc) => {
+            versions.push(roundTrip(doc));
+            return { acknowledged: true, insertedId: doc._id };
+        });
+        mock.method(MonthlyReturnVersion.collection, 'findOne', async (filter) => {
+            const matching = versions.filter(sameMonth(filter)).sort((a, b) => b.version - a.version);
+            return matching[0] ? { version: matching[0].version } : null;
+        });
+
+        mock.method(PeriodLock, 'getClosedThrough', async () => null);
+        mock.method(Statement, 'exists', async () => null);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    // Recalculate a month the way InvestmentCalculator does, with a new closing balance
+    const recalculate = async (month, closingBalance) => {
+        const stored = await MonthlyReturn.findOne({ month }).lean();
+        const record = {
+            month,
+            navPerUnit: closingBalance / 1000,
+            totalUnits: 1000,
+            clientReturns: [{ clientId, units: 1000, closingBalance }]
+        };
+        await Restatements.recordVersion(stored, record, { triggers: [{ reason: 'investment_edited' }] });
+        await InvestmentCalculator.storeMonth(record);
+        return months.find(doc => doc.month.getTime() === month.getTime());
+    };
+
+    it('does not version or restate the current month when it is recalculated', async () => {
+        const now = new Date();
+        const month = new Date(now.getFullYear(), now.getMonth(), 1);
+
+        await recalculate(month, 1000);
+        const stored = await recalculate(month, 1250);
+
+        assert.strictEqual(stored.version, undefined);
+        assert.strictEqual(stored.restatedAt, undefined);
+        assert.strictEqual(stored.clientReturns[0].restatedAt, undefined);
+        assert.strictEqual(versions.length, 0);
+    });
+
+    it('takes the first calculation once a month is final as its original', async () => {
+        const now = new Date();
+        const month = new Date(now.getFullYear(), now.getMonth(), 1);
+        await recalculate(month, 1000);
+
+        // Closing the month makes it final before it has ended
+        PeriodLock.getClosedThrough.mock.mockImplementation(
+            async () => new Date(month.getFullYear(), month.getMonth() + 1, 0, 23, 59, 59, 999)
+        );
+        const original = await recalculate(month, 1250);
+
+        assert.strictEqual(original.version, 1);
+        assert.strictEqual(original.restatedAt, undefined);
+        assert.strictEqual(original.clientReturns[0].restatedAt, undefined);
+        assert.deepStrictEqual(versions.map(v => v.version), [1]);
+
+        const restated = await recalculate(month, 1300);
+
+        assert.strictEqual(restated.version, 2);
+        assert.ok(restated.restatedAt instanceof Date);
+        assert.ok(restated.clientReturns[0].restatedAt instanceof Date);
+        assert.deepStrictEqual(versions[1].restatedClientIds.map(String), [String(clientId)]);
+    });
+
+    it('ignores a version number stored without a version document', async () => {
+        const month = new Date(2024, 0, 1);
+        // Left by the old schema default while the month was still open
+        months.push({ month, version: 1, calculatedAt: new Date(2024, 0, 20), clientReturns: [] });
+
+        const stored = await recalculate(month, 1250);
+
+        assert.strictEqual(stored.version, 1);
+        assert.strictEqual(stored.restatedAt, undefined);
+        assert.deepStrictEqual(versions.map(v => v.triggers[0].reason), ['investment_edited']);
+    });
+
+    it('archives figures stored after the month ended, before versioning, as the original', async () => {
+        const month = new Date(2024, 0, 1);
+        months.push({
+            month,
+            calculatedAt: new Date(2024, 1, 1),
+            navPerUnit: 1,
+            totalUnits: 1000,
+            clientReturns: [{ clientId, units: 1000, closingBalance: 1000 }]
+        });
+
+        const stored = await recalculate(month, 1250);
+
+        assert.deepStrictEqual(versions.map(v => v.triggers[0].reason), ['original', 'investment_edited']);
+        assert.strictEqual(stored.version, 2);
+        assert.ok(stored.restatedAt instanceof Date);
+    });
+});
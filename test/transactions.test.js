@@ -0,0 +1,25 @@
+// test/transactions.test.js
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { TRANSACTIONS_UNSUPPORTED, withTransaction } = require('../src/utils/transactions');
+
+describe('withTransaction', () => {
+    afterEach(() => {
+        mock.restoreAll();
+        delete mongoose.connection.db;
+    });
+
+    it('fails before writing anything on a standalone server', async () => {
+        // A standalone server answers hello without a replica set name
+        mongoose.connection.db = {
+            admin: () => ({ command: async () => ({ isWritablePrimary: true }) })
+        };
+        const startSession = mock.method(mongoose, 'startSession');
+        const work = mock.fn(async () => {});
+
+        await assert.rejects(withTransaction(work), { code: TRANSACTIONS_UNSUPPORTED });
+        assert.strictEqual(startSession.mock.callCount(), 0);
+        assert.strictEqual(work.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,44 @@
+// test/weeklyData.test.js
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { makeAdmin, startAdminApp } = require('./helpers/adminApp');
+const PlatformInvestment = require('../src/models/PlatformInvestment');
+const WeeklyPlatformData = require('../src/models/WeeklyPlatformData');
+const PeriodLock = require('../src/services/periodLock');
+
+describe('weekly platform data entry', () => {
+    let app;
+    const dataEntry = makeAdmin('data_entry');
+
+    before(async () => {
+        app = await startAdminApp();
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('rejects a week that starts in a closed month', async () => {
+        const platform = new PlatformInvestment({ platformName: 'Broker', amount: 10000 });
+        mock.method(PlatformInvestment, 'findById', async () => platform);
+        mock.method(PeriodLock, 'getClosedThrough', async () => new Date(2024, 0, 31, 23, 59, 59, 999));
+        const saved = mock.method(WeeklyPlatformData.prototype, 'save', async function () {
+            return this;
+        });
+
+        // Runs from 29 January into February, which is still open
+        const { status, body } = await app.request('POST', '/platforms/weekly-data', {
+            user: dataEntry,
+            body: { platformId: String(new mongoose.Types.ObjectId()), weekStartDate: '2024-01-29', closingValue: 10500 }
+        });
+
+        assert.strictEqual(status, 409);
+        assert.ok(body.closedThrough);
+        assert.strictEqual(saved.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,136 @@
+// test/withdrawalRequests.test.js
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { makeAdmin, startAdminApp } = require('./helpers/adminApp');
+const ChangeRequest = require('../src/models/ChangeRequest');
+const Investment = require('../src/models/Investment');
+const WithdrawalRequest = require('../src/models/WithdrawalRequest');
+const AuditTrail = require('../src/services/auditTrail');
+const ClientPortfolio = require('../src/services/clientPortfolio');
+const Journal = require('../src/services/journal');
+const PeriodLock = require('../src/services/periodLock');
+const RecalculationQueue = require('../src/services/recalculationQueue');
+
+describe('withdrawal payouts that need a second admin', () => {
+    let app;
+    let writes;
+    let request;
+    const accountant = makeAdmin('accountant');
+    const superAdmin = makeAdmin('super_admin');
+    const clientId = new mongoose.Types.ObjectId();
+
+    before(async () => {
+        app = await startAdminApp();
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    beforeEach(() => {
+        writes = [];
+        request = new WithdrawalRequest({ clientId, requestedAmount: 500 });
+
+        mock.method(Investment, 'create', async () => writes.push('Investment.create'));
+        mock.method(Investment.prototype, 'save', async function () {
+            writes.push('Investment.save');
+            return this;
+        });
+        mock.method(Journal, 'postInvestment', async () => writes.push('Journal.postInvestment'));
+        mock.method(RecalculationQueue, 'enqueue', async () => ({ _id: new mongoose.Types.ObjectId(), status: 'queued', triggers: [] }));
+
+        mock.method(WithdrawalRequest, 'findById', async () => request);
+        mock.method(WithdrawalRequest, 'findOne', async (filter) => (request.status === filter.status ? request : null));
+        mock.method(WithdrawalRequest, 'findOneAndUpdate', async (filter, update) => {
+            if (request.status !== filter.status) {
+                return null;
+            }
+            request.set(update.$set);
+            return request;
+        });
+        mock.method(WithdrawalRequest, 'updateOne', async (filter, update) => {
+            request.set(update.$set);
+            Object.keys(update.$unset || {}).forEach(field => request.set(field, undefined));
+        });
+        mock.method(WithdrawalRequest.prototype, 'save', async function () {
+            return this;
+        });
+
+        mock.method(ChangeRequest, 'create', async (fields) => new ChangeRequest(fields));
+        mock.method(ChangeRequest, 'find', async () => []);
+        mock.method(ChangeRequest, 'findOne', () => ({ select: async () => null }));
+        mock.method(ChangeRequest.prototype, 'save', async function () {
+            return this;
+        });
+        mock.method(ClientPortfolio, 'getAvailableBalance', async () => ({ availableBalance: 1000 }));
+        mock.method(PeriodLock, 'check', async () => null);
+        mock.method(AuditTrail, 'record', async () => null);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    // The change request an approval of the client's request submits
+    const payoutFor = (amount) => {
+        request.set({ status: 'awaiting_approval', approvedAmount: amount, reviewedBy: accountant._id });
+        const changeRequest = new ChangeRequest({
+            type: 'investment_create',
+            clientId,
+            payload: { clientId, amount, investmentDate: new Date(), type: 'withdrawal', withdrawalRequestId: request._id },
+            requestedBy: accountant._id,
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+        });
+        request.changeRequestId = changeRequest._id;
+        mock.method(ChangeRequest, 'findById', async () => changeRequest);
+        mock.method(ChangeRequest, 'findOneAndUpdate', async (filter, update) => changeRequest.set(update.$set));
+        return changeRequest;
+    };
+
+    it('submits the payout for approval without writing the withdrawal', async () => {
+        const { status, body } = await app.request('POST', `/withdrawal-requests/${request._id}/approve`, {
+            user: accountant,
+            body: { amount: 300 }
+        });
+
+        assert.strictEqual(status, 202);
+        assert.strictEqual(body.request.status, 'awaiting_approval');
+        assert.strictEqual(body.request.approvedAmount, 300);
+        assert.strictEqual(body.changeRequest.type, 'investment_create');
+        assert.strictEqual(body.changeRequest.payload.withdrawalRequestId, String(request._id));
+        assert.strictEqual(String(request.changeRequestId), body.changeRequest._id);
+        // The request being approved isn't held against its own payout
+        assert.strictEqual(String(ClientPortfolio.getAvailableBalance.mock.calls[0].arguments[1]), String(request._id));
+        assert.deepStrictEqual(writes, []);
+    });
+
+    it('pays the withdrawal out and settles the request once a second admin approves', async () => {
+        const changeRequest = payoutFor(300);
+
+        const { status, body } = await app.request('POST', `/change-requests/${changeRequest._id}/approve`, {
+            user: superAdmin
+        });
+
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(writes, ['Investment.save', 'Journal.postInvestment']);
+        assert.strictEqual(request.status, 'partially_approved');
+        assert.strictEqual(String(request.investmentId), body.investment._id);
+        assert.strictEqual(RecalculationQueue.enqueue.mock.calls[0].arguments[1].reason, 'withdrawal_approved');
+    });
+
+    it('sends the request back for review when the payout is rejected', async () => {
+        const changeRequest = payoutFor(500);
+
+        const { status } = await app.request('POST', `/change-requests/${changeRequest._id}/reject`, {
+            user: superAdmin,
+            body: { reason: 'Bank details unverified' }
+        });
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(request.status, 'pending');
+        assert.strictEqual(request.approvedAmount, undefined);
+        assert.strictEqual(request.changeRequestId, undefined);
+        assert.deepStrictEqual(writes, []);
+    });
+});